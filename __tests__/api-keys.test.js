@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createKeyStore } = require('../lib/api-keys');
+
+describe('createKeyStore', () => {
+    let directory;
+    let file;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+        file = path.join(directory, 'data', 'api-keys.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('authenticates created keys and stores only their hash', async () => {
+        const { key, record } = await createKeyStore({ file }).create({ name: 'Acme', tier: 'pro' });
+
+        expect(key).toMatch(/^hk_[0-9a-f]{48}$/);
+        expect(fs.readFileSync(file, 'utf8')).not.toContain(key);
+        expect(createKeyStore({ file }).authenticate(key)).toMatchObject({ id: record.id, name: 'Acme', tier: 'pro' });
+        expect(createKeyStore({ file }).authenticate('hk_unknown')).toBeNull();
+    });
+
+    test('refuses to create keys for unknown tiers', async () => {
+        await expect(createKeyStore().create({ name: 'Acme', tier: 'platinum' })).rejects.toThrow('Tier must be one of basic, pro, enterprise');
+    });
+
+    test('gives keys with an unknown tier basic limits and reports them', async () => {
+        const { key, record } = await createKeyStore({ file }).create({ name: 'Acme', tier: 'pro' });
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        fs.writeFileSync(file, JSON.stringify(stored.map(entry => ({ ...entry, tier: 'platinum' }))));
+
+        const onError = jest.fn();
+        const store = createKeyStore({ file, onError });
+
+        expect(store.authenticate(key).tier).toBe('basic');
+        expect(store.get(record.id).tier).toBe('basic');
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+            message: `Key ${record.id} has unknown tier "platinum"; using basic`
+        }));
+    });
+
+    test('does not authenticate revoked keys', async () => {
+        const { key } = await createKeyStore({ file }).create({ name: 'Acme' });
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        fs.writeFileSync(file, JSON.stringify(stored.map(entry => ({ ...entry, revokedAt: '2026-01-01T00:00:00Z' }))));
+
+        expect(createKeyStore({ file }).authenticate(key)).toBeNull();
+    });
+});
@@ -0,0 +1,85 @@
+const { createBusinessCalendar, weekendFor, parseWeekend } = require('../lib/business-days');
+const { computeHolidays } = require('../lib/rules');
+const { WEEKDAYS } = require('../lib/weekdays');
+
+const { SUNDAY, FRIDAY, SATURDAY } = WEEKDAYS;
+
+function calendarFor(country, weekend) {
+    return createBusinessCalendar({ country, weekend, loadHolidays: year => computeHolidays(country, year) });
+}
+
+describe('weekends', () => {
+    test.each(['BH', 'DZ', 'EG', 'IL', 'IQ', 'JO', 'KW', 'LY', 'OM', 'QA', 'SA', 'SD', 'SY', 'YE'])('%s rests on Friday and Saturday', country => {
+        expect(weekendFor(country, 2026)).toEqual([FRIDAY, SATURDAY]);
+    });
+
+    test('uses single-day weekends where they apply', () => {
+        expect(weekendFor('IR', 2026)).toEqual([FRIDAY]);
+        expect(weekendFor('NP', 2026)).toEqual([SATURDAY]);
+    });
+
+    test('switches the UAE to Saturday and Sunday from 2022', () => {
+        expect(weekendFor('AE', 2021)).toEqual([FRIDAY, SATURDAY]);
+        expect(weekendFor('AE', 2022)).toEqual([SATURDAY, SUNDAY]);
+    });
+
+    test('defaults to Saturday and Sunday', () => {
+        expect(weekendFor('US', 2026)).toEqual([SATURDAY, SUNDAY]);
+        expect(weekendFor('XX', 2026)).toEqual([SATURDAY, SUNDAY]);
+    });
+
+    test('counts working days against the country weekend', async () => {
+        // Sunday 11 January to Saturday 17 January 2026
+        await expect(calendarFor('SA').countBusinessDays('2026-01-11', '2026-01-17')).resolves.toMatchObject({ businessDays: 5, calendarDays: 7 });
+        await expect(calendarFor('NP').countBusinessDays('2026-01-11', '2026-01-17')).resolves.toMatchObject({ businessDays: 6 });
+        await expect(calendarFor('US').countBusinessDays('2026-01-11', '2026-01-17')).resolves.toMatchObject({ businessDays: 5 });
+    });
+
+    test('lets an explicit weekend override the country', async () => {
+        const day = await calendarFor('US', parseWeekend('fri,sat')).isWorkingDay('2026-01-11');
+
+        expect(day).toMatchObject({ weekend: false, workingDay: true });
+        expect(parseWeekend('mon,funday')).toBeNull();
+    });
+});
+
+describe('holidays', () => {
+    test('treats half-day holidays as working days', async () => {
+        const calendar = calendarFor('DE');
+
+        await expect(calendar.isWorkingDay('2026-12-24')).resolves.toMatchObject({ holidays: [], workingDay: true });
+        await expect(calendar.isWorkingDay('2026-12-31')).resolves.toMatchObject({ holidays: [], workingDay: true });
+        await expect(calendar.isWorkingDay('2026-12-25')).resolves.toMatchObject({ workingDay: false });
+        await expect(calendar.countBusinessDays('2026-12-21', '2026-12-31')).resolves.toMatchObject({ businessDays: 8, calendarDays: 11 });
+    });
+
+    test('closes on observed dates', async () => {
+        const day = await calendarFor('GB').isWorkingDay('2026-12-28');
+
+        expect(day.workingDay).toBe(false);
+        expect(day.holidays.map(holiday => holiday.name)).toEqual(['Boxing Day']);
+    });
+});
+
+describe('across year boundaries', () => {
+    test('counts business days through the new year', async () => {
+        // Christmas 2027 is observed on Friday 24 December and New Year's Day
+        // 2028 on Friday 31 December
+        const result = await calendarFor('US').countBusinessDays('2027-12-20', '2028-01-07');
+
+        expect(result).toMatchObject({ businessDays: 13, calendarDays: 19 });
+        expect(result.nonWorking.find(day => day.date === '2027-12-31').holidays.map(holiday => holiday.name)).toEqual(["New Year's Day"]);
+    });
+
+    test('adds business days forward into the next year', async () => {
+        const result = await calendarFor('US').addBusinessDays('2027-12-30', 2);
+
+        expect(result.date).toBe('2028-01-04');
+        expect(result.skipped.map(day => day.date)).toEqual(['2027-12-31', '2028-01-01', '2028-01-02']);
+    });
+
+    test('subtracts business days back into the previous year', async () => {
+        await expect(calendarFor('US').addBusinessDays('2028-01-03', -1)).resolves.toMatchObject({ date: '2027-12-30' });
+        await expect(calendarFor('DE').addBusinessDays('2027-01-04', -2)).resolves.toMatchObject({ date: '2026-12-30' });
+    });
+});
@@ -0,0 +1,80 @@
+const { createHolidayCache } = require('../lib/cache');
+
+describe('createHolidayCache', () => {
+    const good = { value: ['2026-01-01'] };
+    const fallback = { value: ['2026-01-01 (offline)'], negative: true };
+
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function createCache() {
+        return createHolidayCache({ ttlMs: 100, staleMs: 1000, negativeTtlMs: 10 });
+    }
+
+    test('serves fresh entries without calling the loader', async () => {
+        const cache = createCache();
+        const loader = jest.fn().mockResolvedValue(good);
+
+        await cache.wrap('US:2026', loader);
+        now += 50;
+        const entry = await cache.wrap('US:2026', loader);
+
+        expect(entry.value).toEqual(good.value);
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(cache.stats()).toMatchObject({ hits: 1, misses: 1 });
+    });
+
+    test('serves stale entries while revalidating in the background', async () => {
+        const cache = createCache();
+        await cache.wrap('US:2026', async () => good);
+
+        now += 200;
+        const updated = { value: ['2026-01-02'] };
+        const stale = await cache.wrap('US:2026', async () => updated);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(stale.value).toEqual(good.value);
+        expect((await cache.wrap('US:2026', async () => fallback)).value).toEqual(updated.value);
+    });
+
+    test('keeps stale good data when revalidation only yields fallback data', async () => {
+        const cache = createCache();
+        await cache.wrap('US:2026', async () => good);
+
+        now += 200;
+        await cache.wrap('US:2026', async () => fallback);
+        await new Promise(resolve => setImmediate(resolve));
+
+        const loader = jest.fn().mockResolvedValue(good);
+        const entry = await cache.wrap('US:2026', loader);
+
+        expect(entry).toMatchObject({ value: good.value, negative: false });
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test('stores fallback data once the good data can no longer be served', async () => {
+        const cache = createCache();
+        await cache.wrap('US:2026', async () => good);
+
+        now += 2000;
+        const entry = await cache.wrap('US:2026', async () => fallback);
+
+        expect(entry).toMatchObject({ value: fallback.value, negative: true, expiresAt: now + 10 });
+    });
+
+    test('refresh reloads fresh entries but keeps good data over fallback data', async () => {
+        const cache = createCache();
+        await cache.wrap('US:2026', async () => good);
+
+        expect((await cache.refresh('US:2026', async () => fallback)).value).toEqual(good.value);
+        expect((await cache.refresh('US:2026', async () => ({ value: ['2026-01-02'] }))).value).toEqual(['2026-01-02']);
+    });
+});
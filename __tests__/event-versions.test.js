@@ -0,0 +1,34 @@
+const { createEventVersions } = require('../lib/event-versions');
+
+describe('createEventVersions', () => {
+    const earlier = new Date('2026-01-01T00:00:00Z');
+    const later = new Date('2026-02-01T00:00:00Z');
+
+    test('keeps the revision of unchanged events', () => {
+        const versions = createEventVersions();
+        const first = versions.track('uid-1', { name: 'New Year' }, earlier);
+
+        expect(versions.track('uid-1', { name: 'New Year' }, later)).toBe(first);
+        expect(first).toMatchObject({ sequence: 0, stampedAt: earlier.toISOString() });
+    });
+
+    test('bumps the sequence and stamp when the content changes', () => {
+        const versions = createEventVersions();
+        versions.track('uid-1', { name: 'New Year' }, earlier);
+
+        expect(versions.track('uid-1', { name: "New Year's Day" }, later)).toMatchObject({ sequence: 1, stampedAt: later.toISOString() });
+    });
+
+    test('forgets the least recently served events beyond maxEntries', () => {
+        const versions = createEventVersions({ maxEntries: 2 });
+        versions.track('uid-1', { name: 'A' });
+        versions.track('uid-2', { name: 'B' });
+        versions.track('uid-1', { name: 'A' });
+        versions.track('uid-3', { name: 'C' });
+
+        expect(versions.size).toBe(2);
+        expect(versions.get('uid-1')).toBeDefined();
+        expect(versions.get('uid-2')).toBeUndefined();
+        expect(versions.get('uid-3')).toBeDefined();
+    });
+});
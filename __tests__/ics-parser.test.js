@@ -0,0 +1,194 @@
+const { parseICS, validateICS, unfoldLines } = require('../lib/ics-parser');
+const { serializeLines } = require('../lib/ics-writer');
+const { generateICS, holidayUID } = require('../lib/formats');
+const { getHolidays } = require('..');
+
+// A minimal valid calendar around the given VEVENT body lines
+function calendarWith(eventLines, { timeZones = [] } = {}) {
+    return serializeLines([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Test//Test//EN',
+        ...timeZones,
+        'BEGIN:VEVENT',
+        'UID:test-1@example.com',
+        'DTSTAMP:20260101T000000Z',
+        ...eventLines,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ]);
+}
+
+const errorsOf = text => validateICS(text).errors.map(error => error.message);
+
+describe('unfolding', () => {
+    test('joins continuation lines back into one content line', () => {
+        expect(unfoldLines('SUMMARY:Hel\r\n lo\r\n\tWorld\r\n').map(line => line.text)).toEqual(['SUMMARY:HelloWorld']);
+    });
+
+    test('restores multi-byte text folded at octet boundaries', () => {
+        const name = 'Tết Nguyên Đán – 春節 🎆 '.repeat(6).trim();
+        const { holidays, problems } = parseICS(calendarWith(['DTSTART;VALUE=DATE:20260217', `SUMMARY:${name}`]));
+
+        expect(problems).toEqual([]);
+        expect(holidays[0].name).toBe(name);
+    });
+
+    test('warns about unfolded long lines and bare LF line endings', () => {
+        const text = `BEGIN:VCALENDAR\nVERSION:2.0\nPRODID:x\nX-LONG:${'a'.repeat(80)}\nEND:VCALENDAR\n`;
+        const { warnings } = validateICS(text);
+
+        expect(warnings.map(warning => warning.message)).toEqual(expect.arrayContaining([
+            'Lines should end with CRLF',
+            'Line is longer than 75 octets and should be folded'
+        ]));
+    });
+});
+
+describe('DTEND versus DURATION', () => {
+    test('an all-day DTEND is exclusive', () => {
+        const { holidays } = parseICS(calendarWith(['DTSTART;VALUE=DATE:20261224', 'DTEND;VALUE=DATE:20261227', 'SUMMARY:Break']));
+        expect(holidays[0]).toMatchObject({ date: '2026-12-24', endDate: '2026-12-26', allDay: true });
+    });
+
+    test('a single-day event has no endDate either way', () => {
+        const withEnd = parseICS(calendarWith(['DTSTART;VALUE=DATE:20261225', 'DTEND;VALUE=DATE:20261226', 'SUMMARY:X']));
+        const withDuration = parseICS(calendarWith(['DTSTART;VALUE=DATE:20261225', 'DURATION:P1D', 'SUMMARY:X']));
+
+        expect(withEnd.holidays[0].endDate).toBeUndefined();
+        expect(withDuration.holidays[0].endDate).toBeUndefined();
+    });
+
+    test('an all-day DURATION gives the same end as the equivalent DTEND', () => {
+        const days = parseICS(calendarWith(['DTSTART;VALUE=DATE:20261224', 'DURATION:P3D', 'SUMMARY:Break']));
+        const weeks = parseICS(calendarWith(['DTSTART;VALUE=DATE:20261221', 'DURATION:P2W', 'SUMMARY:Break']));
+
+        expect(days.holidays[0].endDate).toBe('2026-12-26');
+        expect(weeks.holidays[0].endDate).toBe('2027-01-03');
+    });
+
+    test('timed events end at "24:00" when DTEND is the next midnight', () => {
+        const { holidays } = parseICS(calendarWith(['DTSTART:20261224T120000Z', 'DTEND:20261225T000000Z', 'SUMMARY:Christmas Eve']));
+        expect(holidays[0]).toMatchObject({ date: '2026-12-24', start: '12:00', end: '24:00', timeZone: 'UTC', allDay: false });
+    });
+
+    test('DTEND and DURATION together are an error', () => {
+        expect(errorsOf(calendarWith(['DTSTART;VALUE=DATE:20261225', 'DTEND;VALUE=DATE:20261226', 'DURATION:P1D'])))
+            .toContain('DTEND and DURATION must not both be present');
+    });
+
+    test('DTEND must follow DTSTART and match its value type', () => {
+        expect(errorsOf(calendarWith(['DTSTART;VALUE=DATE:20261225', 'DTEND;VALUE=DATE:20261225'])))
+            .toContain('DTEND must be later than DTSTART');
+        expect(errorsOf(calendarWith(['DTSTART;VALUE=DATE:20261225', 'DTEND:20261226T000000Z'])))
+            .toContain('DTSTART and DTEND must both be DATE or both be DATE-TIME');
+    });
+
+    test('DURATION must be an ISO 8601 duration', () => {
+        expect(errorsOf(calendarWith(['DTSTART;VALUE=DATE:20261225', 'DURATION:1 day'])))
+            .toContain('DURATION value "1 day" is not a valid duration');
+    });
+});
+
+describe('VALARM', () => {
+    const alarm = lines => calendarWith(['DTSTART;VALUE=DATE:20261225', 'BEGIN:VALARM', ...lines, 'END:VALARM']);
+
+    test('accepts relative and absolute triggers', () => {
+        expect(validateICS(alarm(['ACTION:DISPLAY', 'DESCRIPTION:Tomorrow', 'TRIGGER:-P1D'])).valid).toBe(true);
+        expect(validateICS(alarm(['ACTION:DISPLAY', 'DESCRIPTION:Soon', 'TRIGGER;RELATED=START:-PT15M'])).valid).toBe(true);
+        expect(validateICS(alarm(['ACTION:AUDIO', 'TRIGGER;VALUE=DATE-TIME:20261224T090000Z'])).valid).toBe(true);
+    });
+
+    test('rejects triggers that are not durations', () => {
+        expect(errorsOf(alarm(['ACTION:DISPLAY', 'DESCRIPTION:x', 'TRIGGER:yesterday'])))
+            .toContain('TRIGGER value "yesterday" is not a valid duration');
+    });
+
+    test('requires ACTION and TRIGGER, and a DESCRIPTION for DISPLAY alarms', () => {
+        expect(errorsOf(alarm(['DESCRIPTION:x']))).toEqual(expect.arrayContaining([
+            'VALARM is missing required property ACTION',
+            'VALARM is missing required property TRIGGER'
+        ]));
+        expect(errorsOf(alarm(['ACTION:DISPLAY', 'TRIGGER:-P1D'])))
+            .toContain('DISPLAY VALARM is missing required property DESCRIPTION');
+    });
+});
+
+describe('structure', () => {
+    test('reports missing required properties and unbalanced components', () => {
+        const text = serializeLines(['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', 'SUMMARY:x', 'END:VCALENDAR']);
+        const errors = errorsOf(text);
+
+        expect(errors).toEqual(expect.arrayContaining([
+            'VCALENDAR is missing required property PRODID',
+            'END:VCALENDAR does not match BEGIN:VEVENT'
+        ]));
+    });
+
+    test('requires a UTC DTSTAMP and a VTIMEZONE for every TZID', () => {
+        const text = calendarWith(['DTSTART;TZID=Europe/Berlin:20261225T000000']).replace('DTSTAMP:20260101T000000Z', 'DTSTAMP:20260101T000000');
+        expect(errorsOf(text)).toEqual(expect.arrayContaining([
+            'DTSTAMP must be a UTC DATE-TIME',
+            'DTSTART references TZID "Europe/Berlin" without a matching VTIMEZONE'
+        ]));
+    });
+
+    test('rejects text that is not a calendar', () => {
+        expect(validateICS('hello').valid).toBe(false);
+        expect(parseICS('').calendar).toBeNull();
+    });
+});
+
+describe('round trip of generateICS output', () => {
+    const holidays = getHolidays({ country: 'US', year: 2026 });
+
+    test('is valid without warnings', () => {
+        const result = validateICS(generateICS(holidays, { country: 'US', year: 2026 }));
+        expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    test('parses back to the same dates, names, types and UIDs', () => {
+        const { calendar, holidays: parsed } = parseICS(generateICS(holidays, { country: 'US', year: 2026 }));
+
+        expect(calendar).toMatchObject({ version: '2.0', name: 'US Public Holidays 2026', timeZone: 'UTC' });
+        expect(parsed.map(({ date, name, type, uid }) => ({ date, name, type, uid }))).toEqual(holidays.map(holiday => ({
+            date: holiday.date,
+            name: holiday.name,
+            type: holiday.type,
+            uid: holidayUID(holiday, 'US')
+        })));
+    });
+
+    test('keeps multi-day events and multi-byte text with either end style', () => {
+        const custom = [{
+            date: '2026-12-24',
+            endDate: '2026-12-31',
+            name: 'Winterpause – Betriebsferien für alle Standorte in Österreich und der Schweiz',
+            description: 'Geschäftsstellen geschlossen; Notdienst erreichbar. 🎄',
+            type: 'company',
+            country: 'DE'
+        }];
+
+        ['dtend', 'duration'].forEach(end => {
+            const text = generateICS(custom, { country: 'DE', year: 2026, end });
+            const { holidays: parsed } = parseICS(text);
+
+            expect(validateICS(text).valid).toBe(true);
+            expect(parsed[0]).toMatchObject({
+                date: '2026-12-24',
+                endDate: '2026-12-31',
+                name: custom[0].name,
+                description: custom[0].description,
+                type: 'company'
+            });
+        });
+    });
+
+    test('stays valid with alarms and timed events in a named time zone', () => {
+        const text = generateICS(holidays, { country: 'US', year: 2026, mode: 'timed', tz: 'America/New_York', alarms: ['-P1D', '-PT30M'] });
+        const { holidays: parsed } = parseICS(text);
+
+        expect(validateICS(text)).toEqual({ valid: true, errors: [], warnings: [] });
+        expect(parsed[0]).toMatchObject({ date: holidays[0].date, start: '00:00', end: '24:00', timeZone: 'America/New_York' });
+    });
+});
@@ -0,0 +1,92 @@
+const { MAX_LINE_OCTETS, escapeText, foldLine, serializeLines, isDuration, valarmLines } = require('../lib/ics-writer');
+
+// Physical lines of a folded content line, as octet counts
+function octetsPerLine(folded) {
+    return folded.split('\r\n').map(line => Buffer.byteLength(line, 'utf8'));
+}
+
+function unfold(folded) {
+    return folded.replace(/\r\n /g, '');
+}
+
+describe('foldLine', () => {
+    test('leaves lines of up to 75 octets alone', () => {
+        const line = `SUMMARY:${'a'.repeat(MAX_LINE_OCTETS - 8)}`;
+        expect(foldLine(line)).toBe(line);
+    });
+
+    test('folds ASCII lines at 75 octets, counting the leading space', () => {
+        const line = `DESCRIPTION:${'x'.repeat(200)}`;
+        const folded = foldLine(line);
+
+        expect(octetsPerLine(folded).slice(0, -1)).toEqual([75, 75]);
+        expect(folded.split('\r\n').slice(1).every(part => part.startsWith(' '))).toBe(true);
+        expect(unfold(folded)).toBe(line);
+    });
+
+    test.each([
+        ['two-byte', 'ü'],
+        ['three-byte', '節'],
+        ['four-byte', '🎉']
+    ])('counts octets, not characters, for %s text', (label, char) => {
+        const line = `SUMMARY:${char.repeat(60)}`;
+        const folded = foldLine(line);
+
+        expect(Math.max(...octetsPerLine(folded))).toBeLessThanOrEqual(MAX_LINE_OCTETS);
+        expect(unfold(folded)).toBe(line);
+    });
+
+    test('never splits a multi-byte character across lines', () => {
+        const folded = foldLine(`SUMMARY:${'a'}${'€'.repeat(40)}`);
+
+        folded.split('\r\n').forEach(part => {
+            const bytes = Buffer.from(part, 'utf8');
+            expect(bytes.toString('utf8')).toBe(part);
+            expect(part).not.toContain('�');
+        });
+    });
+});
+
+describe('serializeLines', () => {
+    test('ends every line, the last included, with CRLF', () => {
+        expect(serializeLines(['BEGIN:VCALENDAR', 'END:VCALENDAR'])).toBe('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+    });
+
+    test('folds each line independently', () => {
+        const text = serializeLines(['BEGIN:VEVENT', `SUMMARY:${'ß'.repeat(50)}`, 'END:VEVENT']);
+        const lines = text.split('\r\n');
+
+        expect(lines[0]).toBe('BEGIN:VEVENT');
+        expect(lines[2].startsWith(' ')).toBe(true);
+        expect(lines[lines.length - 2]).toBe('END:VEVENT');
+        expect(Math.max(...lines.map(line => Buffer.byteLength(line, 'utf8')))).toBeLessThanOrEqual(MAX_LINE_OCTETS);
+    });
+});
+
+describe('escapeText', () => {
+    test('escapes backslashes, semicolons, commas and newlines', () => {
+        expect(escapeText('a\\b;c,d\r\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+    });
+});
+
+describe('isDuration', () => {
+    test.each(['P1D', '-P1D', '+PT15M', 'P1W', 'P1DT12H', 'PT0S'])('accepts %s', value => {
+        expect(isDuration(value)).toBe(true);
+    });
+
+    test.each(['1D', 'P', 'PT', 'P1H', 'P1W2D', '-P1DT', 'P1.5D'])('rejects %s', value => {
+        expect(isDuration(value)).toBe(false);
+    });
+});
+
+describe('valarmLines', () => {
+    test('builds a DISPLAY alarm with an escaped description', () => {
+        expect(valarmLines('-P1D', 'Christmas, Day')).toEqual([
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'DESCRIPTION:Christmas\\, Day',
+            'TRIGGER:-P1D',
+            'END:VALARM'
+        ]);
+    });
+});
@@ -0,0 +1,212 @@
+const http = require('http');
+const axios = require('axios');
+const { createProviderChain, createProvidersFromEnv } = require('../lib/providers');
+
+// Local stand-in for the upstream APIs; `respond` decides each answer
+function createUpstream() {
+    const upstream = {
+        requests: [],
+        respond: () => ({ status: 200, body: [] })
+    };
+
+    const server = http.createServer((req, res) => {
+        upstream.requests.push(req.url);
+        const { status, body, delayMs = 0 } = upstream.respond(req);
+
+        setTimeout(() => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        }, delayMs);
+    });
+
+    upstream.start = () => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        upstream.baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    }));
+    upstream.stop = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+
+    return upstream;
+}
+
+const NAGER_HOLIDAYS = [
+    { date: '2026-01-01', localName: 'Neujahr', name: "New Year's Day", global: true, types: ['Public'] },
+    { date: '2026-01-06', localName: 'Heilige Drei Könige', name: 'Epiphany', global: false, counties: ['DE-BY', 'DE-BW'], types: ['Public'] },
+    { date: '2026-10-31', localName: 'Reformationstag', name: 'Reformation Day', global: false, counties: ['DE-SN'], types: ['Public'] },
+    { date: '2026-12-24', localName: 'Heiligabend', name: 'Christmas Eve', global: true, types: ['Optional'] }
+];
+
+const HOLIDAYAPI_RESPONSE = {
+    status: 200,
+    holidays: [{ date: '2026-12-25', observed: '2026-12-25', name: 'Christmas Day', public: true }]
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('provider chain against a mock upstream', () => {
+    const upstream = createUpstream();
+    let outcomes;
+
+    beforeAll(() => upstream.start());
+    afterAll(() => upstream.stop());
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+        outcomes = [];
+    });
+
+    function createChain({ providers = 'nager,holidayapi', ...options } = {}) {
+        return createProviderChain({
+            providers: createProvidersFromEnv(axios, {
+                HOLIDAY_PROVIDERS: providers,
+                HOLIDAYAPI_KEY: 'test-key',
+                NAGER_BASE_URL: upstream.baseUrl,
+                HOLIDAYAPI_BASE_URL: upstream.baseUrl,
+                EXTERNAL_API_TIMEOUT: '1000'
+            }),
+            onResult: ({ provider, outcome }) => outcomes.push(`${provider}:${outcome}`),
+            ...options
+        });
+    }
+
+    // Nager answers with `nager` (a status or a response), holidayapi with holidays
+    function answer({ nager = 200 }) {
+        upstream.respond = req => {
+            if (!req.url.startsWith('/api/v3/PublicHolidays/')) {
+                return { status: 200, body: HOLIDAYAPI_RESPONSE };
+            }
+            return typeof nager === 'number' ? { status: nager, body: nager === 200 ? NAGER_HOLIDAYS : {} } : nager;
+        };
+    }
+
+    test('maps Nager holidays, keeping nationwide ones and those of the region', async () => {
+        answer({ nager: 200 });
+        const result = await createChain().fetchHolidays('DE', 2026, 'DE-BY');
+
+        expect(result.provider).toBe('nager');
+        expect(result.holidays).toEqual([
+            { date: '2026-01-01', name: "New Year's Day", localName: 'Neujahr', type: 'public' },
+            { date: '2026-01-06', name: 'Epiphany', localName: 'Heilige Drei Könige', type: 'public' },
+            { date: '2026-12-24', name: 'Christmas Eve', localName: 'Heiligabend', type: 'optional' }
+        ]);
+        expect(upstream.requests).toEqual(['/api/v3/PublicHolidays/2026/DE']);
+    });
+
+    test('falls through to the next provider when one fails', async () => {
+        answer({ nager: 500 });
+        const result = await createChain().fetchHolidays('GB', 2026);
+
+        expect(result).toEqual({ provider: 'holidayapi', holidays: [{ date: '2026-12-25', name: 'Christmas Day', type: 'public' }] });
+        expect(outcomes).toEqual(['nager:failure', 'holidayapi:success']);
+    });
+
+    test('treats a 404 as "not covered" rather than a failure', async () => {
+        answer({ nager: 404 });
+        const chain = createChain({ failureThreshold: 1 });
+
+        await chain.fetchHolidays('XK', 2026);
+        await chain.fetchHolidays('XK', 2026);
+
+        expect(outcomes).toEqual(['nager:empty', 'holidayapi:success', 'nager:empty', 'holidayapi:success']);
+        expect(chain.stats()[0].state).toBe('closed');
+    });
+
+    test('rejects responses with an unexpected schema', async () => {
+        answer({ nager: { status: 200, body: { holidays: [] } } });
+        await createChain({ providers: 'nager' }).fetchHolidays('DE', 2026);
+
+        expect(outcomes).toEqual(['nager:failure']);
+    });
+
+    test('resolves to null when no provider has data', async () => {
+        upstream.respond = () => ({ status: 503, body: {} });
+        expect(await createChain().fetchHolidays('DE', 2026)).toBeNull();
+    });
+
+    test('skips providers without an API key', async () => {
+        answer({ nager: 500 });
+        const chain = createProviderChain({
+            providers: createProvidersFromEnv(axios, { HOLIDAY_PROVIDERS: 'holidayapi,nager', NAGER_BASE_URL: upstream.baseUrl })
+        });
+
+        expect(await chain.fetchHolidays('DE', 2026)).toBeNull();
+        expect(upstream.requests).toEqual(['/api/v3/PublicHolidays/2026/DE']);
+    });
+
+    test.each(['', 'none', ' none '])('configures no providers for HOLIDAY_PROVIDERS=%j', value => {
+        expect(createProvidersFromEnv(axios, { HOLIDAY_PROVIDERS: value })).toEqual([]);
+    });
+
+    test('uses the default order when HOLIDAY_PROVIDERS is not set', () => {
+        expect(createProvidersFromEnv(axios, {}).map(provider => provider.name)).toEqual(['nager', 'holidayapi', 'calendarific']);
+    });
+
+    test('rejects unknown provider names', () => {
+        expect(() => createProvidersFromEnv(axios, { HOLIDAY_PROVIDERS: 'nager,bogus' })).toThrow('Unknown holiday provider(s): bogus');
+    });
+
+    describe('circuit breaker', () => {
+        test('opens after consecutive failures and skips the provider during the cooldown', async () => {
+            answer({ nager: 500 });
+            const chain = createChain({ failureThreshold: 2, cooldownMs: 60000 });
+
+            await chain.fetchHolidays('DE', 2026);
+            await chain.fetchHolidays('DE', 2026);
+            await chain.fetchHolidays('DE', 2026);
+
+            expect(outcomes.filter(outcome => outcome.startsWith('nager'))).toEqual(['nager:failure', 'nager:failure', 'nager:skipped']);
+            expect(upstream.requests.filter(url => url.startsWith('/api/v3'))).toHaveLength(2);
+            expect(chain.stats()[0]).toMatchObject({ state: 'open', consecutiveFailures: 2, skipped: 1 });
+        });
+
+        test('lets a single trial through after the cooldown while concurrent callers fail fast', async () => {
+            answer({ nager: 500 });
+            const chain = createChain({ failureThreshold: 1, cooldownMs: 20 });
+            await chain.fetchHolidays('DE', 2026);
+            await wait(30);
+
+            upstream.requests.length = 0;
+            outcomes = [];
+            answer({ nager: { status: 200, body: NAGER_HOLIDAYS, delayMs: 50 } });
+
+            const results = await Promise.all([1, 2, 3].map(() => chain.fetchHolidays('DE', 2026)));
+
+            expect(upstream.requests.filter(url => url.startsWith('/api/v3'))).toHaveLength(1);
+            expect(results.map(result => result.provider).sort()).toEqual(['holidayapi', 'holidayapi', 'nager']);
+            expect(outcomes.filter(outcome => outcome === 'nager:skipped')).toHaveLength(2);
+            expect(chain.stats()[0]).toMatchObject({ state: 'closed', trialInFlight: false });
+        });
+
+        test('closes again after a successful trial', async () => {
+            answer({ nager: 500 });
+            const chain = createChain({ failureThreshold: 1, cooldownMs: 20 });
+            await chain.fetchHolidays('DE', 2026);
+            await wait(30);
+
+            answer({ nager: 200 });
+            await chain.fetchHolidays('DE', 2026);
+            outcomes = [];
+            await Promise.all([chain.fetchHolidays('DE', 2026), chain.fetchHolidays('DE', 2026)]);
+
+            expect(outcomes).toEqual(['nager:success', 'nager:success']);
+        });
+
+        test('re-opens when the trial fails', async () => {
+            answer({ nager: 500 });
+            const chain = createChain({ failureThreshold: 3, cooldownMs: 20 });
+            for (let attempt = 0; attempt < 3; attempt++) {
+                await chain.fetchHolidays('DE', 2026);
+            }
+            await wait(30);
+
+            outcomes = [];
+            await chain.fetchHolidays('DE', 2026);
+            await chain.fetchHolidays('DE', 2026);
+
+            expect(outcomes.filter(outcome => outcome.startsWith('nager'))).toEqual(['nager:failure', 'nager:skipped']);
+            expect(chain.stats()[0]).toMatchObject({ state: 'open', trialInFlight: false });
+        });
+    });
+});
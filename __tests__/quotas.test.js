@@ -0,0 +1,59 @@
+const { createQuotaTracker } = require('../lib/quotas');
+
+describe('createQuotaTracker', () => {
+    const limits = { minute: 3, day: 5, month: 8 };
+    const at = iso => new Date(iso);
+
+    test('counts requests against every window', () => {
+        const tracker = createQuotaTracker();
+        const result = tracker.consume('key_1', limits, 1, at('2026-03-10T12:00:00Z'));
+
+        expect(result.allowed).toBe(true);
+        expect(result.windows).toMatchObject({
+            minute: { limit: 3, used: 1, remaining: 2, resetAt: at('2026-03-10T12:01:00Z') },
+            day: { limit: 5, used: 1, remaining: 4, resetAt: at('2026-03-11T00:00:00Z') },
+            month: { limit: 8, used: 1, remaining: 7, resetAt: at('2026-04-01T00:00:00Z') }
+        });
+    });
+
+    test('refuses requests beyond the minute window without counting them', () => {
+        const tracker = createQuotaTracker();
+        const now = at('2026-03-10T12:00:00Z');
+        [1, 2, 3].forEach(() => tracker.consume('key_1', limits, 1, now));
+
+        const refused = tracker.consume('key_1', limits, 1, at('2026-03-10T12:00:30Z'));
+
+        expect(refused).toMatchObject({ allowed: false, exceeded: 'minute' });
+        expect(tracker.usageOf('key_1', now)).toMatchObject({ minute: 3, day: 3, total: 3 });
+        expect(tracker.consume('key_1', limits, 1, at('2026-03-10T12:01:00Z')).allowed).toBe(true);
+    });
+
+    test('charges the full cost, and refuses a cost that does not fit', () => {
+        const tracker = createQuotaTracker();
+        const now = at('2026-03-10T12:00:00Z');
+
+        expect(tracker.consume('key_1', limits, 3, now).allowed).toBe(true);
+        expect(tracker.consume('key_1', limits, 3, at('2026-03-10T12:05:00Z'))).toMatchObject({ allowed: false, exceeded: 'day' });
+        expect(tracker.consume('key_1', limits, 2, at('2026-03-10T12:05:00Z')).allowed).toBe(true);
+        expect(tracker.usageOf('key_1', at('2026-03-10T12:05:00Z'))).toMatchObject({ minute: 2, day: 5, month: 5 });
+    });
+
+    test('resets the daily window at midnight UTC and the monthly one on the 1st', () => {
+        const tracker = createQuotaTracker();
+        ['2026-03-31T10:00:00Z', '2026-03-31T11:00:00Z', '2026-03-31T12:00:00Z', '2026-03-31T13:00:00Z', '2026-03-31T14:00:00Z']
+            .forEach(time => tracker.consume('key_1', limits, 1, at(time)));
+
+        expect(tracker.consume('key_1', limits, 1, at('2026-03-31T23:00:00Z')).exceeded).toBe('day');
+        expect(tracker.consume('key_1', limits, 1, at('2026-04-01T00:00:00Z')).windows.day.used).toBe(1);
+        expect(tracker.usageOf('key_1', at('2026-04-01T00:00:00Z'))).toMatchObject({ day: 1, month: 1, total: 6 });
+    });
+
+    test('keeps clients apart', () => {
+        const tracker = createQuotaTracker();
+        const now = at('2026-03-10T12:00:00Z');
+        [1, 2, 3].forEach(() => tracker.consume('key_1', limits, 1, now));
+
+        expect(tracker.consume('key_2', limits, 1, now).allowed).toBe(true);
+        expect(tracker.clients()).toEqual(['key_1', 'key_2']);
+    });
+});
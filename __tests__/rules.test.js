@@ -0,0 +1,150 @@
+const { computeHolidays, easterSunday, toISODate } = require('../lib/rules');
+const { selectPeriod } = require('../lib/holiday-list');
+
+const named = (holidays, name) => holidays.filter(holiday => holiday.name === name);
+
+// { name: [date, observed] } for the named holidays
+function datesOf(country, year, region, names) {
+    return Object.fromEntries(computeHolidays(country, year, region)
+        .filter(holiday => names.includes(holiday.name))
+        .map(holiday => [holiday.name, [holiday.date, holiday.observed]]));
+}
+
+describe('Easter-based rules', () => {
+    test.each([
+        [2000, '2000-04-23'],
+        [2019, '2019-04-21'],
+        [2024, '2024-03-31'],
+        [2025, '2025-04-20'],
+        [2026, '2026-04-05'],
+        [2038, '2038-04-25']
+    ])('Easter Sunday %i is %s', (year, date) => {
+        expect(toISODate(easterSunday(year))).toBe(date);
+    });
+
+    test('places holidays relative to Easter', () => {
+        expect(datesOf('DE', 2026, undefined, ['Good Friday', 'Easter Monday', 'Ascension Day', 'Whit Monday'])).toEqual({
+            'Good Friday': ['2026-04-03', undefined],
+            'Easter Monday': ['2026-04-06', undefined],
+            'Ascension Day': ['2026-05-14', undefined],
+            'Whit Monday': ['2026-05-25', undefined]
+        });
+        expect(datesOf('DE', 2026, 'DE-BY', ['Corpus Christi'])).toEqual({ 'Corpus Christi': ['2026-06-04', undefined] });
+    });
+});
+
+describe('weekday rules', () => {
+    test('resolves nth and last weekdays of a month', () => {
+        expect(datesOf('US', 2026, undefined, ['Martin Luther King Jr. Day', 'Memorial Day', 'Thanksgiving Day'])).toEqual({
+            'Martin Luther King Jr. Day': ['2026-01-19', undefined],
+            'Memorial Day': ['2026-05-25', undefined],
+            'Thanksgiving Day': ['2026-11-26', undefined]
+        });
+    });
+
+    test('applies offsets to weekday rules', () => {
+        expect(datesOf('US', 2026, 'US-CA', ['Day after Thanksgiving'])).toEqual({ 'Day after Thanksgiving': ['2026-11-27', undefined] });
+    });
+
+    test('resolves a weekday on or before a date', () => {
+        expect(datesOf('CA', 2026, undefined, ['Victoria Day'])).toEqual({ 'Victoria Day': ['2026-05-18', undefined] });
+        expect(datesOf('CA', 2027, undefined, ['Victoria Day'])).toEqual({ 'Victoria Day': ['2027-05-24', undefined] });
+    });
+
+    test('honours the years a holiday was introduced', () => {
+        expect(datesOf('US', 2020, undefined, ['Juneteenth National Independence Day'])).toEqual({});
+        expect(datesOf('US', 2022, undefined, ['Juneteenth National Independence Day']))
+            .toEqual({ 'Juneteenth National Independence Day': ['2022-06-19', '2022-06-20'] });
+    });
+});
+
+describe('observed dates', () => {
+    test('moves weekend holidays to the nearest weekday', () => {
+        expect(datesOf('US', 2026, undefined, ['Independence Day'])).toEqual({ 'Independence Day': ['2026-07-04', '2026-07-03'] });
+        expect(datesOf('US', 2022, undefined, ['Christmas Day'])).toEqual({ 'Christmas Day': ['2022-12-25', '2022-12-26'] });
+    });
+
+    test('moves weekend holidays to the following Monday', () => {
+        expect(datesOf('CA', 2022, undefined, ["New Year's Day"])).toEqual({ "New Year's Day": ['2022-01-01', '2022-01-03'] });
+    });
+
+    test('only moves Sunday holidays under sundayToMonday', () => {
+        expect(datesOf('CA', 2023, undefined, ['Canada Day'])).toEqual({ 'Canada Day': ['2023-07-01', undefined] });
+    });
+
+    test('gives substitute days that skip holidays already taken', () => {
+        expect(datesOf('GB', 2027, undefined, ['Christmas Day', 'Boxing Day'])).toEqual({
+            'Christmas Day': ['2027-12-25', '2027-12-27'],
+            'Boxing Day': ['2027-12-26', '2027-12-28']
+        });
+    });
+
+    test('leaves weekday holidays alone', () => {
+        expect(datesOf('US', 2026, undefined, ['Christmas Day'])).toEqual({ 'Christmas Day': ['2026-12-25', undefined] });
+    });
+});
+
+describe('Korean substitute holidays', () => {
+    const substitutes = (year, ...names) => computeHolidays('KR', year)
+        .filter(holiday => holiday.observed && (!names.length || names.includes(holiday.name)))
+        .map(holiday => [holiday.name, holiday.date, holiday.observed]);
+
+    test('substitutes Seollal and Chuseok days falling on a Sunday', () => {
+        expect(substitutes(2024, 'Seollal', 'Seollal Holiday')).toEqual([['Seollal Holiday', '2024-02-11', '2024-02-12']]);
+        expect(substitutes(2025, 'Chuseok', 'Chuseok Holiday')).toEqual([['Chuseok Holiday', '2025-10-05', '2025-10-08']]);
+    });
+
+    test('does not substitute Seollal and Chuseok days falling on a Saturday', () => {
+        // Seollal runs Saturday 6 to Monday 8 February 2027; only Sunday is replaced
+        expect(substitutes(2027, 'Seollal', 'Seollal Holiday')).toEqual([['Seollal', '2027-02-07', '2027-02-09']]);
+    });
+
+    test('substitutes a Chuseok day shared with another holiday', () => {
+        // Chuseok falls on National Foundation Day, Tuesday 3 October 2028
+        expect(substitutes(2028)).toEqual([['Chuseok', '2028-10-03', '2028-10-05']]);
+    });
+
+    test("substitutes Children's Day on a weekend or shared with another holiday", () => {
+        expect(substitutes(2029, "Children's Day")).toEqual([["Children's Day", '2029-05-05', '2029-05-07']]);
+        expect(substitutes(2024, "Children's Day")).toEqual([["Children's Day", '2024-05-05', '2024-05-06']]);
+        // Buddha's Birthday falls on Monday 5 May 2025
+        expect(substitutes(2025, "Children's Day", "Buddha's Birthday")).toEqual([["Children's Day", '2025-05-05', '2025-05-06']]);
+    });
+
+    test('only substitutes from the years the rules took effect', () => {
+        expect(substitutes(2013)).toEqual([]);
+        expect(substitutes(2020, 'Liberation Day')).toEqual([]);
+        expect(substitutes(2021, 'Liberation Day')).toEqual([['Liberation Day', '2021-08-15', '2021-08-16']]);
+        expect(substitutes(2022, 'Christmas Day')).toEqual([]);
+        expect(substitutes(2027, 'Christmas Day')).toEqual([['Christmas Day', '2027-12-25', '2027-12-27']]);
+    });
+});
+
+describe('observances across years', () => {
+    // 1 January 2028 is a Saturday, observed on Friday 31 December 2027
+    test('lists next year\'s holidays observed in the requested year', () => {
+        expect(named(computeHolidays('US', 2027), "New Year's Day")).toEqual([
+            expect.objectContaining({ date: '2027-01-01' }),
+            expect.objectContaining({ date: '2028-01-01', observed: '2027-12-31' })
+        ]);
+    });
+
+    test('still lists them in their own year', () => {
+        expect(named(computeHolidays('US', 2028), "New Year's Day")).toEqual([
+            expect.objectContaining({ date: '2028-01-01', observed: '2027-12-31' })
+        ]);
+    });
+
+    test('leaves years without such observances alone', () => {
+        expect(named(computeHolidays('US', 2026), "New Year's Day").map(holiday => holiday.date)).toEqual(['2026-01-01']);
+    });
+
+    test('keeps the holiday once when selecting a period spanning both years', () => {
+        const holidays = [2027, 2028].flatMap(year => computeHolidays('US', year).map(holiday => ({ ...holiday, country: 'US' })));
+
+        expect(named(selectPeriod(holidays, '2027-01-01', '2028-12-31'), "New Year's Day").map(holiday => holiday.date))
+            .toEqual(['2027-01-01', '2028-01-01']);
+        expect(named(selectPeriod(holidays, '2027-12-01', '2027-12-31'), "New Year's Day"))
+            .toEqual([expect.objectContaining({ date: '2028-01-01', observed: '2027-12-31' })]);
+    });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createKeyStore } = require('../lib/api-keys');
+
+// The server's logs and stores go to a scratch directory, and holidays come
+// from the offline rules.
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'holiday-api-test-'));
+const originalDir = process.cwd();
+
+let app;
+const keys = {};
+
+// An enterprise key for most tests, a pro key, and a key whose stored tier
+// this build does not know
+async function createKeys(file) {
+    const store = createKeyStore({ file });
+    keys.enterprise = (await store.create({ name: 'Enterprise', tier: 'enterprise' })).key;
+    keys.pro = (await store.create({ name: 'Pro', tier: 'pro' })).key;
+    keys.unknownTier = (await store.create({ name: 'Legacy', tier: 'basic' })).key;
+
+    const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    records[2].tier = 'platinum';
+    fs.writeFileSync(file, JSON.stringify(records));
+}
+
+beforeAll(async () => {
+    process.chdir(workDir);
+    await createKeys(path.join(workDir, 'data', 'api-keys.json'));
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        AUTH_MODE: 'apikey',
+        HOLIDAY_PROVIDERS: 'none',
+        RATE_LIMIT_MAX_REQUESTS_PRO: '2',
+        CALENDARS_FILE: path.join(workDir, 'calendars', 'calendars.json'),
+        EVENT_VERSIONS_FILE: path.join(workDir, 'data', 'event-versions.json'),
+        WEBHOOKS_FILE: path.join(workDir, 'data', 'webhooks.json'),
+        HOLIDAY_SNAPSHOTS_FILE: path.join(workDir, 'data', 'holiday-snapshots.json'),
+        API_KEYS_FILE: path.join(workDir, 'data', 'api-keys.json'),
+        QUOTA_USAGE_FILE: path.join(workDir, 'data', 'usage.json')
+    });
+    app = require('../server');
+});
+
+const client = {
+    get: url => request(app).get(url).set('X-API-Key', keys.enterprise),
+    post: url => request(app).post(url).set('X-API-Key', keys.enterprise),
+    delete: url => request(app).delete(url).set('X-API-Key', keys.enterprise)
+};
+
+// Makes writes under `directory` fail by putting a file where it should be
+function blockDirectory(directory) {
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.writeFileSync(directory, '');
+    return () => fs.rmSync(directory);
+}
+
+afterAll(() => {
+    process.chdir(originalDir);
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('repeated query parameters', () => {
+    test('merges repeated list parameters', async () => {
+        const response = await client.get('/holidays?country=US&country=CA&year=2026&format=json&types=public&types=bank');
+
+        expect(response.status).toBe(200);
+        expect(response.body.country).toBe('US,CA');
+    });
+
+    test.each([
+        ['format', 'format=ics&format=json'],
+        ['year', 'year=2026&year=2027'],
+        ['tz', 'year=2026&tz=UTC&tz=Europe/London'],
+        ['mode', 'year=2026&mode=allday&mode=timed'],
+        ['observed', 'year=2026&observed=annotate&observed=replace'],
+        ['end', 'year=2026&end=dtend&end=duration']
+    ])('rejects a repeated "%s"', async (name, params) => {
+        const response = await client.get(`/holidays?country=US&${params}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ code: 'INVALID_PARAMETER', message: `Parameter "${name}" takes a single value` });
+    });
+
+    test('rejects invalid values in repeated list parameters', async () => {
+        const types = await client.get('/holidays?country=US&year=2026&types=public&types=bogus');
+        const alarm = await client.get('/holidays?country=US&year=2026&alarm=-P1D&alarm=soon');
+
+        expect(types.status).toBe(400);
+        expect(types.body.code).toBe('INVALID_TYPES');
+        expect(alarm.status).toBe(400);
+        expect(alarm.body.code).toBe('INVALID_ALARM');
+    });
+
+    test('rejects repeated diff targets when parsing a calendar', async () => {
+        const response = await client.post('/ics/parse?country=US&country=GB&year=2026')
+            .set('Content-Type', 'text/calendar')
+            .send('BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//Test//EN\r\nEND:VCALENDAR\r\n');
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_DIFF_TARGET');
+    });
+});
+
+describe('time zones', () => {
+    test('accepts zone names in any case and returns the canonical name', async () => {
+        const ics = await client.get('/holidays?country=GB&year=2026&format=ics&mode=timed&tz=europe/london');
+        const next = await client.get('/holidays/next?country=GB&tz=europe/london');
+
+        expect(ics.status).toBe(200);
+        expect(ics.text).toContain('X-WR-TIMEZONE:Europe/London');
+        expect(ics.text).toContain('TZID:Europe/London');
+        expect(next.status).toBe(200);
+        expect(next.body.timeZone).toBe('Europe/London');
+    });
+
+    test('rejects unknown zones on every endpoint', async () => {
+        const ics = await client.get('/holidays?country=GB&year=2026&format=ics&tz=Europe/Nowhere');
+        const next = await client.get('/holidays/next?country=GB&tz=Europe/Nowhere');
+
+        expect(ics.status).toBe(400);
+        expect(ics.body.code).toBe('INVALID_TIMEZONE');
+        expect(next.status).toBe(400);
+        expect(next.body).toMatchObject({ code: 'INVALID_TIMEZONE', message: 'Time zone "Europe/Nowhere" is not a known IANA time zone name' });
+    });
+});
+
+describe('calendar storage failures', () => {
+    const calendar = { name: 'Acme', country: 'US', additions: [{ name: 'Founders Day', date: '2026-03-02' }] };
+
+    test('answers 500 when a new calendar cannot be saved', async () => {
+        const unblock = blockDirectory(path.join(workDir, 'calendars'));
+        const response = await client.post('/calendars').send(calendar);
+        unblock();
+
+        expect(response.status).toBe(500);
+        expect(response.body.code).toBe('INTERNAL_ERROR');
+    });
+
+    test('answers 500 and keeps the calendar when deleting it cannot be saved', async () => {
+        const created = await client.post('/calendars').send(calendar);
+        expect(created.status).toBe(201);
+
+        const unblock = blockDirectory(path.join(workDir, 'calendars'));
+        const deleted = await client.delete(`/calendars/${created.body.id}`);
+        unblock();
+
+        expect(deleted.status).toBe(500);
+        expect(deleted.body.code).toBe('INTERNAL_ERROR');
+        expect((await client.get(`/calendars/${created.body.id}`)).status).toBe(200);
+        expect((await client.delete(`/calendars/${created.body.id}`)).status).toBe(204);
+    });
+});
+
+describe('quotas', () => {
+    const holidays = '/holidays?country=US&year=2026&format=json';
+
+    test('reports the plan limits and refuses requests beyond the minute window', async () => {
+        const first = await request(app).get(holidays).set('X-API-Key', keys.pro);
+        await request(app).get(holidays).set('X-API-Key', keys.pro);
+        const refused = await request(app).get(holidays).set('X-API-Key', keys.pro);
+
+        expect(first.status).toBe(200);
+        expect(first.headers).toMatchObject({ 'ratelimit-limit': '2', 'ratelimit-remaining': '1', 'x-quota-daily-limit': '20000' });
+        expect(refused.status).toBe(429);
+        expect(refused.body).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', message: 'Pro plan: 2 requests per minute' });
+        expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    test('gives keys with an unknown tier the basic limits', async () => {
+        const response = await request(app).get(holidays).set('X-API-Key', keys.unknownTier);
+
+        expect(response.status).toBe(200);
+        expect(response.headers).toMatchObject({ 'ratelimit-limit': '10', 'x-quota-daily-limit': '1000' });
+    });
+
+    test('rejects unknown keys', async () => {
+        const response = await request(app).get(holidays).set('X-API-Key', 'hk_unknown');
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('INVALID_API_KEY');
+    });
+});
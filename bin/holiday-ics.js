@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Generates holiday calendars from the command line, fully offline
+ *
+ * Usage: holiday-ics --country US --year 2026 --region CA --format ics -o out.ics
+ *
+ * Holidays come from the offline rules engine, the same data the API falls
+ * back to when its upstream sources are unavailable. Run with --help for all
+ * options.
+ */
+
+const fs = require('fs');
+const { getHolidays, formatHolidays, listCountries, listRegions, FORMATS, OBSERVED_MODES, HOLIDAY_TYPES } = require('..');
+
+const USAGE = `Usage: holiday-ics --country <codes> [options]
+
+Options:
+  -c, --country <codes>   ISO 3166-1 country code, or several comma-separated
+  -y, --year <year>       Year or range of years, e.g. 2026 or 2025-2027 (default: current year)
+      --from <date>       Start date (YYYY-MM-DD); use with --to instead of --year
+      --to <date>         End date (YYYY-MM-DD)
+  -r, --region <codes>    ISO 3166-2 subdivision, e.g. CA or US-CA
+  -f, --format <format>   ${FORMATS.join(', ')} (default: ics)
+  -o, --output <file>     Write to a file instead of standard output
+      --types <types>     Comma-separated holiday types: ${HOLIDAY_TYPES.join(', ')}
+      --observed <mode>   ${OBSERVED_MODES.join(', ')} (default: annotate)
+      --collapse          Merge holidays shared by several countries
+      --lang <tag>        BCP 47 language tag for holiday names
+      --mode <mode>       ICS events: allday (default) or timed
+      --tz <zone>         IANA time zone for timed events (default: UTC)
+      --alarm <triggers>  Comma-separated reminders, e.g. -P1D
+      --end <style>       ICS all-day event end: dtend (default) or duration
+      --native            Add native calendar dates to descriptions
+      --title <name>      Calendar name
+      --list-countries    List the countries covered offline
+      --list-regions      List the regions of --country
+  -h, --help              Show this help`;
+
+const ALIASES = { c: 'country', y: 'year', r: 'region', f: 'format', o: 'output', h: 'help' };
+const FLAGS = ['collapse', 'native', 'list-countries', 'list-regions', 'help'];
+const VALUES = ['country', 'year', 'from', 'to', 'region', 'format', 'output', 'types', 'observed', 'lang', 'mode', 'tz', 'alarm', 'end', 'title'];
+
+// "--name value", "--name=value" and "-n value"
+function parseArgs(argv) {
+    const options = {};
+
+    for (let index = 0; index < argv.length; index++) {
+        const match = /^(?:--([a-z-]+)|-([a-z]))(?:=(.*))?$/.exec(argv[index]);
+        const name = match && (match[1] || ALIASES[match[2]]);
+
+        if (FLAGS.includes(name) && match[3] === undefined) {
+            options[name] = true;
+        } else if (VALUES.includes(name)) {
+            const value = match[3] ?? argv[++index];
+            if (value === undefined) {
+                throw new Error(`Option ${argv[index - 1]} needs a value`);
+            }
+            options[name] = value;
+        } else {
+            throw new Error(`Unknown option "${argv[index]}"`);
+        }
+    }
+
+    return options;
+}
+
+// --year 2026 or --year 2025-2027
+function periodOf(options) {
+    if (!options.year || options.from || options.to) {
+        return { from: options.from, to: options.to };
+    }
+
+    const match = /^(\d{4})(?:-(\d{4}))?$/.exec(options.year);
+    if (!match) {
+        throw new Error(`Invalid year "${options.year}"; expected e.g. 2026 or 2025-2027`);
+    }
+
+    return match[2]
+        ? { from: `${match[1]}-01-01`, to: `${match[2]}-12-31` }
+        : { year: Number(match[1]) };
+}
+
+function run(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options['list-countries']) {
+        console.log(listCountries().join('\n'));
+        return;
+    }
+
+    if (options['list-regions']) {
+        listRegions(String(options.country || '').toUpperCase())
+            .forEach(({ code, name }) => console.log(`${code}\t${name}`));
+        return;
+    }
+
+    if (!options.country) {
+        throw new Error(`--country is required\n\n${USAGE}`);
+    }
+
+    const period = periodOf(options);
+    const holidays = getHolidays({
+        country: options.country,
+        region: options.region,
+        ...period,
+        types: options.types,
+        observed: options.observed,
+        collapse: Boolean(options.collapse),
+        lang: options.lang
+    });
+
+    const body = formatHolidays(holidays, options.format || 'ics', {
+        country: options.country,
+        region: options.region,
+        ...period,
+        title: options.title,
+        lang: options.lang,
+        mode: options.mode,
+        tz: options.tz,
+        end: options.end,
+        alarms: options.alarm ? options.alarm.split(',') : [],
+        native: Boolean(options.native)
+    });
+
+    if (options.output) {
+        fs.writeFileSync(options.output, body);
+        console.error(`Wrote ${holidays.length} holidays to ${options.output}`);
+    } else {
+        process.stdout.write(body);
+    }
+}
+
+try {
+    run(process.argv.slice(2));
+} catch (error) {
+    console.error(`holiday-ics: ${error.message}`);
+    process.exit(1);
+}
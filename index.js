@@ -0,0 +1,228 @@
+/**
+ * Holiday Calendar library
+ *
+ * The holiday data and calendar formats behind the API, usable without
+ * starting a server. Holidays are computed offline by the rules engine, so
+ * no network access or API key is needed:
+ *
+ *   const { getHolidays, toICS } = require('holiday-calendar-api-rapidapi');
+ *
+ *   const holidays = getHolidays({ country: 'US', year: 2026, region: 'CA' });
+ *   fs.writeFileSync('us-ca-2026.ics', toICS(holidays));
+ *
+ * Invalid options throw an Error describing the problem. The HTTP API lives
+ * in server.js, which only listens when run directly.
+ */
+
+const ruleSets = require('./lib/rule-sets');
+const { computeHolidays, hasRules } = require('./lib/rules');
+const { normalizeRegion, listRegions, isKnownRegion } = require('./lib/regions');
+const { parseLanguageTag, localizeHolidays } = require('./lib/i18n');
+const { canonicalTimeZone } = require('./lib/timezones');
+const { isDuration } = require('./lib/ics-writer');
+const { OUTPUT_FORMATS, holidayCountries } = require('./lib/formats');
+const { OBSERVED_MODES, HOLIDAY_TYPES, selectPeriod, collapseSharedHolidays, applyObservedMode } = require('./lib/holiday-list');
+const { createBusinessCalendar } = require('./lib/business-days');
+const { parseICS, validateICS } = require('./lib/ics-parser');
+const { diffHolidays } = require('./lib/holiday-diff');
+
+const EVENT_MODES = ['allday', 'timed'];
+const END_STYLES = ['dtend', 'duration'];
+
+// "US,GB" or ["US", "GB"] -> ["US", "GB"]
+function toList(value) {
+    return [].concat(value || [])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim().toUpperCase())
+        .filter(Boolean);
+}
+
+function isISODate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+}
+
+// One { country, region } scope per country; regions may be bare ("CA")
+// for a single country and must be full ISO 3166-2 codes otherwise
+function resolveScopes(country, region) {
+    const countries = toList(country);
+    if (!countries.length) {
+        throw new Error('A country is required');
+    }
+
+    const unknown = countries.find(code => !hasRules(code));
+    if (unknown) {
+        throw new Error(`No offline holiday rules for country "${unknown}"`);
+    }
+
+    const regions = toList(region).map(code => countries.length === 1 ? normalizeRegion(countries[0], code) : code);
+    regions.forEach(code => {
+        const owner = countries.find(candidate => code.startsWith(`${candidate}-`));
+        if (!owner || !isKnownRegion(owner, code)) {
+            throw new Error(`Unknown region "${code}"`);
+        }
+    });
+
+    return countries.map(code => ({ country: code, region: regions.find(candidate => candidate.startsWith(`${code}-`)) }));
+}
+
+// A single year, or an inclusive from/to date range
+function resolveRange({ year, from, to }) {
+    if (from || to) {
+        if (!isISODate(from) || !isISODate(to) || from > to) {
+            throw new Error('"from" and "to" must both be YYYY-MM-DD dates, with "from" first');
+        }
+        return { from, to };
+    }
+
+    const selected = year === undefined ? new Date().getUTCFullYear() : Number(year);
+    if (!Number.isInteger(selected)) {
+        throw new Error(`Invalid year "${year}"`);
+    }
+
+    return { from: `${selected}-01-01`, to: `${selected}-12-31` };
+}
+
+/**
+ * Holidays for one or more countries, computed offline.
+ *
+ * Options: country (required; code, comma-separated codes or array), region,
+ * year (defaults to the current year) or from/to dates, types, lang,
+ * observed ("annotate", "include" or "replace") and collapse. Each holiday
+ * carries its `country`.
+ */
+function getHolidays(options = {}) {
+    const { country, region, types, lang, observed = 'annotate', collapse = false } = options;
+    const scopes = resolveScopes(country, region);
+    const { from, to } = resolveRange(options);
+
+    const typeFilter = types ? toList(types).map(type => type.toLowerCase()) : null;
+    const invalidType = typeFilter?.find(type => !HOLIDAY_TYPES.includes(type));
+    if (invalidType) {
+        throw new Error(`Unknown holiday type "${invalidType}"; expected ${HOLIDAY_TYPES.join(', ')}`);
+    }
+
+    if (!OBSERVED_MODES.includes(observed)) {
+        throw new Error(`Observed mode must be one of ${OBSERVED_MODES.join(', ')}`);
+    }
+
+    const language = lang ? parseLanguageTag(lang) : undefined;
+    if (lang && !language) {
+        throw new Error(`"${lang}" is not a valid BCP 47 language tag`);
+    }
+
+    const years = [];
+    for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) {
+        years.push(year);
+    }
+
+    const holidays = selectPeriod(scopes
+        .flatMap(scope => years.flatMap(year => computeHolidays(scope.country, year, scope.region)
+            .map(holiday => ({ ...holiday, country: scope.country })))), from, to);
+
+    const merged = collapse && scopes.length > 1 ? collapseSharedHolidays(holidays) : holidays;
+    const selected = typeFilter ? merged.filter(holiday => typeFilter.includes(holiday.type)) : merged;
+
+    return applyObservedMode(localizeHolidays(selected, language), observed);
+}
+
+// Calendar options for the generators, filling in the country, scopes and
+// period from the holidays themselves where not given
+function calendarOptions(holidays, options) {
+    const { region, mode = 'allday', tz = 'UTC', end = 'dtend', alarms = [] } = options;
+
+    if (!EVENT_MODES.includes(mode)) {
+        throw new Error(`Mode must be one of ${EVENT_MODES.join(', ')}`);
+    }
+    const timeZone = canonicalTimeZone(tz);
+    if (!timeZone) {
+        throw new Error(`Unknown time zone "${tz}"`);
+    }
+    if (!END_STYLES.includes(end)) {
+        throw new Error(`End style must be one of ${END_STYLES.join(', ')}`);
+    }
+    const invalidAlarm = [].concat(alarms).find(trigger => !isDuration(trigger));
+    if (invalidAlarm) {
+        throw new Error(`Alarm "${invalidAlarm}" is not an ISO 8601 duration such as -P1D`);
+    }
+
+    const countries = toList(options.country).length
+        ? toList(options.country)
+        : [...new Set(holidays.flatMap(holiday => holidayCountries(holiday)))].filter(Boolean);
+    const regions = toList(region).map(code => countries.length === 1 ? normalizeRegion(countries[0], code) : code);
+    const dates = holidays.map(holiday => holiday.date).sort();
+    const { from, to } = options.year !== undefined || options.from || options.to
+        ? resolveRange(options)
+        : { from: dates[0], to: dates[dates.length - 1] };
+    const firstYear = from?.slice(0, 4);
+    const lastYear = to?.slice(0, 4);
+
+    return {
+        ...options,
+        country: countries.join(','),
+        region: regions.length ? regions.join(',') : undefined,
+        scopes: countries.map(code => ({ country: code, region: regions.find(candidate => candidate.startsWith(`${code}-`)) })),
+        year: options.year || (firstYear === lastYear ? firstYear : `${firstYear}-${lastYear}`),
+        from,
+        to,
+        mode,
+        tz: timeZone,
+        end,
+        alarms: [].concat(alarms)
+    };
+}
+
+/**
+ * Serializes holidays as "ics", "json", "csv" or "xml".
+ *
+ * Options: country, region, year, from, to and title (all inferred from the
+ * holidays when left out), plus the ICS options mode ("allday" or "timed"),
+ * tz, lang, alarms (ISO 8601 durations), end ("dtend" or "duration") and
+ * native (add native calendar dates to descriptions).
+ */
+function formatHolidays(holidays, format, options = {}) {
+    const outputFormat = OUTPUT_FORMATS[format];
+    if (!outputFormat) {
+        throw new Error(`Format must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+
+    return outputFormat.generate(holidays, calendarOptions(holidays, options));
+}
+
+function toICS(holidays, options) {
+    return formatHolidays(holidays, 'ics', options);
+}
+
+function toJSON(holidays, options) {
+    return formatHolidays(holidays, 'json', options);
+}
+
+function toCSV(holidays, options) {
+    return formatHolidays(holidays, 'csv', options);
+}
+
+function toXML(holidays, options) {
+    return formatHolidays(holidays, 'xml', options);
+}
+
+// Countries the offline rules engine covers
+function listCountries() {
+    return Object.keys(ruleSets).sort();
+}
+
+module.exports = {
+    getHolidays,
+    formatHolidays,
+    toICS,
+    toJSON,
+    toCSV,
+    toXML,
+    listCountries,
+    listRegions,
+    createBusinessCalendar,
+    parseICS,
+    validateICS,
+    diffHolidays,
+    FORMATS: Object.keys(OUTPUT_FORMATS),
+    OBSERVED_MODES,
+    HOLIDAY_TYPES
+};
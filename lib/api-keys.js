@@ -0,0 +1,108 @@
+/**
+ * API key store for standalone (non-RapidAPI) deployments
+ *
+ * Keys are handed out once and only their SHA-256 hash is kept, alongside an
+ * ID, a display name and the plan tier the key is entitled to. With a `file`,
+ * keys are read from and written to disk, and the file is re-read when it
+ * changes, so keys created by scripts/create-api-key.js work without a restart.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TIERS = ['basic', 'pro', 'enterprise'];
+const KEY_PREFIX = 'hk_';
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Records with a tier this build does not know (e.g. a hand-edited file) are
+// reported through `onError` and given basic limits
+function loadKeys(file, onError) {
+    let records;
+    try {
+        records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return [];
+    }
+
+    return records.map(record => {
+        if (TIERS.includes(record.tier)) {
+            return record;
+        }
+        onError(new Error(`Key ${record.id} has unknown tier "${record.tier}"; using basic`));
+        return { ...record, tier: 'basic' };
+    });
+}
+
+function createKeyStore({ file = null, watch = false, onError = () => {} } = {}) {
+    let records = file ? loadKeys(file, onError) : [];
+    let byHash = new Map(records.map(record => [record.hash, record]));
+
+    function reload() {
+        try {
+            records = loadKeys(file, onError);
+            byHash = new Map(records.map(record => [record.hash, record]));
+        } catch (error) {
+            onError(error);
+        }
+    }
+
+    if (file && watch) {
+        fs.watchFile(file, { interval: 5000, persistent: false }, reload);
+    }
+
+    // Returns the key's record, or null for unknown and revoked keys
+    function authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+            return null;
+        }
+
+        const record = byHash.get(hashKey(key));
+        return record && !record.revokedAt ? record : null;
+    }
+
+    // Returns { key, record }; the plain key is not stored and cannot be recovered
+    async function create({ name, tier = 'basic' }) {
+        if (!TIERS.includes(tier)) {
+            throw new Error(`Tier must be one of ${TIERS.join(', ')}`);
+        }
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+        const record = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            name,
+            tier,
+            hash: hashKey(key),
+            createdAt: new Date().toISOString()
+        };
+
+        records.push(record);
+        byHash.set(record.hash, record);
+
+        if (file) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify(records, null, 2));
+        }
+
+        return { key, record };
+    }
+
+    function get(id) {
+        return records.find(record => record.id === id) || null;
+    }
+
+    return {
+        authenticate,
+        create,
+        get,
+        list: () => records.slice()
+    };
+}
+
+module.exports = { createKeyStore, TIERS };
@@ -0,0 +1,257 @@
+/**
+ * Business-day arithmetic on top of holiday data
+ *
+ * A business calendar combines a country's weekend days with its public and
+ * bank holidays (including observed/substitute dates). Holiday data is pulled
+ * per year through the `loadHolidays(year)` callback and kept for the
+ * lifetime of the calendar, so one calendar should serve a single request.
+ */
+
+const { WEEKDAYS } = require('./weekdays');
+const { addDays, toISODate } = require('./rules');
+
+const { SUNDAY, MONDAY, TUESDAY, WEDNESDAY, THURSDAY, FRIDAY, SATURDAY } = WEEKDAYS;
+
+const DEFAULT_WEEKEND = [SATURDAY, SUNDAY];
+const FRIDAY_SATURDAY = [FRIDAY, SATURDAY];
+
+// Countries whose weekend differs from Saturday/Sunday; `from`/`to` bound
+// the years a weekend applied, as in the holiday rule sets
+const COUNTRY_WEEKENDS = {
+    AE: [{ days: FRIDAY_SATURDAY, to: 2021 }],
+    BH: [{ days: FRIDAY_SATURDAY }],
+    DZ: [{ days: FRIDAY_SATURDAY }],
+    EG: [{ days: FRIDAY_SATURDAY }],
+    IL: [{ days: FRIDAY_SATURDAY }],
+    IQ: [{ days: FRIDAY_SATURDAY }],
+    IR: [{ days: [FRIDAY] }],
+    JO: [{ days: FRIDAY_SATURDAY }],
+    KW: [{ days: FRIDAY_SATURDAY }],
+    LY: [{ days: FRIDAY_SATURDAY }],
+    NP: [{ days: [SATURDAY] }],
+    OM: [{ days: FRIDAY_SATURDAY }],
+    QA: [{ days: FRIDAY_SATURDAY }],
+    SA: [{ days: FRIDAY_SATURDAY }],
+    SD: [{ days: FRIDAY_SATURDAY }],
+    SY: [{ days: FRIDAY_SATURDAY }],
+    YE: [{ days: FRIDAY_SATURDAY }]
+};
+
+const WEEKDAY_NAMES = {
+    sun: SUNDAY,
+    mon: MONDAY,
+    tue: TUESDAY,
+    wed: WEDNESDAY,
+    thu: THURSDAY,
+    fri: FRIDAY,
+    sat: SATURDAY
+};
+
+// Holiday types that close businesses; optional and observance days do not.
+// Half-day holidays (those with a `time` window) leave the day a working day.
+const NON_WORKING_TYPES = ['public', 'bank'];
+
+function weekendFor(country, year) {
+    const match = (COUNTRY_WEEKENDS[country] || []).find(entry =>
+        (entry.from === undefined || year >= entry.from) && (entry.to === undefined || year <= entry.to));
+
+    return match ? match.days : DEFAULT_WEEKEND;
+}
+
+// Parses "fri,sat" (or "friday,saturday") into weekday numbers; null if invalid
+function parseWeekend(value) {
+    const names = value.split(',').map(name => name.trim().toLowerCase().slice(0, 3)).filter(Boolean);
+    const days = [...new Set(names.map(name => WEEKDAY_NAMES[name]))];
+
+    if (!names.length || days.some(day => day === undefined) || days.length >= 7) {
+        return null;
+    }
+
+    return days;
+}
+
+function weekdayName(day) {
+    return Object.keys(WEEKDAY_NAMES).find(name => WEEKDAY_NAMES[name] === day);
+}
+
+function toUTCDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function createBusinessCalendar({ country, weekend, loadHolidays }) {
+    const closuresByYear = new Map();
+
+    // Map of date -> holidays closing that day, keyed on both the actual and
+    // the observed date
+    function closuresFor(year) {
+        if (!closuresByYear.has(year)) {
+            closuresByYear.set(year, Promise.resolve(loadHolidays(year)).then(holidays => {
+                const closures = new Map();
+
+                holidays
+                    .filter(holiday => NON_WORKING_TYPES.includes(holiday.type) && !holiday.time)
+                    .forEach(holiday => {
+                        [holiday.date, holiday.observed].filter(Boolean).forEach(date => {
+                            const entries = closures.get(date) || [];
+                            if (!entries.includes(holiday)) {
+                                closures.set(date, entries.concat(holiday));
+                            }
+                        });
+                    });
+
+                return closures;
+            }));
+        }
+
+        return closuresByYear.get(year);
+    }
+
+    function isWeekend(date) {
+        const days = weekend || weekendFor(country, date.getUTCFullYear());
+        return days.includes(date.getUTCDay());
+    }
+
+    // Observed dates can spill into the previous year (e.g. a Saturday
+    // New Year's Day observed on December 31), so December also checks the
+    // following year's holidays. Lists that already include such holidays
+    // would report them twice, so repeats are dropped.
+    async function holidaysOn(date) {
+        const dateStr = toISODate(date);
+        const year = date.getUTCFullYear();
+        const years = date.getUTCMonth() === 11 ? [year, year + 1] : [year];
+        const maps = await Promise.all(years.map(closuresFor));
+
+        return maps
+            .flatMap(closures => closures.get(dateStr) || [])
+            .filter((holiday, index, all) => all.findIndex(other => other.date === holiday.date && other.name === holiday.name) === index);
+    }
+
+    async function describeDay(date) {
+        const weekendDay = isWeekend(date);
+        const holidays = await holidaysOn(date);
+
+        return {
+            date: toISODate(date),
+            weekend: weekendDay,
+            holidays,
+            workingDay: !weekendDay && holidays.length === 0
+        };
+    }
+
+    async function isWorkingDay(dateStr) {
+        return describeDay(toUTCDate(dateStr));
+    }
+
+    // Moves `days` business days forward (or backward when negative); the
+    // start date itself is never counted
+    async function addBusinessDays(dateStr, days) {
+        const step = days < 0 ? -1 : 1;
+        const skipped = [];
+        let remaining = Math.abs(days);
+        let date = toUTCDate(dateStr);
+
+        while (remaining > 0) {
+            date = addDays(date, step);
+            const day = await describeDay(date);
+
+            if (day.workingDay) {
+                remaining--;
+            } else {
+                skipped.push(day);
+            }
+        }
+
+        return { date: toISODate(date), skipped };
+    }
+
+    // Counts business days in the inclusive range [from, to]
+    async function countBusinessDays(fromStr, toStr) {
+        const end = toUTCDate(toStr);
+        const nonWorking = [];
+        let businessDays = 0;
+        let calendarDays = 0;
+
+        for (let date = toUTCDate(fromStr); date <= end; date = addDays(date, 1)) {
+            const day = await describeDay(date);
+            calendarDays++;
+
+            if (day.workingDay) {
+                businessDays++;
+            } else {
+                nonWorking.push(day);
+            }
+        }
+
+        return { businessDays, calendarDays, nonWorking };
+    }
+
+    // Long weekends are runs of three or more non-working days that include a
+    // holiday. Bridge days are single working days between two non-working
+    // runs, at least one with a holiday, that would join them into one break.
+    // Both are reported when they overlap [from, to].
+    async function findLongWeekends(fromStr, toStr) {
+        // A week either side catches breaks crossing the range boundaries
+        const end = addDays(toUTCDate(toStr), 7);
+        const days = [];
+
+        for (let date = addDays(toUTCDate(fromStr), -7); date <= end; date = addDays(date, 1)) {
+            days.push(await describeDay(date));
+        }
+
+        const runs = [];
+        days.forEach((day, index) => {
+            if (day.workingDay) {
+                return;
+            }
+
+            const last = runs[runs.length - 1];
+            if (last && last.end === index - 1) {
+                last.end = index;
+            } else {
+                runs.push({ start: index, end: index });
+            }
+        });
+
+        const hasHoliday = run => days.slice(run.start, run.end + 1).some(day => day.holidays.length);
+        const overlapsRange = (first, last) => days[last].date >= fromStr && days[first].date <= toStr;
+        const describeBreak = (first, last) => {
+            const span = days.slice(first, last + 1);
+            return {
+                start: span[0].date,
+                end: span[span.length - 1].date,
+                length: span.length,
+                holidays: [...new Set(span.flatMap(day => day.holidays))]
+            };
+        };
+
+        const longWeekends = runs
+            .filter(run => run.end - run.start >= 2 && hasHoliday(run) && overlapsRange(run.start, run.end))
+            .map(run => describeBreak(run.start, run.end));
+
+        const bridgeDays = runs
+            .slice(0, -1)
+            .map((run, index) => ({ before: run, after: runs[index + 1] }))
+            .filter(({ before, after }) => after.start === before.end + 2 && (hasHoliday(before) || hasHoliday(after)))
+            .filter(({ before }) => overlapsRange(before.end + 1, before.end + 1))
+            .map(({ before, after }) => ({
+                date: days[before.end + 1].date,
+                ...describeBreak(before.start, after.end)
+            }));
+
+        return { longWeekends, bridgeDays };
+    }
+
+    return {
+        isWorkingDay,
+        addBusinessDays,
+        countBusinessDays,
+        findLongWeekends
+    };
+}
+
+module.exports = {
+    createBusinessCalendar,
+    weekendFor,
+    parseWeekend,
+    weekdayName
+};
@@ -0,0 +1,263 @@
+/**
+ * Holiday lookup cache
+ *
+ * Two tiers: an in-memory LRU in front of an optional persistent backend
+ * (disk, or any Redis-style client). Entries are served fresh until `ttlMs`,
+ * then served stale for up to `staleMs` while being revalidated in the
+ * background. Loaders may flag a result as negative (e.g. every upstream
+ * source failed and fallback data was used) so it is revalidated after the
+ * much shorter `negativeTtlMs` instead; a negative result is only stored when
+ * no good data is left to serve. `refresh` reloads an entry on demand, e.g.
+ * for a scheduled change check.
+ *
+ * Backends implement async get(key), set(key, entry) and delete(key).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createLRUStore({ maxEntries = 1000 } = {}) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            if (!entries.has(key)) {
+                return undefined;
+            }
+
+            // Re-insert to mark as most recently used
+            const entry = entries.get(key);
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+function createFileStore({ directory }) {
+    const fileFor = key => path.join(directory, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    let ready = null;
+
+    // Created on the first write; a failure surfaces from that write (and the
+    // cache keeps serving from memory), and the next write tries again
+    function ensureDirectory() {
+        if (!ready) {
+            ready = fs.promises.mkdir(directory, { recursive: true }).catch(error => {
+                ready = null;
+                throw error;
+            });
+        }
+        return ready;
+    }
+
+    return {
+        name: 'file',
+
+        async get(key) {
+            try {
+                return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return undefined;
+                }
+                throw error;
+            }
+        },
+
+        async set(key, entry) {
+            await ensureDirectory();
+            await fs.promises.writeFile(fileFor(key), JSON.stringify(entry));
+        },
+
+        async delete(key) {
+            await fs.promises.rm(fileFor(key), { force: true });
+        }
+    };
+}
+
+// Wraps a connected node-redis (v4) style client: get(key), set(key, value, { PX }), del(key)
+function createRedisStore(client, { prefix = 'holiday-cache:' } = {}) {
+    return {
+        name: 'redis',
+
+        async get(key) {
+            const raw = await client.get(prefix + key);
+            return raw ? JSON.parse(raw) : undefined;
+        },
+
+        async set(key, entry) {
+            const ttl = Math.max(entry.staleUntil - Date.now(), 1000);
+            await client.set(prefix + key, JSON.stringify(entry), { PX: ttl });
+        },
+
+        async delete(key) {
+            await client.del(prefix + key);
+        }
+    };
+}
+
+function createHolidayCache({
+    ttlMs = 24 * 60 * 60 * 1000,
+    staleMs = 7 * 24 * 60 * 60 * 1000,
+    negativeTtlMs = 10 * 60 * 1000,
+    maxEntries = 1000,
+    backend = null,
+    onError = () => {}
+} = {}) {
+    const memory = createLRUStore({ maxEntries });
+    const inFlight = new Map();
+    const counters = {
+        hits: 0,
+        staleHits: 0,
+        negativeHits: 0,
+        misses: 0,
+        revalidations: 0,
+        backendErrors: 0
+    };
+
+    async function read(key) {
+        const cached = memory.get(key);
+        if (cached || !backend) {
+            return cached;
+        }
+
+        try {
+            const stored = await backend.get(key);
+            if (stored) {
+                memory.set(key, stored);
+            }
+            return stored;
+        } catch (error) {
+            counters.backendErrors++;
+            onError(error);
+            return undefined;
+        }
+    }
+
+    async function write(key, entry) {
+        memory.set(key, entry);
+        if (!backend) {
+            return;
+        }
+
+        try {
+            await backend.set(key, entry);
+        } catch (error) {
+            counters.backendErrors++;
+            onError(error);
+        }
+    }
+
+    // Runs the loader once per key at a time and stores its result. The
+    // `modifiedAt` timestamp only moves when the cached value changes. A
+    // negative result never replaces a positive entry that can still be served.
+    function load(key, loader, previous) {
+        if (!inFlight.has(key)) {
+            const pending = Promise.resolve()
+                .then(loader)
+                .then(async ({ value, negative = false }) => {
+                    const now = Date.now();
+                    if (negative && previous && !previous.negative && now < previous.staleUntil) {
+                        return previous;
+                    }
+
+                    const expiresAt = now + (negative ? negativeTtlMs : ttlMs);
+                    const unchanged = previous && JSON.stringify(previous.value) === JSON.stringify(value);
+                    const entry = {
+                        value,
+                        negative,
+                        storedAt: now,
+                        modifiedAt: unchanged ? previous.modifiedAt : now,
+                        expiresAt,
+                        staleUntil: expiresAt + staleMs
+                    };
+
+                    await write(key, entry);
+                    return entry;
+                })
+                .finally(() => inFlight.delete(key));
+
+            inFlight.set(key, pending);
+        }
+
+        return inFlight.get(key);
+    }
+
+    // Resolves to the cache entry for `key`, loading it on a miss.
+    // The loader returns { value, negative }.
+    async function wrap(key, loader) {
+        const entry = await read(key);
+        const now = Date.now();
+
+        if (entry && now < entry.expiresAt) {
+            counters[entry.negative ? 'negativeHits' : 'hits']++;
+            return entry;
+        }
+
+        if (entry && now < entry.staleUntil) {
+            counters.staleHits++;
+            counters.revalidations++;
+            load(key, loader, entry).catch(onError);
+            return entry;
+        }
+
+        counters.misses++;
+        return load(key, loader, entry);
+    }
+
+    // Reloads `key` whatever its age
+    async function refresh(key, loader) {
+        const previous = await read(key);
+        counters.revalidations++;
+        return load(key, loader, previous);
+    }
+
+    async function invalidate(key) {
+        memory.delete(key);
+        if (backend) {
+            await backend.delete(key);
+        }
+    }
+
+    function stats() {
+        const lookups = counters.hits + counters.staleHits + counters.negativeHits + counters.misses;
+
+        return {
+            ...counters,
+            entries: memory.size,
+            hitRate: lookups ? Number(((lookups - counters.misses) / lookups).toFixed(4)) : 0,
+            backend: backend ? backend.name || 'custom' : 'memory'
+        };
+    }
+
+    return {
+        wrap,
+        refresh,
+        invalidate,
+        stats
+    };
+}
+
+module.exports = {
+    createHolidayCache,
+    createLRUStore,
+    createFileStore,
+    createRedisStore
+};
@@ -0,0 +1,277 @@
+/**
+ * Company calendar overlays
+ *
+ * An overlay is stored on top of a base country (and optional region) and
+ * edits its holidays:
+ *
+ * - additions: { name, date: 'YYYY-MM-DD' } for a single day,
+ *              { name, from, to } for a multi-day range, or
+ *              { name, month, day } for a day recurring every year
+ * - removals:  holiday names, or { name, date } to drop one occurrence
+ * - renames:   { 'Original name': 'New name' }
+ *
+ * Overlays are kept in memory and, with a `file`, written through to disk.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_OVERLAY_ENTRIES = 500;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_ADDITION_TYPE = 'company';
+const ADDITION_TYPES = ['company', 'public', 'bank', 'optional', 'observance'];
+
+function isISODate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function parseAddition(entry, index, errors) {
+    const where = `additions[${index}]`;
+
+    if (!entry || typeof entry !== 'object' || !isNonEmptyString(entry.name)) {
+        errors.push(`${where}: "name" is required`);
+        return null;
+    }
+
+    const type = entry.type || DEFAULT_ADDITION_TYPE;
+    if (!ADDITION_TYPES.includes(type)) {
+        errors.push(`${where}: "type" must be one of ${ADDITION_TYPES.join(', ')}`);
+        return null;
+    }
+
+    const addition = {
+        name: entry.name.trim(),
+        description: isNonEmptyString(entry.description) ? entry.description.trim() : undefined,
+        type
+    };
+
+    if (entry.date !== undefined) {
+        if (!isISODate(entry.date)) {
+            errors.push(`${where}: "date" must be a YYYY-MM-DD date`);
+            return null;
+        }
+        return { ...addition, date: entry.date };
+    }
+
+    if (entry.from !== undefined || entry.to !== undefined) {
+        if (!isISODate(entry.from) || !isISODate(entry.to) || entry.from > entry.to) {
+            errors.push(`${where}: "from" and "to" must be YYYY-MM-DD dates with "from" not after "to"`);
+            return null;
+        }
+        if (daysBetween(entry.from, entry.to) >= MAX_RANGE_DAYS) {
+            errors.push(`${where}: ranges may span at most ${MAX_RANGE_DAYS} days`);
+            return null;
+        }
+        return { ...addition, date: entry.from, endDate: entry.to };
+    }
+
+    if (Number.isInteger(entry.month) && Number.isInteger(entry.day)) {
+        // 2000 is a leap year, so February 29 is accepted (and skipped in other years)
+        if (!isISODate(`2000-${String(entry.month).padStart(2, '0')}-${String(entry.day).padStart(2, '0')}`)) {
+            errors.push(`${where}: "month"/"day" is not a valid calendar day`);
+            return null;
+        }
+        return { ...addition, month: entry.month, day: entry.day };
+    }
+
+    errors.push(`${where}: give "date", "from"/"to" or "month"/"day"`);
+    return null;
+}
+
+function parseRemoval(entry, index, errors) {
+    if (isNonEmptyString(entry)) {
+        return { name: entry.trim() };
+    }
+
+    if (entry && typeof entry === 'object' && isNonEmptyString(entry.name)
+        && (entry.date === undefined || isISODate(entry.date))) {
+        return { name: entry.name.trim(), date: entry.date };
+    }
+
+    errors.push(`removals[${index}]: expected a holiday name or { name, date }`);
+    return null;
+}
+
+// Validates a POSTed overlay. Returns { definition } or { errors: [...] };
+// the country/region themselves are checked by the caller.
+function parseCalendarDefinition(body) {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'] };
+    }
+
+    const { name, country, region, additions = [], removals = [], renames = {} } = body;
+
+    if (!isNonEmptyString(name) || name.length > 100) {
+        errors.push('"name" is required (at most 100 characters)');
+    }
+    if (!isNonEmptyString(country)) {
+        errors.push('"country" is required');
+    }
+    if (region !== undefined && !isNonEmptyString(region)) {
+        errors.push('"region" must be a string');
+    }
+    if (!Array.isArray(additions) || !Array.isArray(removals)) {
+        errors.push('"additions" and "removals" must be arrays');
+    }
+    if (!renames || typeof renames !== 'object' || Array.isArray(renames)
+        || Object.values(renames).some(value => !isNonEmptyString(value))) {
+        errors.push('"renames" must map holiday names to new names');
+    }
+
+    if (errors.length) {
+        return { errors };
+    }
+
+    if (additions.length + removals.length + Object.keys(renames).length > MAX_OVERLAY_ENTRIES) {
+        return { errors: [`An overlay may contain at most ${MAX_OVERLAY_ENTRIES} entries`] };
+    }
+
+    const definition = {
+        name: name.trim(),
+        country: country.trim().toUpperCase(),
+        region: region ? region.trim() : undefined,
+        additions: additions.map((entry, index) => parseAddition(entry, index, errors)),
+        removals: removals.map((entry, index) => parseRemoval(entry, index, errors)),
+        renames: Object.fromEntries(Object.entries(renames).map(([from, to]) => [from, to.trim()]))
+    };
+
+    return errors.length ? { errors } : { definition };
+}
+
+// Applies an overlay to the base holidays of `years`, keeping additions that
+// overlap [from, to]. Renamed holidays keep their original name for UIDs.
+function applyOverlay(holidays, calendar, years, from, to) {
+    const renames = new Map(Object.entries(calendar.renames).map(([original, renamed]) => [original.toLowerCase(), renamed]));
+    const isRemoved = holiday => calendar.removals.some(removal =>
+        removal.name.toLowerCase() === holiday.name.toLowerCase() && (!removal.date || removal.date === holiday.date));
+
+    const base = holidays
+        .filter(holiday => !isRemoved(holiday))
+        .map(holiday => {
+            const renamed = renames.get(holiday.name.toLowerCase());
+            return renamed ? { ...holiday, name: renamed, canonicalName: holiday.canonicalName || holiday.name } : holiday;
+        });
+
+    const added = calendar.additions
+        .flatMap(addition => {
+            if (addition.month === undefined) {
+                return [addition];
+            }
+
+            return years
+                .map(year => `${year}-${String(addition.month).padStart(2, '0')}-${String(addition.day).padStart(2, '0')}`)
+                .filter(isISODate)
+                .map(date => ({ ...addition, date }));
+        })
+        .filter(addition => addition.date <= to && (addition.endDate || addition.date) >= from)
+        .map(({ name, description, type, date, endDate }) => ({
+            date,
+            endDate,
+            name,
+            description,
+            type,
+            country: calendar.country
+        }));
+
+    return base.concat(added).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function loadCalendars(file) {
+    try {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return new Map();
+    }
+}
+
+function createCalendarStore({ file = null } = {}) {
+    const calendars = file ? loadCalendars(file) : new Map();
+    let pending = Promise.resolve();
+
+    // Writes are chained so the file always reflects the latest state. The
+    // returned promise rejects if this write fails; later writes still run.
+    function persist() {
+        if (!file) {
+            return Promise.resolve();
+        }
+
+        const write = pending
+            .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+            .then(() => fs.promises.writeFile(file, JSON.stringify(Object.fromEntries(calendars), null, 2)));
+        pending = write.catch(() => {});
+
+        return write;
+    }
+
+    // `owner` is the client that created the calendar; only it may read or delete the definition
+    async function create(definition, owner) {
+        const now = new Date().toISOString();
+        const calendar = {
+            id: `cal_${crypto.randomBytes(8).toString('hex')}`,
+            ...definition,
+            owner,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        calendars.set(calendar.id, calendar);
+        try {
+            await persist();
+        } catch (error) {
+            calendars.delete(calendar.id);
+            throw error;
+        }
+        return calendar;
+    }
+
+    function get(id) {
+        return calendars.get(id) || null;
+    }
+
+    async function remove(id) {
+        const calendar = calendars.get(id);
+        if (!calendar) {
+            return false;
+        }
+
+        calendars.delete(id);
+        try {
+            await persist();
+        } catch (error) {
+            calendars.set(id, calendar);
+            throw error;
+        }
+        return true;
+    }
+
+    return {
+        create,
+        get,
+        remove
+    };
+}
+
+module.exports = {
+    createCalendarStore,
+    parseCalendarDefinition,
+    applyOverlay
+};
@@ -0,0 +1,105 @@
+/**
+ * Per-event revision tracking for ICS output
+ *
+ * Calendar clients re-download subscribed feeds and compare events by UID,
+ * SEQUENCE and DTSTAMP. Each event's content is fingerprinted; its SEQUENCE
+ * and stamp only move when that fingerprint changes, so refreshes of an
+ * unchanged feed are byte-for-byte identical. With a `file`, revisions
+ * survive restarts.
+ *
+ * At most `maxEntries` events are tracked; the least recently served are
+ * forgotten first and start over at SEQUENCE 0 if they are served again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function loadRevisions(file) {
+    try {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return new Map();
+    }
+}
+
+function createEventVersions({ file = null, maxEntries = 100000, saveDelayMs = 1000, onError = () => {} } = {}) {
+    const revisions = file ? loadRevisions(file) : new Map();
+    let saveTimer = null;
+
+    // Map order is recency order, oldest first (also in the saved file)
+    function evictOldest() {
+        while (revisions.size > maxEntries) {
+            revisions.delete(revisions.keys().next().value);
+        }
+    }
+
+    evictOldest();
+
+    async function save() {
+        saveTimer = null;
+        try {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify(Object.fromEntries(revisions)));
+        } catch (error) {
+            onError(error);
+        }
+    }
+
+    function scheduleSave() {
+        if (file && !saveTimer) {
+            saveTimer = setTimeout(save, saveDelayMs);
+            saveTimer.unref();
+        }
+    }
+
+    // Returns { sequence, stampedAt } for the event, bumping the sequence when
+    // its content differs from the last time it was seen
+    function track(uid, content, now = new Date()) {
+        const fingerprint = crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+        const current = revisions.get(uid);
+        revisions.delete(uid);
+
+        if (current && current.fingerprint === fingerprint) {
+            revisions.set(uid, current);
+            return current;
+        }
+
+        const next = {
+            fingerprint,
+            sequence: current ? current.sequence + 1 : 0,
+            stampedAt: now.toISOString()
+        };
+
+        revisions.set(uid, next);
+        evictOldest();
+        scheduleSave();
+        return next;
+    }
+
+    function get(uid) {
+        return revisions.get(uid);
+    }
+
+    // Writes any pending changes now, e.g. before the process exits
+    async function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            await save();
+        }
+    }
+
+    return {
+        track,
+        get,
+        flush,
+        get size() {
+            return revisions.size;
+        }
+    };
+}
+
+module.exports = { createEventVersions };
@@ -0,0 +1,281 @@
+/**
+ * Holiday calendar output formats
+ *
+ * Serializes holiday lists as iCalendar (RFC 5545), JSON, CSV or XML, for the
+ * /holidays and /feeds endpoints as well as the library and the holiday-ics CLI.
+ * Holidays may carry a `revision` ({ sequence, stampedAt }) for SEQUENCE and
+ * DTSTAMP; without one, events get SEQUENCE 0 and the calendar's timestamp.
+ * Holidays flagged `cancelled` are published with STATUS:CANCELLED so clients
+ * remove them.
+ */
+
+const { escapeText, serializeLines, valarmLines } = require('./ics-writer');
+const { generateVTIMEZONE } = require('./timezones');
+const { calendarName } = require('./i18n');
+
+// How long clients may keep a calendar before refreshing
+const CALENDAR_TTL_DURATION = 'P1D';
+
+// Enhanced ICS generation functions
+// Callers pass the holiday's own year so UIDs stay stable across multi-year ranges
+// and hash the English name, so localized calendars share UIDs. Holidays moved
+// to their observed date keep the UID of their actual date.
+function generateUID(holiday, country, year) {
+    const dateStr = (holiday.actualDate || holiday.date).replace(/-/g, '');
+    const nameHash = (holiday.canonicalName || holiday.name).replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+    return `${dateStr}-${nameHash}-${country}-${year}@holiday-calendar-api.com`;
+}
+
+// Countries a holiday belongs to; collapsed multi-country events carry several
+function holidayCountries(holiday, country) {
+    return holiday.countries || [holiday.country || country];
+}
+
+function holidayUID(holiday, country) {
+    return generateUID(holiday, holidayCountries(holiday, country).join('-'), (holiday.actualDate || holiday.date).slice(0, 4));
+}
+
+function formatDate(dateStr) {
+    return dateStr.replace(/-/g, '');
+}
+
+function formatDateTimeUTC(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Local date-time for a timed event; "24:00" rolls over to the next day
+function formatLocalDateTime(dateStr, time) {
+    if (time === '24:00') {
+        const next = new Date(`${dateStr}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        return `${formatDate(next.toISOString().slice(0, 10))}T000000`;
+    }
+
+    return `${formatDate(dateStr)}T${time.replace(':', '')}00`;
+}
+
+function daysSpanned(holiday) {
+    return Math.round((Date.parse(holiday.endDate || holiday.date) - Date.parse(holiday.date)) / 86400000) + 1;
+}
+
+// DTSTART plus DTEND (or DURATION, with end=duration) for a holiday. All-day
+// mode uses VALUE=DATE with an exclusive end date; timed mode spans the
+// holiday (or its half-day window) in the requested time zone. Multi-day
+// overlay entries end after `endDate`.
+function eventTimes(holiday, mode, tz, endStyle) {
+    if (mode !== 'timed') {
+        const dtstart = `DTSTART;VALUE=DATE:${formatDate(holiday.date)}`;
+        return endStyle === 'duration'
+            ? [dtstart, `DURATION:P${daysSpanned(holiday)}D`]
+            : [dtstart, `DTEND;VALUE=DATE:${formatLocalDateTime(holiday.endDate || holiday.date, '24:00').slice(0, 8)}`];
+    }
+
+    const { start, end } = holiday.time || { start: '00:00', end: '24:00' };
+    const format = (date, time) => tz === 'UTC'
+        ? `:${formatLocalDateTime(date, time)}Z`
+        : `;TZID=${tz}:${formatLocalDateTime(date, time)}`;
+
+    return [`DTSTART${format(holiday.date, start)}`, `DTEND${format(holiday.endDate || holiday.date, end)}`];
+}
+
+// ";LANGUAGE=de" parameter for a localized property; empty when no lang was requested
+function languageParam(lang, language) {
+    return lang ? `;LANGUAGE=${language || 'en'}` : '';
+}
+
+// Human-readable note on observed/substitute dates, since calendar clients
+// ignore X-OBSERVED-DATE
+function observanceNote(holiday) {
+    if (holiday.actualDate) {
+        return `Observed on this day; the holiday falls on ${holiday.actualDate}`;
+    }
+    if (holiday.observedFor) {
+        return `Observed in place of ${holiday.name.replace(/ \(observed\)$/, '')} (${holiday.observedFor})`;
+    }
+    if (holiday.observed && holiday.observed !== holiday.date) {
+        return `Observed on ${holiday.observed}`;
+    }
+    return null;
+}
+
+// Lunar holidays whose date depends on moon sighting or the local almanac
+function estimateNote(holiday) {
+    return holiday.estimated ? 'Estimated date; the holiday may be observed a day earlier or later' : null;
+}
+
+function generateICS(holidays, options) {
+    const { country, year, region, scopes = [{ country, region }], mode = 'allday', tz = 'UTC', lang, feed, title, alarms = [], end, native } = options;
+    const tagCountries = scopes.length > 1;
+
+    // Feeds roll over every year, so their name leaves the period out
+    const baseTitle = title || `${scopes.map(scope => scope.region || scope.country).join(', ')} ${calendarName(lang)}`;
+    const calendarTitle = feed ? baseTitle : `${baseTitle} ${year}`;
+
+    const prodId = `-//Holiday Calendar API//Holiday Calendar ${year}//EN`;
+    const timestamp = formatDateTimeUTC(options.lastModified || new Date());
+
+    let icsContent = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${prodId}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME${languageParam(lang, lang)}:${escapeText(calendarTitle)}`,
+        'X-WR-CALDESC:Public holidays calendar generated by Holiday Calendar API',
+        `X-WR-TIMEZONE:${tz}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR_TTL_DURATION}`,
+        `X-PUBLISHED-TTL:${CALENDAR_TTL_DURATION}`,
+        'X-ORIGINAL-URL:https://rapidapi.com/holiday-calendar-api'
+    ];
+
+    if (mode === 'timed' && tz !== 'UTC' && holidays.length) {
+        const eventYears = holidays.map(holiday => parseInt(holiday.date.slice(0, 4)));
+        icsContent.push(...generateVTIMEZONE(tz, Math.min(...eventYears), Math.max(...eventYears)));
+    }
+
+    holidays.forEach(holiday => {
+        const countries = holidayCountries(holiday, country);
+        const uid = holidayUID(holiday, country);
+        const stamp = holiday.revision ? formatDateTimeUTC(new Date(holiday.revision.stampedAt)) : timestamp;
+        const summary = tagCountries ? `[${countries.join(', ')}] ${holiday.name}` : holiday.name;
+        const status = holiday.cancelled ? 'CANCELLED' : holiday.estimated ? 'TENTATIVE' : 'CONFIRMED';
+
+        icsContent.push(
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${stamp}`,
+            `SEQUENCE:${holiday.revision?.sequence || 0}`,
+            ...eventTimes(holiday, mode, tz, end),
+            `SUMMARY${languageParam(lang, holiday.languages?.name)}:${escapeText(summary)}`,
+            `STATUS:${status}`,
+            'TRANSP:TRANSPARENT',
+            'CLASS:PUBLIC',
+            'PRIORITY:5'
+        );
+
+        const description = [holiday.description, native && holiday.nativeDate, estimateNote(holiday), observanceNote(holiday)].filter(Boolean).join('\n\n');
+        if (description) {
+            icsContent.push(`DESCRIPTION${languageParam(lang, holiday.languages?.description)}:${escapeText(description)}`);
+        }
+
+        const categories = [holiday.type.toUpperCase(), 'HOLIDAY', ...(tagCountries ? countries : [])];
+        icsContent.push(`CATEGORIES:${categories.join(',')}`);
+
+        if (holiday.observed && holiday.observed !== holiday.date) {
+            icsContent.push(`X-OBSERVED-DATE:${formatDate(holiday.observed)}`);
+        }
+
+        alarms.forEach(trigger => icsContent.push(...valarmLines(trigger, summary)));
+
+        icsContent.push('END:VEVENT');
+    });
+
+    icsContent.push('END:VCALENDAR');
+
+    return serializeLines(icsContent);
+}
+
+// Structured output formats
+function toHolidayRecord(holiday, country) {
+    const countries = holidayCountries(holiday, country);
+
+    return {
+        date: holiday.date,
+        endDate: holiday.endDate || null,
+        name: holiday.name,
+        localName: holiday.localName || null,
+        description: holiday.description || null,
+        type: holiday.type,
+        observed: holiday.observed || holiday.date,
+        nativeDate: holiday.nativeDate || null,
+        estimated: Boolean(holiday.estimated),
+        countries,
+        uid: holidayUID(holiday, country)
+    };
+}
+
+function generateJSON(holidays, options) {
+    const { country, year, region, from, to } = options;
+
+    return JSON.stringify({
+        country,
+        year,
+        from,
+        to,
+        region: region || null,
+        count: holidays.length,
+        holidays: holidays.map(holiday => toHolidayRecord(holiday, country))
+    }, null, 2);
+}
+
+function escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : [].concat(value).join(' ');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function generateCSV(holidays, options) {
+    const { country } = options;
+    const columns = ['date', 'name', 'description', 'type', 'observed', 'countries', 'uid'];
+
+    const rows = holidays.map(holiday => {
+        const record = toHolidayRecord(holiday, country);
+        return columns.map(column => escapeCSV(record[column])).join(',');
+    });
+
+    return [columns.join(','), ...rows].join('\r\n');
+}
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function generateXML(holidays, options) {
+    const { country, year, region, from, to } = options;
+    const regionAttr = region ? ` region="${escapeXML(region)}"` : '';
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<holidays country="${escapeXML(country)}" year="${year}" from="${from}" to="${to}"${regionAttr} count="${holidays.length}">`
+    ];
+
+    holidays.forEach(holiday => {
+        const record = toHolidayRecord(holiday, country);
+
+        xml.push(`  <holiday uid="${escapeXML(record.uid)}">`);
+        ['date', 'endDate', 'name', 'localName', 'description', 'type', 'observed', 'nativeDate', 'estimated'].forEach(field => {
+            if (record[field] !== null) {
+                xml.push(`    <${field}>${escapeXML(record[field])}</${field}>`);
+            }
+        });
+        record.countries.forEach(code => xml.push(`    <country>${escapeXML(code)}</country>`));
+        xml.push('  </holiday>');
+    });
+
+    xml.push('</holidays>');
+
+    return xml.join('\n');
+}
+
+// Output formats for /holidays, in content negotiation preference order
+const OUTPUT_FORMATS = {
+    ics: { mediaType: 'text/calendar', generate: generateICS, attachment: true },
+    json: { mediaType: 'application/json', generate: generateJSON, attachment: false },
+    csv: { mediaType: 'text/csv', generate: generateCSV, attachment: true },
+    xml: { mediaType: 'application/xml', generate: generateXML, attachment: false }
+};
+
+module.exports = {
+    OUTPUT_FORMATS,
+    generateICS,
+    generateJSON,
+    generateCSV,
+    generateXML,
+    toHolidayRecord,
+    holidayUID,
+    holidayCountries
+};
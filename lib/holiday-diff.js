@@ -0,0 +1,54 @@
+/**
+ * Holiday list comparison
+ *
+ * Pairs holidays from two lists in three passes: same date and name, then
+ * same name on another date, then same date under another name. Whatever is
+ * left over exists on one side only.
+ */
+
+function normalizeName(name) {
+    return (name || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Compares `actual` against `expected`; returns
+// { matched, missing, extra, changed: [{ expected, actual, differences }] }
+function diffHolidays(expected, actual) {
+    const unmatchedExpected = new Set(expected);
+    const unmatchedActual = new Set(actual);
+    const pairs = [];
+
+    const pass = isPair => {
+        for (const candidate of unmatchedActual) {
+            const match = [...unmatchedExpected].find(holiday => isPair(holiday, candidate));
+            if (match) {
+                pairs.push({ expected: match, actual: candidate });
+                unmatchedExpected.delete(match);
+                unmatchedActual.delete(candidate);
+            }
+        }
+    };
+
+    pass((a, b) => a.date === b.date && normalizeName(a.name) === normalizeName(b.name));
+    pass((a, b) => normalizeName(a.name) === normalizeName(b.name));
+    pass((a, b) => a.date === b.date);
+
+    const changed = pairs
+        .map(({ expected: expectedHoliday, actual: actualHoliday }) => ({
+            expected: expectedHoliday,
+            actual: actualHoliday,
+            differences: [
+                expectedHoliday.date !== actualHoliday.date && 'date',
+                normalizeName(expectedHoliday.name) !== normalizeName(actualHoliday.name) && 'name'
+            ].filter(Boolean)
+        }))
+        .filter(pair => pair.differences.length);
+
+    return {
+        matched: pairs.length - changed.length,
+        missing: [...unmatchedExpected],
+        extra: [...unmatchedActual],
+        changed
+    };
+}
+
+module.exports = { diffHolidays, normalizeName };
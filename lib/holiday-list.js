@@ -0,0 +1,92 @@
+/**
+ * Holiday list transformations shared by the API and the library
+ *
+ * Pure functions over holiday arrays: picking a period out of yearly lists,
+ * merging holidays that several countries share and laying out observed dates.
+ */
+
+// Holidays from several years' lists that fall between `from` and `to`
+// (YYYY-MM-DD) on their actual or observed date, sorted. A holiday observed in
+// the previous year is in both years' lists and is kept once.
+function selectPeriod(holidays, from, to) {
+    const seen = new Set();
+
+    return holidays
+        .filter(holiday => {
+            const key = `${holiday.country}|${holiday.date}|${holiday.name}`;
+            const inPeriod = [holiday.date, holiday.observed].some(date => date && date >= from && date <= to);
+
+            if (!inPeriod || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Merge same-day, same-name holidays from several countries into one entry
+function collapseSharedHolidays(holidays) {
+    const merged = new Map();
+
+    holidays.forEach(holiday => {
+        const key = `${holiday.date}|${holiday.name.toLowerCase()}`;
+        const existing = merged.get(key);
+
+        if (!existing) {
+            merged.set(key, { ...holiday, countries: [holiday.country] });
+            return;
+        }
+
+        existing.countries.push(holiday.country);
+        if (existing.observed !== holiday.observed) {
+            existing.observed = undefined;
+        }
+    });
+
+    return [...merged.values()];
+}
+
+// How observed dates show up in /holidays output:
+// - annotate: one event on the actual date, noting the observed date
+// - include:  the actual-date event plus a separate "(observed)" event
+// - replace:  the event moves to its observed date
+const OBSERVED_MODES = ['annotate', 'include', 'replace'];
+
+// Values accepted by the "types" filter
+const HOLIDAY_TYPES = ['public', 'bank', 'optional', 'observance', 'company'];
+
+function applyObservedMode(holidays, mode) {
+    if (mode === 'annotate') {
+        return holidays;
+    }
+
+    return holidays
+        .flatMap(holiday => {
+            if (!holiday.observed || holiday.observed === holiday.date) {
+                return [holiday];
+            }
+
+            if (mode === 'replace') {
+                return [{ ...holiday, date: holiday.observed, actualDate: holiday.date, observed: undefined }];
+            }
+
+            return [holiday, {
+                ...holiday,
+                date: holiday.observed,
+                name: `${holiday.name} (observed)`,
+                canonicalName: `${holiday.canonicalName || holiday.name} (observed)`,
+                observed: undefined,
+                observedFor: holiday.date
+            }];
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+    OBSERVED_MODES,
+    HOLIDAY_TYPES,
+    selectPeriod,
+    collapseSharedHolidays,
+    applyObservedMode
+};
@@ -0,0 +1,74 @@
+/**
+ * Last-seen holiday lists for change detection
+ *
+ * The webhook job stores what each country/region/year looked like at its
+ * previous check, along with the events since removed from it (kept so
+ * feeds can publish them as cancelled). Entries are keyed like the holiday
+ * cache ("US:2026:US-CA" or "US:2026:*"). With a `file`, snapshots survive
+ * restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadSnapshots(file) {
+    try {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return new Map();
+    }
+}
+
+function createSnapshotStore({ file = null, saveDelayMs = 1000, onError = () => {} } = {}) {
+    const snapshots = file ? loadSnapshots(file) : new Map();
+    let saveTimer = null;
+
+    async function save() {
+        saveTimer = null;
+        try {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify(Object.fromEntries(snapshots)));
+        } catch (error) {
+            onError(error);
+        }
+    }
+
+    function scheduleSave() {
+        if (file && !saveTimer) {
+            saveTimer = setTimeout(save, saveDelayMs);
+            saveTimer.unref();
+        }
+    }
+
+    // { holidays, cancelled, source, checkedAt, changedAt }, or undefined
+    function get(key) {
+        return snapshots.get(key);
+    }
+
+    function set(key, snapshot) {
+        snapshots.set(key, snapshot);
+        scheduleSave();
+    }
+
+    // Writes any pending changes now, e.g. before the process exits
+    async function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            await save();
+        }
+    }
+
+    return {
+        get,
+        set,
+        flush,
+        get size() {
+            return snapshots.size;
+        }
+    };
+}
+
+module.exports = { createSnapshotStore };
@@ -0,0 +1,123 @@
+/**
+ * Holiday localization
+ *
+ * Resolves a BCP 47 language tag against the translation catalog. Each
+ * holiday name falls back from the catalog translation to the holiday's local
+ * name and then to English; descriptions fall back straight to English. The
+ * language actually used for each field is recorded so ICS output can tag it.
+ */
+
+const { TRANSLATIONS } = require('./translations');
+
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_CALENDAR_NAME = 'Public Holidays';
+
+// Language of a country's local holiday names (nager.at `localName`, or the
+// catalog entry used to fill it in for offline data)
+const COUNTRY_LANGUAGES = {
+    AT: 'de',
+    BE: 'nl',
+    BR: 'pt',
+    CH: 'de',
+    DE: 'de',
+    DK: 'da',
+    ES: 'es',
+    FR: 'fr',
+    IT: 'it',
+    LU: 'fr',
+    MX: 'es',
+    NL: 'nl',
+    NO: 'nb',
+    PL: 'pl',
+    PT: 'pt',
+    SE: 'sv'
+};
+
+// Normalizes "de-at" to "de-AT"; null when the value is not a BCP 47 tag
+function parseLanguageTag(value) {
+    if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(value)) {
+        return null;
+    }
+
+    return value.split('-').map((subtag, index) => {
+        if (index === 0) {
+            return subtag.toLowerCase();
+        }
+        if (subtag.length === 2) {
+            return subtag.toUpperCase();
+        }
+        return subtag.length === 4 ? subtag[0].toUpperCase() + subtag.slice(1).toLowerCase() : subtag.toLowerCase();
+    }).join('-');
+}
+
+// Catalog language for a tag: the full tag if present, else its primary subtag
+function catalogLanguage(lang) {
+    const candidates = [lang.toLowerCase(), lang.split('-')[0].toLowerCase()];
+    return candidates.find(candidate => TRANSLATIONS[candidate]);
+}
+
+function translationFor(language, name, country) {
+    const holidays = TRANSLATIONS[language]?.holidays || {};
+    const generic = holidays[name];
+    const specific = holidays[`${country}:${name}`];
+
+    return generic || specific ? { ...generic, ...specific } : null;
+}
+
+function calendarName(lang) {
+    const language = lang && catalogLanguage(lang);
+    return language ? TRANSLATIONS[language].calendarName : DEFAULT_CALENDAR_NAME;
+}
+
+function localizeHoliday(holiday, lang) {
+    // Names already customized (e.g. renamed in a company calendar) are kept
+    if (holiday.canonicalName && holiday.canonicalName !== holiday.name) {
+        return holiday;
+    }
+
+    const canonicalName = holiday.canonicalName || holiday.name;
+    const language = catalogLanguage(lang);
+    const translation = language ? translationFor(language, canonicalName, holiday.country) : null;
+
+    const localLanguage = COUNTRY_LANGUAGES[holiday.country];
+    const localName = holiday.localName
+        || (localLanguage && translationFor(localLanguage, canonicalName, holiday.country)?.name);
+
+    let name = holiday.name;
+    let nameLanguage = DEFAULT_LANGUAGE;
+
+    if (translation?.name) {
+        name = translation.name;
+        nameLanguage = language;
+    } else if (localName) {
+        name = localName;
+        nameLanguage = localLanguage;
+    }
+
+    return {
+        ...holiday,
+        canonicalName,
+        name,
+        description: translation?.description || holiday.description,
+        localName: localName || undefined,
+        languages: {
+            name: nameLanguage,
+            description: translation?.description ? language : DEFAULT_LANGUAGE
+        }
+    };
+}
+
+// English output is returned untouched
+function localizeHolidays(holidays, lang) {
+    if (!lang || lang.split('-')[0] === DEFAULT_LANGUAGE) {
+        return holidays;
+    }
+
+    return holidays.map(holiday => localizeHoliday(holiday, lang));
+}
+
+module.exports = {
+    parseLanguageTag,
+    localizeHolidays,
+    calendarName
+};
@@ -0,0 +1,400 @@
+/**
+ * iCalendar (RFC 5545) reader
+ *
+ * Unfolds content lines, splits them into name/parameters/value, builds the
+ * component tree and maps VEVENTs to the holiday shape used across the API.
+ * `validateICS` runs the same reader and reports structural problems as
+ * errors (invalid per RFC 5545) or warnings (accepted by most clients).
+ */
+
+const { MAX_LINE_OCTETS, isDuration } = require('./ics-writer');
+const { HOLIDAY_TYPES } = require('./holiday-list');
+
+// Physical lines joined into logical content lines, remembering where each starts
+function unfoldLines(text) {
+    const lines = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length) {
+            lines[lines.length - 1].text += line.slice(1);
+        } else if (line.length) {
+            lines.push({ text: line, lineNumber: index + 1 });
+        }
+    });
+
+    return lines;
+}
+
+// Splits on `separator` outside double-quoted parameter values
+function splitUnquoted(text, separator) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            quoted = !quoted;
+        }
+        if (char === separator && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    parts.push(current);
+    return parts;
+}
+
+// "DTSTART;VALUE=DATE:20250101" -> { name, params: { VALUE: 'DATE' }, value }
+function parseContentLine(text) {
+    let quoted = false;
+    let colon = -1;
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '"') {
+            quoted = !quoted;
+        } else if (text[i] === ':' && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+
+    if (colon <= 0) {
+        return null;
+    }
+
+    const [name, ...rawParams] = splitUnquoted(text.slice(0, colon), ';');
+    const params = {};
+
+    for (const param of rawParams) {
+        const equals = param.indexOf('=');
+        if (equals <= 0) {
+            return null;
+        }
+        params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+
+    if (!/^[A-Za-z0-9-]+$/.test(name)) {
+        return null;
+    }
+
+    return { name: name.toUpperCase(), params, value: text.slice(colon + 1) };
+}
+
+// Inverse of the server's escapeText
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// DATE ("20250101") or DATE-TIME ("20250101T120000", "...Z") property values
+function parseDateValue(property) {
+    const { value, params } = property;
+    const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+    const dateTime = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+
+    if (params.VALUE === 'DATE' || (!params.VALUE && dateOnly)) {
+        if (!dateOnly) {
+            return null;
+        }
+        const date = `${dateOnly[1]}-${dateOnly[2]}-${dateOnly[3]}`;
+        return isCalendarDate(date) ? { date, allDay: true } : null;
+    }
+
+    if (!dateTime) {
+        return null;
+    }
+
+    const date = `${dateTime[1]}-${dateTime[2]}-${dateTime[3]}`;
+    if (!isCalendarDate(date) || dateTime[4] > '23' || dateTime[5] > '59' || dateTime[6] > '60') {
+        return null;
+    }
+
+    return {
+        date,
+        time: `${dateTime[4]}:${dateTime[5]}`,
+        allDay: false,
+        utc: dateTime[7] === 'Z',
+        tzid: params.TZID
+    };
+}
+
+function isCalendarDate(date) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+// Reads the component tree. Problems are collected rather than thrown so
+// validation can report all of them at once.
+function readCalendar(text) {
+    const problems = [];
+    const report = (severity, lineNumber, message) => problems.push({ severity, line: lineNumber, message });
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+
+    if (/[^\r]\n/.test(text) || /^\n/.test(text)) {
+        report('warning', null, 'Lines should end with CRLF');
+    }
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (Buffer.byteLength(line, 'utf8') > MAX_LINE_OCTETS) {
+            report('warning', index + 1, `Line is longer than ${MAX_LINE_OCTETS} octets and should be folded`);
+        }
+    });
+
+    for (const { text: lineText, lineNumber } of unfoldLines(text)) {
+        const property = parseContentLine(lineText);
+        const current = stack[stack.length - 1];
+
+        if (!property) {
+            report('error', lineNumber, `Malformed content line: "${lineText.slice(0, 40)}"`);
+            continue;
+        }
+
+        property.line = lineNumber;
+
+        if (property.name === 'BEGIN') {
+            const component = { name: property.value.toUpperCase(), properties: [], components: [], line: lineNumber };
+            current.components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length === 1 || current.name !== property.value.toUpperCase()) {
+                report('error', lineNumber, `END:${property.value} does not match BEGIN:${current.name}`);
+            } else {
+                stack.pop();
+            }
+        } else if (current === root) {
+            report('error', lineNumber, `Property ${property.name} outside of any component`);
+        } else {
+            current.properties.push(property);
+        }
+    }
+
+    stack.slice(1).forEach(component => report('error', component.line, `BEGIN:${component.name} is never closed`));
+
+    const calendars = root.components.filter(component => component.name === 'VCALENDAR');
+    if (!calendars.length) {
+        report('error', null, 'No VCALENDAR component found');
+    }
+
+    return { calendars, problems };
+}
+
+function propertyOf(component, name) {
+    return component.properties.find(property => property.name === name);
+}
+
+// Exclusive end of an all-day event given as a DURATION ("P3D", "P1W")
+function allDayEndOf(start, duration) {
+    const match = start && start.allDay && duration && /^P(?:(\d+)W|(\d+)D)$/.exec(duration.value);
+    return match ? { date: addDays(start.date, match[1] ? match[1] * 7 : Number(match[2])), allDay: true } : null;
+}
+
+function eventToHoliday(event) {
+    const summary = propertyOf(event, 'SUMMARY');
+    const description = propertyOf(event, 'DESCRIPTION');
+    const start = propertyOf(event, 'DTSTART') && parseDateValue(propertyOf(event, 'DTSTART'));
+    const end = propertyOf(event, 'DTEND')
+        ? parseDateValue(propertyOf(event, 'DTEND'))
+        : allDayEndOf(start, propertyOf(event, 'DURATION'));
+    const categories = (propertyOf(event, 'CATEGORIES')?.value || '')
+        .split(',')
+        .map(category => unescapeText(category).trim().toLowerCase());
+
+    if (!start) {
+        return null;
+    }
+
+    const holiday = {
+        date: start.date,
+        name: summary ? unescapeText(summary.value) : '',
+        description: description ? unescapeText(description.value) : null,
+        type: categories.find(category => HOLIDAY_TYPES.includes(category)) || 'public',
+        uid: propertyOf(event, 'UID')?.value || null,
+        allDay: start.allDay
+    };
+
+    // All-day DTEND (or DTSTART + DURATION) is exclusive; only multi-day events get an endDate
+    if (start.allDay && end?.allDay && end.date > addDays(start.date, 1)) {
+        holiday.endDate = addDays(end.date, -1);
+    }
+
+    // Timed events ending at the following midnight end at "24:00" on their own day
+    if (!start.allDay) {
+        const timedEnd = end && !end.allDay ? end : null;
+        const endsAtMidnight = timedEnd && timedEnd.time === '00:00' && timedEnd.date === addDays(start.date, 1);
+
+        holiday.start = start.time;
+        holiday.end = endsAtMidnight ? '24:00' : timedEnd?.time || null;
+        holiday.timeZone = start.utc ? 'UTC' : start.tzid || null;
+
+        if (timedEnd && !endsAtMidnight && timedEnd.date !== start.date) {
+            holiday.endDate = timedEnd.date;
+        }
+    }
+
+    return holiday;
+}
+
+// Parses an ICS document into { calendar, holidays, problems }
+function parseICS(text) {
+    const { calendars, problems } = readCalendar(text);
+    const calendar = calendars[0];
+
+    if (!calendar) {
+        return { calendar: null, holidays: [], problems };
+    }
+
+    const textProperty = name => (propertyOf(calendar, name) ? unescapeText(propertyOf(calendar, name).value) : null);
+    const holidays = calendars
+        .flatMap(component => component.components.filter(child => child.name === 'VEVENT'))
+        .map(eventToHoliday)
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+        calendar: {
+            name: textProperty('X-WR-CALNAME'),
+            prodId: textProperty('PRODID'),
+            version: textProperty('VERSION'),
+            timeZone: textProperty('X-WR-TIMEZONE')
+        },
+        holidays,
+        problems
+    };
+}
+
+function validateEvent(event, timeZones, report) {
+    ['UID', 'DTSTAMP', 'DTSTART'].forEach(name => {
+        if (!propertyOf(event, name)) {
+            report('error', event.line, `VEVENT is missing required property ${name}`);
+        }
+    });
+
+    ['UID', 'DTSTAMP', 'DTSTART', 'DTEND', 'DURATION', 'SUMMARY', 'DESCRIPTION', 'SEQUENCE'].forEach(name => {
+        if (event.properties.filter(property => property.name === name).length > 1) {
+            report('error', event.line, `VEVENT has more than one ${name}`);
+        }
+    });
+
+    const dtend = propertyOf(event, 'DTEND');
+    if (dtend && propertyOf(event, 'DURATION')) {
+        report('error', dtend.line, 'DTEND and DURATION must not both be present');
+    }
+
+    const dates = {};
+    ['DTSTART', 'DTEND', 'DTSTAMP'].forEach(name => {
+        const property = propertyOf(event, name);
+        if (!property) {
+            return;
+        }
+
+        dates[name] = parseDateValue(property);
+        if (!dates[name]) {
+            report('error', property.line, `${name} value "${property.value}" is not a valid ${property.params.VALUE || 'DATE-TIME'}`);
+        } else if (property.params.TZID && !timeZones.has(property.params.TZID)) {
+            report('error', property.line, `${name} references TZID "${property.params.TZID}" without a matching VTIMEZONE`);
+        }
+    });
+
+    if (dates.DTSTAMP && !dates.DTSTAMP.utc) {
+        report('error', propertyOf(event, 'DTSTAMP').line, 'DTSTAMP must be a UTC DATE-TIME');
+    }
+
+    if (dates.DTSTART && dates.DTEND) {
+        if (dates.DTSTART.allDay !== dates.DTEND.allDay) {
+            report('error', dtend.line, 'DTSTART and DTEND must both be DATE or both be DATE-TIME');
+        } else if (`${dates.DTEND.date}T${dates.DTEND.time || ''}` <= `${dates.DTSTART.date}T${dates.DTSTART.time || ''}`) {
+            report('error', dtend.line, 'DTEND must be later than DTSTART');
+        }
+    }
+
+    const sequence = propertyOf(event, 'SEQUENCE');
+    if (sequence && !/^\d+$/.test(sequence.value)) {
+        report('error', sequence.line, 'SEQUENCE must be a non-negative integer');
+    }
+
+    const duration = propertyOf(event, 'DURATION');
+    if (duration && !isDuration(duration.value)) {
+        report('error', duration.line, `DURATION value "${duration.value}" is not a valid duration`);
+    }
+
+    event.components.filter(component => component.name === 'VALARM').forEach(alarm => {
+        ['ACTION', 'TRIGGER'].forEach(name => {
+            if (!propertyOf(alarm, name)) {
+                report('error', alarm.line, `VALARM is missing required property ${name}`);
+            }
+        });
+
+        const trigger = propertyOf(alarm, 'TRIGGER');
+        if (trigger && trigger.params.VALUE !== 'DATE-TIME' && !isDuration(trigger.value)) {
+            report('error', trigger.line, `TRIGGER value "${trigger.value}" is not a valid duration`);
+        }
+
+        if (propertyOf(alarm, 'ACTION')?.value === 'DISPLAY' && !propertyOf(alarm, 'DESCRIPTION')) {
+            report('error', alarm.line, 'DISPLAY VALARM is missing required property DESCRIPTION');
+        }
+    });
+}
+
+// Returns { valid, errors, warnings }
+function validateICS(text) {
+    const { calendars, problems } = readCalendar(text);
+    const report = (severity, line, message) => problems.push({ severity, line, message });
+
+    calendars.forEach(calendar => {
+        ['VERSION', 'PRODID'].forEach(name => {
+            if (!propertyOf(calendar, name)) {
+                report('error', calendar.line, `VCALENDAR is missing required property ${name}`);
+            }
+        });
+
+        const version = propertyOf(calendar, 'VERSION');
+        if (version && version.value !== '2.0') {
+            report('error', version.line, `Unsupported VERSION "${version.value}"; expected 2.0`);
+        }
+
+        const timeZones = new Set(calendar.components
+            .filter(component => component.name === 'VTIMEZONE')
+            .map(component => propertyOf(component, 'TZID')?.value));
+
+        const events = calendar.components.filter(component => component.name === 'VEVENT');
+        if (!events.length) {
+            report('warning', calendar.line, 'VCALENDAR contains no VEVENT components');
+        }
+
+        const seen = new Set();
+        events.forEach(event => {
+            validateEvent(event, timeZones, report);
+
+            const uid = propertyOf(event, 'UID')?.value;
+            if (uid && !propertyOf(event, 'RECURRENCE-ID')) {
+                if (seen.has(uid)) {
+                    report('warning', event.line, `Duplicate UID "${uid}"`);
+                }
+                seen.add(uid);
+            }
+        });
+    });
+
+    const byLine = (a, b) => (a.line || 0) - (b.line || 0);
+    const strip = ({ line, message }) => ({ line, message });
+    const errors = problems.filter(problem => problem.severity === 'error').sort(byLine).map(strip);
+    const warnings = problems.filter(problem => problem.severity === 'warning').sort(byLine).map(strip);
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+    parseICS,
+    validateICS,
+    unescapeText,
+    unfoldLines
+};
@@ -0,0 +1,76 @@
+/**
+ * iCalendar (RFC 5545) serialization helpers
+ *
+ * Content lines are folded at 75 octets (section 3.1), counting UTF-8 bytes
+ * and never breaking inside a multi-byte character, and every line, the last
+ * included, ends with CRLF.
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '');
+}
+
+// Continuation lines start with a space, which counts towards their 75 octets
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+        return line;
+    }
+
+    const segments = [];
+    let current = '';
+    let octets = 0;
+    let limit = MAX_LINE_OCTETS;
+
+    // for...of walks code points, so surrogate pairs stay together
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+
+        if (octets + size > limit) {
+            segments.push(current);
+            current = '';
+            octets = 0;
+            limit = MAX_LINE_OCTETS - 1;
+        }
+
+        current += char;
+        octets += size;
+    }
+
+    segments.push(current);
+    return segments.join('\r\n ');
+}
+
+function serializeLines(lines) {
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ISO 8601 durations as used by TRIGGER and DURATION, e.g. "-P1D", "-PT15M"
+function isDuration(value) {
+    return /^[+-]?P(\d+W|(?=\d|T\d)(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?)$/.test(value);
+}
+
+function valarmLines(trigger, description) {
+    return [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(description)}`,
+        `TRIGGER:${trigger}`,
+        'END:VALARM'
+    ];
+}
+
+module.exports = {
+    MAX_LINE_OCTETS,
+    escapeText,
+    foldLine,
+    serializeLines,
+    isDuration,
+    valarmLines
+};
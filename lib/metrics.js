@@ -0,0 +1,144 @@
+/**
+ * Minimal Prometheus metrics registry
+ *
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format (version 0.0.4). Gauges may be given a `collect`
+ * function that is called on every scrape instead of being set directly.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// Series are keyed by their label values, in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function labelsFromKey(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+    const metrics = [];
+
+    function register(metric) {
+        metric.name = `${prefix}${metric.name}`;
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter({ name, help, labelNames = [] }) {
+        const series = new Map();
+
+        return register({
+            name,
+            help,
+            type: 'counter',
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                series.set(key, (series.get(key) || 0) + value);
+            },
+            get(labels = {}) {
+                return series.get(seriesKey(labelNames, labels)) || 0;
+            },
+            total() {
+                return [...series.values()].reduce((sum, value) => sum + value, 0);
+            },
+            lines() {
+                return [...series].map(([key, value]) => `${this.name}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`);
+            }
+        });
+    }
+
+    function gauge({ name, help, labelNames = [], collect = null }) {
+        const series = new Map();
+
+        return register({
+            name,
+            help,
+            type: 'gauge',
+            set(labels, value) {
+                series.set(seriesKey(labelNames, labels), value);
+            },
+            lines() {
+                if (collect) {
+                    series.clear();
+                    collect(this);
+                }
+                return [...series].map(([key, value]) => `${this.name}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`);
+            }
+        });
+    }
+
+    function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+        const series = new Map();
+
+        return register({
+            name,
+            help,
+            type: 'histogram',
+            observe(labels, value) {
+                const key = seriesKey(labelNames, labels);
+                if (!series.has(key)) {
+                    series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+
+                const entry = series.get(key);
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) {
+                        entry.counts[index]++;
+                    }
+                });
+                entry.sum += value;
+                entry.count++;
+            },
+            lines() {
+                return [...series].flatMap(([key, entry]) => {
+                    const labels = labelsFromKey(labelNames, key);
+                    return [
+                        ...buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`),
+                        `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`,
+                        `${this.name}_sum${formatLabels(labels)} ${formatValue(entry.sum)}`,
+                        `${this.name}_count${formatLabels(labels)} ${entry.count}`
+                    ];
+                });
+            }
+        });
+    }
+
+    function render() {
+        return metrics
+            .map(metric => [
+                `# HELP ${metric.name} ${metric.help}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.lines()
+            ].join('\n'))
+            .join('\n') + '\n';
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8'
+    };
+}
+
+module.exports = { createMetricsRegistry };
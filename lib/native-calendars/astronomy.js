@@ -0,0 +1,190 @@
+/**
+ * Low-precision solar and lunar positions for calendar calculations
+ *
+ * New moons follow Meeus, "Astronomical Algorithms" (2nd ed.), chapter 49,
+ * accurate to well under a minute; the Sun's apparent longitude follows
+ * chapter 25 (about 0.01°, so solar terms land within ~15 minutes) and the
+ * Moon's longitude keeps the largest terms of chapter 47 (a few hundredths
+ * of a degree). Julian days are in Terrestrial Time unless a function says
+ * otherwise.
+ */
+
+const SYNODIC_MONTH = 29.530588861;
+const TROPICAL_YEAR = 365.242189;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// TT - UT in days (Espenak & Meeus polynomials, 1986-2050)
+function deltaT(jd) {
+    const year = 2000 + (jd - 2451545) / 365.25;
+    const t = year - 2000;
+    const seconds = year < 2005
+        ? 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5
+        : 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+
+    return seconds / 86400;
+}
+
+// Periodic terms of the new moon: [coefficient, power of E, M, M', F, Ω]
+const NEW_MOON_TERMS = [
+    [-0.40720, 0, 0, 1, 0, 0], [0.17241, 1, 1, 0, 0, 0], [0.01608, 0, 0, 2, 0, 0],
+    [0.01039, 0, 0, 0, 2, 0], [0.00739, 1, -1, 1, 0, 0], [-0.00514, 1, 1, 1, 0, 0],
+    [0.00208, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+    [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+    [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+    [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+    [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+    [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+    [0.00002, 0, 0, 4, 0, 0]
+];
+
+// Planetary arguments: [A0, A1 (per lunation), coefficient]
+const PLANETARY_TERMS = [
+    [299.77, 0.107408, 0.000325], [251.88, 0.016321, 0.000165], [251.83, 26.651886, 0.000164],
+    [349.42, 36.412478, 0.000126], [84.66, 18.206239, 0.000110], [141.74, 53.303771, 0.000062],
+    [207.14, 2.453732, 0.000060], [154.84, 7.306860, 0.000056], [34.52, 27.261239, 0.000047],
+    [207.19, 0.121824, 0.000042], [291.34, 1.844379, 0.000040], [161.72, 24.198154, 0.000037],
+    [239.56, 25.513099, 0.000035], [331.55, 3.592518, 0.000023]
+];
+
+// Julian day (TT) of new moon number `k`, counted from the new moon of 2000-01-06
+function newMoon(k) {
+    const T = k / 1236.85;
+    const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+    const M = toRadians(2.5534 + 29.10535670 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3);
+    const Mp = toRadians(201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 + 0.00001238 * T ** 3 - 0.000000058 * T ** 4);
+    const F = toRadians(160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 - 0.00000227 * T ** 3 + 0.000000011 * T ** 4);
+    const omega = toRadians(124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3);
+
+    let jde = 2451550.09766 + SYNODIC_MONTH * k + 0.00015437 * T ** 2 - 0.000000150 * T ** 3 + 0.00000000073 * T ** 4;
+
+    NEW_MOON_TERMS.forEach(([coefficient, ePower, m, mp, f, o]) => {
+        jde += coefficient * E ** ePower * Math.sin(m * M + mp * Mp + f * F + o * omega);
+    });
+
+    PLANETARY_TERMS.forEach(([a0, a1, coefficient], index) => {
+        const argument = a0 + a1 * k - (index === 0 ? 0.009173 * T ** 2 : 0);
+        jde += coefficient * Math.sin(toRadians(argument));
+    });
+
+    return jde;
+}
+
+// Number of the last new moon at or before Julian day (TT) `jd`
+function newMoonIndexBefore(jd) {
+    let k = Math.floor((jd - 2451550.09766) / SYNODIC_MONTH);
+
+    while (newMoon(k + 1) <= jd) {
+        k++;
+    }
+    while (newMoon(k) > jd) {
+        k--;
+    }
+
+    return k;
+}
+
+// Apparent geocentric longitude of the Sun in degrees at Julian day (TT) `jd`
+function solarLongitude(jd) {
+    const T = (jd - 2451545) / 36525;
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T ** 2;
+    const M = toRadians(357.52911 + 35999.05029 * T - 0.0001537 * T ** 2);
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T ** 2) * Math.sin(M)
+        + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+        + 0.000289 * Math.sin(3 * M);
+    const omega = toRadians(125.04 - 1934.136 * T);
+
+    return normalizeDegrees(L0 + C - 0.00569 - 0.00478 * Math.sin(omega));
+}
+
+// Periodic terms of the Moon's longitude: [D, M, M', F, coefficient in 1e-6°]
+const MOON_LONGITUDE_TERMS = [
+    [0, 0, 1, 0, 6288774], [2, 0, -1, 0, 1274027], [2, 0, 0, 0, 658314], [0, 0, 2, 0, 213618],
+    [0, 1, 0, 0, -185116], [0, 0, 0, 2, -114332], [2, 0, -2, 0, 58793], [2, -1, -1, 0, 57066],
+    [2, 0, 1, 0, 53322], [2, -1, 0, 0, 45758], [0, 1, -1, 0, -40923], [1, 0, 0, 0, -34720],
+    [0, 1, 1, 0, -30383], [2, 0, 0, -2, 15327], [0, 0, 1, 2, -12528], [0, 0, 1, -2, 10980],
+    [4, 0, -1, 0, 10675], [0, 0, 3, 0, 10034], [4, 0, -2, 0, 8548], [2, 1, -1, 0, -7888],
+    [2, 1, 0, 0, -6766], [1, 0, -1, 0, -5163], [1, 1, 0, 0, 4987], [2, -1, 1, 0, 4036],
+    [2, 0, 2, 0, 3994], [4, 0, 0, 0, 3861], [2, 0, -3, 0, 3665], [0, 1, -2, 0, -2689],
+    [2, 0, -1, 2, -2602], [2, -1, -2, 0, 2390], [1, 0, 1, 0, -2348], [2, -2, 0, 0, 2236]
+];
+
+// Apparent geocentric longitude of the Moon in degrees at Julian day (TT) `jd`
+function lunarLongitude(jd) {
+    const T = (jd - 2451545) / 36525;
+    const L = 218.3164477 + 481267.88123421 * T - 0.0015786 * T ** 2;
+    const D = toRadians(297.8501921 + 445267.1114034 * T - 0.0018819 * T ** 2);
+    const M = toRadians(357.5291092 + 35999.0502909 * T - 0.0001536 * T ** 2);
+    const Mp = toRadians(134.9633964 + 477198.8675055 * T + 0.0087414 * T ** 2);
+    const F = toRadians(93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2);
+    const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+    const omega = toRadians(125.04 - 1934.136 * T);
+
+    let sum = 3958 * Math.sin(toRadians(119.75 + 131.849 * T))
+        + 1962 * Math.sin(toRadians(L) - F)
+        + 318 * Math.sin(toRadians(53.09 + 479264.290 * T));
+
+    MOON_LONGITUDE_TERMS.forEach(([d, m, mp, f, coefficient]) => {
+        sum += coefficient * E ** Math.abs(m) * Math.sin(d * D + m * M + mp * Mp + f * F);
+    });
+
+    return normalizeDegrees(L + sum / 1e6 - 0.00478 * Math.sin(omega));
+}
+
+// Angle from the Sun to the Moon, 0° at new moon and 180° at full moon
+function lunarElongation(jd) {
+    return normalizeDegrees(lunarLongitude(jd) - solarLongitude(jd));
+}
+
+// Lahiri ayanamsa: offset of the sidereal zodiac used by Hindu almanacs
+function ayanamsa(jd) {
+    return 23.853 + (jd - 2451545) / 365.25 * 0.013969;
+}
+
+// Julian day (TT) at which the Sun reaches `longitude`, searching near `jdGuess`
+function solarLongitudeTime(longitude, jdGuess) {
+    let jd = jdGuess;
+
+    for (let iteration = 0; iteration < 8; iteration++) {
+        const difference = ((longitude - solarLongitude(jd) + 540) % 360) - 180;
+        jd += difference * TROPICAL_YEAR / 360;
+    }
+
+    return jd;
+}
+
+// Julian day number of the civil date, at a fixed UTC offset, containing
+// the instant `jd` (TT)
+function civilDayNumber(jd, utcOffsetHours) {
+    return Math.floor(jd - deltaT(jd) + 0.5 + utcOffsetHours / 24);
+}
+
+// Julian day number <-> Date at UTC midnight
+function dateFromDayNumber(dayNumber) {
+    return new Date((dayNumber - 2440588) * 86400000);
+}
+
+function dayNumberFromDate(date) {
+    return Math.floor(date.getTime() / 86400000) + 2440588;
+}
+
+module.exports = {
+    SYNODIC_MONTH,
+    deltaT,
+    newMoon,
+    newMoonIndexBefore,
+    solarLongitude,
+    solarLongitudeTime,
+    lunarLongitude,
+    lunarElongation,
+    ayanamsa,
+    civilDayNumber,
+    dateFromDayNumber,
+    dayNumberFromDate
+};
@@ -0,0 +1,129 @@
+/**
+ * Chinese lunisolar calendar (and its Vietnamese and Korean variants)
+ *
+ * Months begin on the civil day of the new moon. The month containing the
+ * winter solstice is always month 11; when 13 new moons fall between two
+ * such months, the first month without a principal solar term (zhongqi, a
+ * multiple of 30° of solar longitude) is the leap month and repeats the
+ * previous number. The variants only differ in the meridian used to decide
+ * dates: UTC+8 for China, UTC+7 for Vietnam and UTC+9 for Korea.
+ */
+
+const {
+    newMoon,
+    newMoonIndexBefore,
+    solarLongitude,
+    solarLongitudeTime,
+    civilDayNumber,
+    dateFromDayNumber
+} = require('./astronomy');
+
+const ANIMALS = ['Rat', 'Ox', 'Tiger', 'Rabbit', 'Dragon', 'Snake', 'Horse', 'Goat', 'Monkey', 'Rooster', 'Dog', 'Pig'];
+
+const suiCache = new Map();
+
+// Rough Julian day (TT) of a Gregorian date, good enough as a search start
+function approximateJd(year, month, day) {
+    return Date.UTC(year, month - 1, day) / 86400000 + 2440587.5;
+}
+
+// Day number of the civil day at `utcOffset` on which the Sun reaches `longitude`
+function solarTermDay(year, longitude, utcOffset) {
+    const guess = approximateJd(year, 3, 20) + ((longitude + 360) % 360) * 365.2422 / 360;
+    return civilDayNumber(solarLongitudeTime(longitude, guess), utcOffset);
+}
+
+// Number of the new moon that starts the civil month containing `dayNumber`
+function monthIndexContaining(dayNumber, utcOffset) {
+    let k = newMoonIndexBefore(dayNumber + 0.5);
+
+    while (civilDayNumber(newMoon(k + 1), utcOffset) <= dayNumber) {
+        k++;
+    }
+    while (civilDayNumber(newMoon(k), utcOffset) > dayNumber) {
+        k--;
+    }
+
+    return k;
+}
+
+// Months from the one containing the winter solstice of `year - 1` up to,
+// but excluding, the one containing the solstice of `year`
+function monthsOfSui(year, utcOffset) {
+    const cacheKey = `${year}:${utcOffset}`;
+    if (suiCache.has(cacheKey)) {
+        return suiCache.get(cacheKey);
+    }
+
+    const first = monthIndexContaining(solarTermDay(year - 1, 270, utcOffset), utcOffset);
+    const last = monthIndexContaining(solarTermDay(year, 270, utcOffset), utcOffset);
+    const starts = [];
+    for (let k = first; k <= last; k++) {
+        starts.push(civilDayNumber(newMoon(k), utcOffset));
+    }
+
+    // The principal term in force at the start of a civil day at this meridian
+    const termAt = dayNumber => Math.floor(solarLongitude(dayNumber - 0.5 - utcOffset / 24 + 0.0008) / 30);
+    const hasLeapMonth = starts.length === 14;
+    let leapFound = false;
+    let number = 10;
+
+    const months = starts.slice(0, -1).map((start, index) => {
+        const leap = hasLeapMonth && !leapFound && termAt(start) === termAt(starts[index + 1]);
+        if (leap) {
+            leapFound = true;
+        } else {
+            number = number % 12 + 1;
+        }
+        return { start, length: starts[index + 1] - start, month: number, leap };
+    });
+
+    suiCache.set(cacheKey, months);
+    return months;
+}
+
+// Months of the lunar year that begins in Gregorian `year`, in order
+function monthsOfYear(year, utcOffset) {
+    const current = monthsOfSui(year, utcOffset);
+    const next = monthsOfSui(year + 1, utcOffset);
+    const firstIndex = month => month.month === 1 && !month.leap;
+
+    return [
+        ...current.slice(current.findIndex(firstIndex)),
+        ...next.slice(0, next.findIndex(firstIndex))
+    ];
+}
+
+// Gregorian date (UTC midnight) of a day of the lunar year beginning in
+// Gregorian `year`, or null when the month or day does not exist that year
+function chineseToGregorian(year, month, day, { leap = false, utcOffset = 8 } = {}) {
+    const match = monthsOfYear(year, utcOffset).find(entry => entry.month === month && entry.leap === leap);
+
+    if (!match || day < 1 || day > match.length) {
+        return null;
+    }
+
+    return dateFromDayNumber(match.start + day - 1);
+}
+
+// Length in days of a lunar month, e.g. to find the last day of month 12
+function chineseMonthLength(year, month, { leap = false, utcOffset = 8 } = {}) {
+    const match = monthsOfYear(year, utcOffset).find(entry => entry.month === month && entry.leap === leap);
+    return match ? match.length : null;
+}
+
+// Gregorian date of a solar term, e.g. 15° for Qingming (Pure Brightness)
+function solarTermDate(year, longitude, { utcOffset = 8 } = {}) {
+    return dateFromDayNumber(solarTermDay(year, longitude, utcOffset));
+}
+
+function formatChineseDate(year, month, day, leap = false) {
+    return `Day ${day} of ${leap ? 'leap ' : ''}lunar month ${month}, Year of the ${ANIMALS[((year - 4) % 12 + 12) % 12]}`;
+}
+
+module.exports = {
+    chineseToGregorian,
+    chineseMonthLength,
+    solarTermDate,
+    formatChineseDate
+};
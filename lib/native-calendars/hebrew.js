@@ -0,0 +1,117 @@
+/**
+ * Hebrew calendar
+ *
+ * The fixed arithmetic calendar: 19-year leap cycle, molad of Tishrei and
+ * the postponement rules (dehiyyot), after Dershowitz & Reingold,
+ * "Calendrical Calculations". Months are numbered from Nisan (1) with
+ * Tishrei as 7; in leap years Adar I is 12 and Adar II is 13. The calendar
+ * is fully computed, so its dates are exact.
+ */
+
+const MONTHS = [
+    'Nisan', 'Iyar', 'Sivan', 'Tammuz', 'Av', 'Elul',
+    'Tishrei', 'Cheshvan', 'Kislev', 'Tevet', 'Shevat', 'Adar', 'Adar II'
+];
+
+// Julian day number of 1 Tishrei AM 1
+const EPOCH = 347998;
+
+function isLeapYear(year) {
+    return (7 * year + 1) % 19 < 7;
+}
+
+function monthsInYear(year) {
+    return isLeapYear(year) ? 13 : 12;
+}
+
+// Days from the epoch to the molad of Tishrei, with the first postponement
+function elapsedDays(year) {
+    const monthsElapsed = Math.floor((235 * year - 234) / 19);
+    const partsElapsed = 12084 + 13753 * monthsElapsed;
+    const day = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+
+    return (3 * (day + 1)) % 7 < 3 ? day + 1 : day;
+}
+
+// Remaining postponements keep every year 353-355 or 383-385 days long
+function yearLengthCorrection(year) {
+    const previous = elapsedDays(year - 1);
+    const current = elapsedDays(year);
+    const next = elapsedDays(year + 1);
+
+    if (next - current === 356) {
+        return 2;
+    }
+    return current - previous === 382 ? 1 : 0;
+}
+
+function newYear(year) {
+    return EPOCH + elapsedDays(year) + yearLengthCorrection(year);
+}
+
+function daysInYear(year) {
+    return newYear(year + 1) - newYear(year);
+}
+
+function daysInMonth(year, month) {
+    if ([2, 4, 6, 10, 13].includes(month) || (month === 12 && !isLeapYear(year))) {
+        return 29;
+    }
+    if (month === 8) {
+        return daysInYear(year) % 10 === 5 ? 30 : 29;
+    }
+    if (month === 9) {
+        return daysInYear(year) % 10 === 3 ? 29 : 30;
+    }
+    return 30;
+}
+
+function hebrewDayNumber(year, month, day) {
+    let dayNumber = newYear(year) + day - 1;
+
+    if (month < 7) {
+        for (let m = 7; m <= monthsInYear(year); m++) {
+            dayNumber += daysInMonth(year, m);
+        }
+        for (let m = 1; m < month; m++) {
+            dayNumber += daysInMonth(year, m);
+        }
+    } else {
+        for (let m = 7; m < month; m++) {
+            dayNumber += daysInMonth(year, m);
+        }
+    }
+
+    return dayNumber;
+}
+
+// Gregorian dates (UTC midnight) of a Hebrew month and day within a
+// Gregorian year. Adar II only exists in leap years; in other years month
+// 13 falls back to Adar so that Adar II festivals are kept
+function hebrewDatesInYear(gregorianYear, month, day) {
+    const dates = [];
+
+    for (let year = gregorianYear + 3760; year <= gregorianYear + 3761; year++) {
+        const effectiveMonth = month === 13 && !isLeapYear(year) ? 12 : month;
+        if (day > daysInMonth(year, effectiveMonth)) {
+            continue;
+        }
+
+        const date = new Date((hebrewDayNumber(year, effectiveMonth, day) - 2440588) * 86400000);
+        if (date.getUTCFullYear() === gregorianYear) {
+            dates.push({ date, year, month: effectiveMonth });
+        }
+    }
+
+    return dates;
+}
+
+function formatHebrewDate(year, month, day) {
+    const name = month === 12 && isLeapYear(year) ? 'Adar I' : MONTHS[month - 1];
+    return `${day} ${name} ${year}`;
+}
+
+module.exports = {
+    hebrewDatesInYear,
+    formatHebrewDate
+};
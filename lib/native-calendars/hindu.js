@@ -0,0 +1,70 @@
+/**
+ * Hindu lunisolar festivals
+ *
+ * Only what the rule sets need: Diwali (Lakshmi Puja) is celebrated on the
+ * Amavasya (new moon tithi) that ends the lunar month of Ashvin, i.e. the
+ * new moon at which the Sun is in sidereal Libra (Tula), on the first day
+ * the tithi prevails at pradosh kaal (dusk, taken as 17:45 IST). Regional
+ * almanacs (panchang) can disagree by a day, so the dates are estimates.
+ */
+
+const {
+    deltaT,
+    newMoon,
+    newMoonIndexBefore,
+    solarLongitude,
+    lunarElongation,
+    ayanamsa,
+    dateFromDayNumber
+} = require('./astronomy');
+
+const IST_OFFSET = 5.5 / 24;
+const DUSK = 17.75 / 24;
+
+// Each tithi spans 12° of elongation; the 30th (Amavasya) starts at 348°
+const AMAVASYA_START = 348;
+
+function toUniversalTime(jd) {
+    return jd - deltaT(jd);
+}
+
+// Julian day (TT) before the new moon at `newMoonJd` at which the Amavasya begins
+function amavasyaStart(newMoonJd) {
+    let jd = newMoonJd - 1;
+
+    for (let iteration = 0; iteration < 6; iteration++) {
+        const difference = ((AMAVASYA_START - lunarElongation(jd) + 540) % 360) - 180;
+        jd += difference / 12.19;
+    }
+
+    return jd;
+}
+
+function diwaliDate(year) {
+    let k = newMoonIndexBefore(Date.UTC(year, 9, 1) / 86400000 + 2440587.5);
+    while (Math.floor((solarLongitude(newMoon(k)) - ayanamsa(newMoon(k)) + 360) % 360 / 30) !== 6) {
+        k++;
+    }
+
+    const end = toUniversalTime(newMoon(k));
+    const start = toUniversalTime(amavasyaStart(newMoon(k)));
+    const firstDay = Math.floor(start + 0.5 + IST_OFFSET);
+
+    for (let dayNumber = firstDay; dayNumber <= firstDay + 1; dayNumber++) {
+        const dusk = dayNumber - 0.5 + DUSK - IST_OFFSET;
+        if (dusk >= start && dusk < end) {
+            return dateFromDayNumber(dayNumber);
+        }
+    }
+
+    return dateFromDayNumber(Math.floor(end + 0.5 + IST_OFFSET));
+}
+
+const FESTIVALS = {
+    diwali: { date: diwaliDate, nativeDate: 'Kartika Amavasya' }
+};
+
+module.exports = {
+    FESTIVALS,
+    diwaliDate
+};
@@ -0,0 +1,69 @@
+/**
+ * Non-Gregorian calendar rules
+ *
+ * Resolves `{ calendar, ... }` date rules from rule-sets.js to the Gregorian
+ * dates they fall on within a year, together with the date in the native
+ * calendar and whether it is only an estimate:
+ * - Islamic (tabular):  { calendar: 'islamic', month: 10, day: 1 }
+ * - Hebrew:             { calendar: 'hebrew', month: 7, day: 1 }
+ * - Persian:            { calendar: 'persian', month: 1, day: 1 }
+ * - Chinese lunisolar:  { calendar: 'chinese', month: 1, day: 1, leap: false, utcOffset: 8 }
+ *   (day 'last' is the last day of the month; `solarTerm: 15` is a solar term)
+ * - Hindu festivals:    { calendar: 'hindu', festival: 'diwali' }
+ *
+ * Islamic dates depend on the sighting of the moon and Hindu festivals on
+ * the local almanac, so they are flagged as estimated.
+ */
+
+const { islamicDatesInYear, formatIslamicDate } = require('./islamic');
+const { hebrewDatesInYear, formatHebrewDate } = require('./hebrew');
+const { persianDatesInYear, formatPersianDate } = require('./persian');
+const { chineseToGregorian, chineseMonthLength, solarTermDate, formatChineseDate } = require('./chinese');
+const { FESTIVALS } = require('./hindu');
+
+function chineseDates(rule, year) {
+    const utcOffset = rule.utcOffset ?? 8;
+    const leap = Boolean(rule.leap);
+
+    if (rule.solarTerm !== undefined) {
+        return [{ date: solarTermDate(year, rule.solarTerm, { utcOffset }), nativeDate: `Solar term at ${rule.solarTerm}° solar longitude` }];
+    }
+
+    // Late lunar months of the previous lunar year fall in January or February
+    return [year - 1, year]
+        .map(lunarYear => {
+            const day = rule.day === 'last' ? chineseMonthLength(lunarYear, rule.month, { leap, utcOffset }) : rule.day;
+            const date = day && chineseToGregorian(lunarYear, rule.month, day, { leap, utcOffset });
+            return date && { date, nativeDate: formatChineseDate(lunarYear, rule.month, day, leap) };
+        })
+        .filter(entry => entry && entry.date.getUTCFullYear() === year);
+}
+
+const CALENDARS = {
+    islamic: (rule, year, { islamicOffset = 0 }) => islamicDatesInYear(year, rule.month, rule.day, { offset: islamicOffset })
+        .map(({ date, year: islamicYear }) => ({ date, nativeDate: formatIslamicDate(islamicYear, rule.month, rule.day), estimated: true })),
+    hebrew: (rule, year) => hebrewDatesInYear(year, rule.month, rule.day)
+        .map(({ date, year: hebrewYear, month }) => ({ date, nativeDate: formatHebrewDate(hebrewYear, month, rule.day) })),
+    persian: (rule, year) => persianDatesInYear(year, rule.month, rule.day)
+        .map(({ date, year: persianYear }) => ({ date, nativeDate: formatPersianDate(persianYear, rule.month, rule.day) })),
+    chinese: chineseDates,
+    hindu: (rule, year) => {
+        const festival = FESTIVALS[rule.festival];
+        return [{ date: festival.date(year), nativeDate: festival.nativeDate, estimated: true }];
+    }
+};
+
+// [{ date, nativeDate, estimated? }] for every occurrence of the rule in `year`
+function nativeCalendarDates(rule, year, options = {}) {
+    const resolve = CALENDARS[rule.calendar];
+    if (!resolve) {
+        throw new Error(`Unknown calendar "${rule.calendar}"`);
+    }
+
+    return resolve(rule, year, options);
+}
+
+module.exports = {
+    nativeCalendarDates,
+    CALENDARS: Object.keys(CALENDARS)
+};
@@ -0,0 +1,50 @@
+/**
+ * Tabular Islamic (Hijri) calendar
+ *
+ * The arithmetic civil calendar: months alternate between 30 and 29 days,
+ * and 11 years of every 30-year cycle (2, 5, 7, 10, 13, 16, 18, 21, 24, 26
+ * and 29) add a day to Dhu al-Hijjah. Observed dates depend on the sighting
+ * of the crescent moon and may differ by a day or two, so a day `offset`
+ * can shift every date to match local practice.
+ */
+
+const MONTHS = [
+    'Muharram', 'Safar', 'Rabi al-Awwal', 'Rabi al-Thani', 'Jumada al-Awwal', 'Jumada al-Thani',
+    'Rajab', 'Sha\'ban', 'Ramadan', 'Shawwal', 'Dhu al-Qadah', 'Dhu al-Hijjah'
+];
+
+// Julian day number of 1 Muharram 1 AH (16 July 622, Julian calendar)
+const EPOCH = 1948440;
+
+function islamicDayNumber(year, month, day) {
+    return day
+        + Math.ceil(29.5 * (month - 1))
+        + (year - 1) * 354
+        + Math.floor((3 + 11 * year) / 30)
+        + EPOCH - 1;
+}
+
+// Gregorian dates (UTC midnight) of an Islamic month and day within a
+// Gregorian year; the Islamic year is shorter, so a date can occur twice
+function islamicDatesInYear(gregorianYear, month, day, { offset = 0 } = {}) {
+    const approximateYear = Math.floor((gregorianYear - 622) * 33 / 32);
+    const dates = [];
+
+    for (let year = approximateYear - 1; year <= approximateYear + 2; year++) {
+        const date = new Date((islamicDayNumber(year, month, day) + offset - 2440588) * 86400000);
+        if (date.getUTCFullYear() === gregorianYear) {
+            dates.push({ date, year });
+        }
+    }
+
+    return dates;
+}
+
+function formatIslamicDate(year, month, day) {
+    return `${day} ${MONTHS[month - 1]} ${year} AH`;
+}
+
+module.exports = {
+    islamicDatesInYear,
+    formatIslamicDate
+};
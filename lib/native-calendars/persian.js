@@ -0,0 +1,66 @@
+/**
+ * Persian (Solar Hijri) calendar
+ *
+ * Nowruz falls on the day of the March equinox as observed in Tehran. The
+ * leap years follow Borkowski's arithmetic approximation of that rule, which
+ * agrees with the astronomical calendar from 1178 to 1634 SH (1799-2256).
+ * The first six months have 31 days, the next five 30 and Esfand 29 or 30.
+ */
+
+const MONTHS = [
+    'Farvardin', 'Ordibehesht', 'Khordad', 'Tir', 'Mordad', 'Shahrivar',
+    'Mehr', 'Aban', 'Azar', 'Dey', 'Bahman', 'Esfand'
+];
+
+// Years (SH) in which the 33-year leap cycle is broken
+const BREAKS = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210, 1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
+
+// Day of March on which 1 Farvardin of Persian `year` falls
+function nowruzDay(year) {
+    if (year < BREAKS[0] || year >= BREAKS[BREAKS.length - 1]) {
+        throw new RangeError(`Persian year ${year} is out of range`);
+    }
+
+    const gregorianYear = year + 621;
+    let leapDays = -14;
+    let previousBreak = BREAKS[0];
+    let jump = 0;
+
+    for (let index = 1; index < BREAKS.length; index++) {
+        jump = BREAKS[index] - previousBreak;
+        if (year < BREAKS[index]) {
+            break;
+        }
+        leapDays += Math.trunc(jump / 33) * 8 + Math.trunc((jump % 33) / 4);
+        previousBreak = BREAKS[index];
+    }
+
+    const elapsed = year - previousBreak;
+    leapDays += Math.trunc(elapsed / 33) * 8 + Math.trunc(((elapsed % 33) + 3) / 4);
+    if (jump % 33 === 4 && jump - elapsed === 4) {
+        leapDays++;
+    }
+
+    const gregorianLeapDays = Math.trunc(gregorianYear / 4) - Math.trunc((Math.trunc(gregorianYear / 100) + 1) * 3 / 4) - 150;
+    return 20 + leapDays - gregorianLeapDays;
+}
+
+// Gregorian dates (UTC midnight) of a Persian month and day within a
+// Gregorian year
+function persianDatesInYear(gregorianYear, month, day) {
+    return [gregorianYear - 622, gregorianYear - 621]
+        .map(year => {
+            const dayOfYear = (month <= 6 ? (month - 1) * 31 : 186 + (month - 7) * 30) + day - 1;
+            return { date: new Date(Date.UTC(year + 621, 2, nowruzDay(year) + dayOfYear)), year };
+        })
+        .filter(({ date }) => date.getUTCFullYear() === gregorianYear);
+}
+
+function formatPersianDate(year, month, day) {
+    return `${day} ${MONTHS[month - 1]} ${year} SH`;
+}
+
+module.exports = {
+    persianDatesInYear,
+    formatPersianDate
+};
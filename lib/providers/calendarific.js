@@ -0,0 +1,79 @@
+/**
+ * calendarific.com adapter
+ *
+ * Authenticates with the `api_key` query parameter and responds with
+ * `{ meta, response: { holidays: [...] } }`. Subdivisions are requested via
+ * `location` (lower-case ISO 3166-2); each holiday's `states` is either "All"
+ * or a list of states carrying an `iso` code.
+ */
+
+// Calendarific type labels; anything unlisted is treated as an observance
+const TYPE_MAP = {
+    'National holiday': 'public',
+    'Local holiday': 'public',
+    'Common local holiday': 'public',
+    'Bank holiday': 'bank',
+    'Optional holiday': 'optional',
+    'Restricted Holiday': 'optional'
+};
+
+// Calendar events that are not holidays at all
+const IGNORED_TYPES = ['Season', 'Clock change/Daylight Saving Time'];
+
+function mapType(types = []) {
+    const match = types.find(type => TYPE_MAP[type]);
+    return match ? TYPE_MAP[match] : 'observance';
+}
+
+function appliesToRegion(holiday, region) {
+    if (!Array.isArray(holiday.states)) {
+        return true;
+    }
+
+    return Boolean(region) && holiday.states.some(state => state.iso?.toUpperCase() === region);
+}
+
+function createCalendarificProvider({ http, baseUrl = 'https://calendarific.com', apiKey, timeout }) {
+    return {
+        name: 'calendarific',
+        requiresKey: true,
+
+        isConfigured() {
+            return Boolean(apiKey);
+        },
+
+        async fetchHolidays(country, year, region) {
+            const response = await http.get(`${baseUrl}/api/v2/holidays`, {
+                timeout,
+                params: {
+                    api_key: apiKey,
+                    country,
+                    year,
+                    ...(region ? { location: region.toLowerCase() } : {})
+                }
+            });
+
+            // An empty `response: []` means the country is not covered
+            if (Array.isArray(response.data?.response)) {
+                return null;
+            }
+
+            const holidays = response.data?.response?.holidays;
+            if (!Array.isArray(holidays)) {
+                throw new Error(response.data?.meta?.error_detail || 'Unexpected response schema');
+            }
+
+            return holidays
+                .filter(holiday => !holiday.type?.some(type => IGNORED_TYPES.includes(type)))
+                .filter(holiday => appliesToRegion(holiday, region))
+                .map(holiday => ({
+                    date: holiday.date.iso.slice(0, 10),
+                    name: holiday.name,
+                    description: holiday.description || undefined,
+                    type: mapType(holiday.type)
+                }));
+        }
+    };
+}
+
+module.exports = { createCalendarificProvider };
@@ -0,0 +1,45 @@
+/**
+ * holidayapi.com adapter
+ *
+ * Authenticates with the `key` query parameter and responds with
+ * `{ status, holidays: [...] }`. Subdivisions are requested by passing the
+ * ISO 3166-2 code as the country; each holiday lists its `subdivisions`.
+ */
+
+function createHolidayApiProvider({ http, baseUrl = 'https://holidayapi.com', apiKey, timeout }) {
+    return {
+        name: 'holidayapi',
+        requiresKey: true,
+
+        isConfigured() {
+            return Boolean(apiKey);
+        },
+
+        async fetchHolidays(country, year, region) {
+            const response = await http.get(`${baseUrl}/v1/holidays`, {
+                timeout,
+                params: {
+                    key: apiKey,
+                    country: region || country,
+                    year
+                }
+            });
+
+            const holidays = response.data?.holidays;
+            if (!Array.isArray(holidays)) {
+                throw new Error('Unexpected response schema');
+            }
+
+            return holidays
+                .filter(holiday => !holiday.subdivisions?.length || (region && holiday.subdivisions.includes(region)))
+                .map(holiday => ({
+                    date: holiday.date,
+                    name: holiday.name,
+                    type: holiday.public ? 'public' : 'observance',
+                    ...(holiday.observed && holiday.observed !== holiday.date ? { observed: holiday.observed } : {})
+                }));
+        }
+    };
+}
+
+module.exports = { createHolidayApiProvider };
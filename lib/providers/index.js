@@ -0,0 +1,173 @@
+/**
+ * Upstream holiday provider chain
+ *
+ * Providers are tried in the configured order until one returns data. Each
+ * has a circuit breaker: after `failureThreshold` consecutive failures it is
+ * skipped for `cooldownMs`, then a single trial request (others skip it
+ * meanwhile) decides whether it closes again. A provider returning null
+ * (country not covered) is neither a success nor a failure. `onResult` is told the outcome of every attempt
+ * ("success", "empty", "failure" or "skipped") and its latency, e.g. for metrics.
+ *
+ * Configuration (see createProvidersFromEnv):
+ * - HOLIDAY_PROVIDERS            ordered, comma-separated list (default "nager,holidayapi,calendarific";
+ *                                empty or "none" for offline data only)
+ * - HOLIDAYAPI_KEY               API key for holidayapi.com
+ * - CALENDARIFIC_API_KEY         API key for calendarific.com
+ * - <NAME>_BASE_URL              override a provider's base URL, e.g. for local mock servers
+ * - EXTERNAL_API_TIMEOUT         per-request timeout in ms (default 3000)
+ * - PROVIDER_FAILURE_THRESHOLD   consecutive failures before the circuit opens (default 5)
+ * - PROVIDER_COOLDOWN_MS         how long an open circuit skips the provider (default 60000)
+ */
+
+const { createNagerProvider } = require('./nager');
+const { createHolidayApiProvider } = require('./holidayapi');
+const { createCalendarificProvider } = require('./calendarific');
+
+const PROVIDER_FACTORIES = {
+    nager: (http, env, timeout) => createNagerProvider({
+        http,
+        timeout,
+        baseUrl: env.NAGER_BASE_URL
+    }),
+    holidayapi: (http, env, timeout) => createHolidayApiProvider({
+        http,
+        timeout,
+        baseUrl: env.HOLIDAYAPI_BASE_URL,
+        apiKey: env.HOLIDAYAPI_KEY
+    }),
+    calendarific: (http, env, timeout) => createCalendarificProvider({
+        http,
+        timeout,
+        baseUrl: env.CALENDARIFIC_BASE_URL,
+        apiKey: env.CALENDARIFIC_API_KEY
+    })
+};
+
+const DEFAULT_PROVIDER_ORDER = ['nager', 'holidayapi', 'calendarific'];
+
+function createProvidersFromEnv(http, env = process.env) {
+    const timeout = parseInt(env.EXTERNAL_API_TIMEOUT) || 3000;
+    const names = env.HOLIDAY_PROVIDERS !== undefined
+        ? env.HOLIDAY_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(name => name && name !== 'none')
+        : DEFAULT_PROVIDER_ORDER;
+
+    const unknown = names.filter(name => !PROVIDER_FACTORIES[name]);
+    if (unknown.length) {
+        throw new Error(`Unknown holiday provider(s): ${unknown.join(', ')}`);
+    }
+
+    return names.map(name => PROVIDER_FACTORIES[name](http, env, timeout));
+}
+
+function createProviderChain({ providers, failureThreshold = 5, cooldownMs = 60000, logger, onResult = () => {} }) {
+    const circuits = new Map(providers.map(provider => [provider.name, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        successes: 0,
+        failures: 0,
+        empty: 0,
+        skipped: 0,
+        lastError: null,
+        lastLatencyMs: null
+    }]));
+
+    // A closed circuit lets everything through; once the cooldown has passed
+    // an open one lets through exactly one trial at a time
+    function canAttempt(circuit) {
+        if (circuit.state === 'closed') {
+            return true;
+        }
+
+        if (circuit.state === 'open' && Date.now() - circuit.openedAt >= cooldownMs) {
+            circuit.state = 'half-open';
+        }
+
+        if (circuit.state === 'half-open' && !circuit.trialInFlight) {
+            circuit.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    function recordFailure(provider, circuit, error) {
+        circuit.failures++;
+        circuit.consecutiveFailures++;
+        circuit.lastError = { message: error.message, at: new Date().toISOString() };
+
+        if (circuit.state === 'half-open' || circuit.consecutiveFailures >= failureThreshold) {
+            if (circuit.state !== 'open') {
+                logger?.warn(`Circuit opened for holiday provider ${provider.name} after ${circuit.consecutiveFailures} failures`);
+            }
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+        }
+    }
+
+    // Resolves to { holidays, provider } from the first provider with data, or null
+    async function fetchHolidays(country, year, region) {
+        for (const provider of providers) {
+            const circuit = circuits.get(provider.name);
+
+            if (!provider.isConfigured()) {
+                continue;
+            }
+
+            if (!canAttempt(circuit)) {
+                circuit.skipped++;
+                onResult({ provider: provider.name, outcome: 'skipped', latencyMs: null });
+                continue;
+            }
+
+            const trial = circuit.state === 'half-open';
+            const startedAt = Date.now();
+
+            try {
+                const holidays = await provider.fetchHolidays(country, year, region);
+                circuit.lastLatencyMs = Date.now() - startedAt;
+                circuit.consecutiveFailures = 0;
+                circuit.state = 'closed';
+
+                if (holidays && holidays.length) {
+                    circuit.successes++;
+                    onResult({ provider: provider.name, outcome: 'success', latencyMs: circuit.lastLatencyMs });
+                    return { holidays, provider: provider.name };
+                }
+
+                circuit.empty++;
+                onResult({ provider: provider.name, outcome: 'empty', latencyMs: circuit.lastLatencyMs });
+            } catch (error) {
+                circuit.lastLatencyMs = Date.now() - startedAt;
+                recordFailure(provider, circuit, error);
+                onResult({ provider: provider.name, outcome: 'failure', latencyMs: circuit.lastLatencyMs });
+                logger?.debug(`Holiday provider ${provider.name} failed for ${country}-${year}: ${error.message}`);
+            } finally {
+                if (trial) {
+                    circuit.trialInFlight = false;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    function stats() {
+        return providers.map(provider => ({
+            name: provider.name,
+            configured: provider.isConfigured(),
+            ...circuits.get(provider.name)
+        }));
+    }
+
+    return {
+        fetchHolidays,
+        stats
+    };
+}
+
+module.exports = {
+    createProviderChain,
+    createProvidersFromEnv
+};
@@ -0,0 +1,56 @@
+/**
+ * date.nager.at adapter
+ *
+ * No authentication. Responds with a bare array; regional holidays are
+ * flagged `global: false` and list ISO 3166-2 codes in `counties`.
+ */
+
+const TYPE_MAP = {
+    Public: 'public',
+    Bank: 'bank',
+    Optional: 'optional'
+};
+
+function mapType(types = []) {
+    const match = Object.keys(TYPE_MAP).find(type => types.includes(type));
+    return match ? TYPE_MAP[match] : 'observance';
+}
+
+function createNagerProvider({ http, baseUrl = 'https://date.nager.at', timeout }) {
+    return {
+        name: 'nager',
+        requiresKey: false,
+
+        isConfigured() {
+            return true;
+        },
+
+        async fetchHolidays(country, year, region) {
+            const response = await http.get(`${baseUrl}/api/v3/PublicHolidays/${year}/${country}`, {
+                timeout,
+                // 404 means the country is not covered, not that the source is down
+                validateStatus: status => (status >= 200 && status < 300) || status === 404
+            });
+
+            if (response.status === 404 || response.status === 204) {
+                return null;
+            }
+
+            if (!Array.isArray(response.data)) {
+                throw new Error('Unexpected response schema');
+            }
+
+            // Keep nationwide holidays plus those of the requested subdivision
+            return response.data
+                .filter(holiday => holiday.global !== false || (region && holiday.counties?.includes(region)))
+                .map(holiday => ({
+                    date: holiday.date,
+                    name: holiday.name,
+                    localName: holiday.localName !== holiday.name ? holiday.localName : undefined,
+                    type: mapType(holiday.types)
+                }));
+        }
+    };
+}
+
+module.exports = { createNagerProvider };
@@ -0,0 +1,146 @@
+/**
+ * Per-client request quotas
+ *
+ * Every client (API key, RapidAPI user or, without authentication, IP) has
+ * three counters: a fixed one-minute window that starts with its first
+ * request, the current UTC day and the current UTC month. A request is only
+ * counted when all three have room for its cost. With a `file`, the daily
+ * and monthly counters survive restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE_MS = 60 * 1000;
+
+function loadUsage(file) {
+    try {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return new Map();
+    }
+}
+
+function dayOf(now) {
+    return now.toISOString().slice(0, 10);
+}
+
+function monthOf(now) {
+    return now.toISOString().slice(0, 7);
+}
+
+function nextDay(now) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+function nextMonth(now) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+function createQuotaTracker({ file = null, saveDelayMs = 5000, onError = () => {} } = {}) {
+    const usage = file ? loadUsage(file) : new Map();
+    let saveTimer = null;
+
+    async function save() {
+        saveTimer = null;
+        try {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify(Object.fromEntries(usage)));
+        } catch (error) {
+            onError(error);
+        }
+    }
+
+    function scheduleSave() {
+        if (file && !saveTimer) {
+            saveTimer = setTimeout(save, saveDelayMs);
+            saveTimer.unref();
+        }
+    }
+
+    // Current counters for a client, with windows that have ended reset to zero
+    function current(clientId, now) {
+        const entry = usage.get(clientId) || {};
+        const minuteActive = entry.minute && now.getTime() - entry.minute.start < MINUTE_MS;
+
+        return {
+            minute: minuteActive ? entry.minute : { start: now.getTime(), count: 0 },
+            day: entry.day && entry.day.period === dayOf(now) ? entry.day : { period: dayOf(now), count: 0 },
+            month: entry.month && entry.month.period === monthOf(now) ? entry.month : { period: monthOf(now), count: 0 },
+            total: entry.total || 0,
+            lastRequestAt: entry.lastRequestAt || null
+        };
+    }
+
+    function describe(counters, limits) {
+        const resets = {
+            minute: new Date(counters.minute.start + MINUTE_MS),
+            day: nextDay(new Date(`${counters.day.period}T00:00:00Z`)),
+            month: nextMonth(new Date(`${counters.month.period}-01T00:00:00Z`))
+        };
+
+        return Object.fromEntries(['minute', 'day', 'month'].map(window => [window, {
+            limit: limits[window],
+            used: counters[window].count,
+            remaining: Math.max(0, limits[window] - counters[window].count),
+            resetAt: resets[window]
+        }]));
+    }
+
+    // Counts a request of `cost` units against `limits` ({ minute, day, month }).
+    // Returns { allowed, exceeded, windows }; `exceeded` names the first window
+    // without room, in which case nothing is counted.
+    function consume(clientId, limits, cost = 1, now = new Date()) {
+        const counters = current(clientId, now);
+        const exceeded = ['minute', 'day', 'month'].find(window => counters[window].count + cost > limits[window]);
+
+        if (!exceeded) {
+            counters.minute.count += cost;
+            counters.day.count += cost;
+            counters.month.count += cost;
+            counters.total += cost;
+            counters.lastRequestAt = now.toISOString();
+            usage.set(clientId, counters);
+            scheduleSave();
+        }
+
+        return {
+            allowed: !exceeded,
+            exceeded: exceeded || null,
+            windows: describe(counters, limits)
+        };
+    }
+
+    // Request counts in the current windows, e.g. for usage reports
+    function usageOf(clientId, now = new Date()) {
+        const counters = current(clientId, now);
+
+        return {
+            minute: counters.minute.count,
+            day: counters.day.count,
+            month: counters.month.count,
+            total: counters.total,
+            lastRequestAt: counters.lastRequestAt
+        };
+    }
+
+    // Writes any pending changes now, e.g. before the process exits
+    async function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            await save();
+        }
+    }
+
+    return {
+        consume,
+        usageOf,
+        flush,
+        clients: () => [...usage.keys()]
+    };
+}
+
+module.exports = { createQuotaTracker };
@@ -0,0 +1,28 @@
+/**
+ * ISO 3166-2 subdivision lookup backed by the offline rule sets
+ */
+
+const ruleSets = require('./rule-sets');
+
+// Accepts either the bare subdivision ("CA") or the full code ("US-CA")
+function normalizeRegion(country, region) {
+    const code = region.trim().toUpperCase();
+    return code.startsWith(`${country}-`) ? code : `${country}-${code}`;
+}
+
+function listRegions(country) {
+    const regions = ruleSets[country]?.regions || {};
+    return Object.keys(regions)
+        .sort()
+        .map(code => ({ code, name: regions[code].name }));
+}
+
+function isKnownRegion(country, region) {
+    return Boolean(ruleSets[country]?.regions?.[region]);
+}
+
+module.exports = {
+    normalizeRegion,
+    listRegions,
+    isKnownRegion
+};
@@ -0,0 +1,856 @@
+/**
+ * Per-country holiday rule sets for the offline rules engine
+ *
+ * Each holiday carries the same name/description/type fields the API returns,
+ * plus a `date` rule (see rules.js and, for lunar and other non-Gregorian
+ * dates, native-calendars/), an optional `observance` strategy for weekend
+ * (and, in Korea, shared-day) substitutes
+ * and optional `from`/`to` years for holidays that were introduced or abolished.
+ * `regions` lists the ISO 3166-2 subdivisions we know about, with their extra
+ * holidays and any national holidays they do not observe (`excludes`).
+ */
+
+const { WEEKDAYS } = require('./weekdays');
+
+const { MONDAY, TUESDAY, WEDNESDAY, THURSDAY, FRIDAY, SATURDAY } = WEEKDAYS;
+
+// Lunisolar dates are decided at each country's own meridian
+const CHINA = { calendar: 'chinese', utcOffset: 8 };
+const VIETNAM = { calendar: 'chinese', utcOffset: 7 };
+const KOREA = { calendar: 'chinese', utcOffset: 9 };
+
+// Holidays shared by many countries; spread and override where needed
+const COMMON = {
+    newYearsDay: { name: "New Year's Day", description: 'The first day of the Gregorian calendar year', type: 'public', date: { month: 1, day: 1 } },
+    epiphany: { name: 'Epiphany', description: 'Christian feast commemorating the visit of the Magi', type: 'public', date: { month: 1, day: 6 } },
+    maundyThursday: { name: 'Maundy Thursday', description: 'Christian holiday commemorating the Last Supper', type: 'public', date: { easter: -3 } },
+    goodFriday: { name: 'Good Friday', description: 'Christian holiday commemorating the crucifixion of Jesus', type: 'public', date: { easter: -2 } },
+    easterSaturday: { name: 'Easter Saturday', description: 'Day before Easter Sunday', type: 'public', date: { easter: -1 } },
+    easterSunday: { name: 'Easter Sunday', description: 'Christian holiday celebrating the resurrection of Jesus', type: 'public', date: { easter: 0 } },
+    easterMonday: { name: 'Easter Monday', description: 'Christian holiday celebrating the resurrection of Jesus', type: 'public', date: { easter: 1 } },
+    labourDay: { name: 'Labour Day', description: 'International holiday celebrating workers', type: 'public', date: { month: 5, day: 1 } },
+    ascensionDay: { name: 'Ascension Day', description: 'Christian holiday commemorating the ascension of Jesus', type: 'public', date: { easter: 39 } },
+    whitSunday: { name: 'Whit Sunday', description: 'Christian holiday of Pentecost', type: 'public', date: { easter: 49 } },
+    whitMonday: { name: 'Whit Monday', description: 'Day after Pentecost', type: 'public', date: { easter: 50 } },
+    corpusChristi: { name: 'Corpus Christi', description: 'Christian feast honoring the Eucharist', type: 'public', date: { easter: 60 } },
+    assumptionDay: { name: 'Assumption Day', description: 'Christian holiday', type: 'public', date: { month: 8, day: 15 } },
+    allSaintsDay: { name: 'All Saints Day', description: 'Christian holiday honoring all saints', type: 'public', date: { month: 11, day: 1 } },
+    immaculateConception: { name: 'Immaculate Conception', description: 'Christian feast of the Immaculate Conception of Mary', type: 'public', date: { month: 12, day: 8 } },
+    christmasEve: { name: 'Christmas Eve', description: 'Half-day holiday; banks and most offices close at noon', type: 'bank', date: { month: 12, day: 24 }, time: { start: '12:00', end: '24:00' } },
+    christmasDay: { name: 'Christmas Day', description: 'Christian holiday celebrating the birth of Jesus Christ', type: 'public', date: { month: 12, day: 25 } },
+    boxingDay: { name: 'Boxing Day', description: 'Traditional holiday following Christmas Day', type: 'public', date: { month: 12, day: 26 } },
+    stStephensDay: { name: "St. Stephen's Day", description: 'Second day of Christmas', type: 'public', date: { month: 12, day: 26 } },
+    newYearsEve: { name: "New Year's Eve", description: 'Half-day holiday; banks and most offices close at noon', type: 'bank', date: { month: 12, day: 31 }, time: { start: '12:00', end: '24:00' } }
+};
+
+// Regional holidays reused across several subdivisions
+const DAY_AFTER_THANKSGIVING = { name: 'Day after Thanksgiving', description: 'State holiday following Thanksgiving Day', type: 'public', date: { month: 11, weekday: THURSDAY, nth: 4, offset: 1 } };
+const LINCOLNS_BIRTHDAY = { name: "Lincoln's Birthday", description: 'Birthday of President Abraham Lincoln', type: 'public', date: { month: 2, day: 12 } };
+const PATRIOTS_DAY = { name: "Patriots' Day", description: 'Commemorates the Battles of Lexington and Concord', type: 'public', date: { month: 4, weekday: MONDAY, nth: 3 } };
+const FAMILY_DAY = { name: 'Family Day', description: 'Provincial holiday celebrating families', type: 'public', date: { month: 2, weekday: MONDAY, nth: 3 } };
+const CIVIC_HOLIDAY = { name: 'Civic Holiday', description: 'First Monday of August civic holiday', type: 'public', date: { month: 8, weekday: MONDAY, nth: 1 } };
+const NATIONAL_INDIGENOUS_PEOPLES_DAY = { name: 'National Indigenous Peoples Day', description: 'Celebrates the cultures of First Nations, Inuit and Métis peoples', type: 'public', date: { month: 6, day: 21 } };
+const WOMENS_DAY = { name: "International Women's Day", description: 'Celebrates the achievements of women', type: 'public', date: { month: 3, day: 8 } };
+const REFORMATION_DAY = { name: 'Reformation Day', description: 'Commemorates the Protestant Reformation', type: 'public', date: { month: 10, day: 31 } };
+const LABOUR_DAY_AU = { name: 'Labour Day', description: 'Holiday celebrating the eight-hour working day', type: 'public' };
+
+// Multi-day festivals, e.g. the three days of Eid al-Fitr
+function festivalDays(holiday, dates) {
+    return dates.map((date, index) => ({
+        ...holiday,
+        name: index ? `${holiday.name} Holiday` : holiday.name,
+        date
+    }));
+}
+
+// A holiday that gained substitute days in `year`, as the rules either side
+function substituteFrom(year, observance, holiday) {
+    return [{ ...holiday, to: year - 1 }, { ...holiday, observance, from: year }];
+}
+
+const EID_AL_FITR = { name: 'Eid al-Fitr', description: 'Festival marking the end of Ramadan', type: 'public', date: { calendar: 'islamic', month: 10, day: 1 } };
+const EID_AL_ADHA = { name: 'Eid al-Adha', description: 'Feast of the Sacrifice, during the Hajj pilgrimage', type: 'public', date: { calendar: 'islamic', month: 12, day: 10 } };
+
+// The Queen's Birthday became the King's Birthday in 2023
+function monarchsBirthday(date, { from, to } = {}) {
+    return [
+        { name: "Queen's Birthday", description: 'Official birthday of the Australian monarch', type: 'public', date, from, to: Math.min(to ?? 2022, 2022) },
+        { name: "King's Birthday", description: 'Official birthday of the Australian monarch', type: 'public', date, from: Math.max(from ?? 2023, 2023), to }
+    ];
+}
+
+const ruleSets = {
+    US: {
+        holidays: [
+            { ...COMMON.newYearsDay, observance: 'nearestWeekday' },
+            { name: 'Martin Luther King Jr. Day', description: 'Federal holiday honoring civil rights leader Martin Luther King Jr.', type: 'public', date: { month: 1, weekday: MONDAY, nth: 3 } },
+            { name: "Presidents' Day", description: 'Federal holiday honoring all U.S. presidents', type: 'public', date: { month: 2, weekday: MONDAY, nth: 3 } },
+            { name: 'Memorial Day', description: 'Federal holiday honoring military personnel who died in service', type: 'public', date: { month: 5, weekday: MONDAY, nth: -1 } },
+            { name: 'Juneteenth National Independence Day', description: 'Federal holiday commemorating the end of slavery in the United States', type: 'public', date: { month: 6, day: 19 }, observance: 'nearestWeekday', from: 2021 },
+            { name: 'Independence Day', description: 'Celebration of American independence from Great Britain', type: 'public', date: { month: 7, day: 4 }, observance: 'nearestWeekday' },
+            { name: 'Labor Day', description: 'Federal holiday celebrating the contributions of workers', type: 'public', date: { month: 9, weekday: MONDAY, nth: 1 } },
+            { name: 'Columbus Day', description: 'Federal holiday commemorating Christopher Columbus', type: 'public', date: { month: 10, weekday: MONDAY, nth: 2 } },
+            { name: 'Veterans Day', description: 'Federal holiday honoring military veterans', type: 'public', date: { month: 11, day: 11 }, observance: 'nearestWeekday' },
+            { name: 'Thanksgiving Day', description: 'Federal holiday for giving thanks and sharing meals with family', type: 'public', date: { month: 11, weekday: THURSDAY, nth: 4 } },
+            { ...COMMON.christmasDay, observance: 'nearestWeekday' }
+        ],
+        regions: {
+            'US-AL': { name: 'Alabama' },
+            'US-AK': {
+                name: 'Alaska',
+                holidays: [
+                    { name: "Seward's Day", description: 'Commemorates the purchase of Alaska from Russia', type: 'public', date: { month: 3, weekday: MONDAY, nth: -1 } },
+                    { name: 'Alaska Day', description: 'Commemorates the transfer of Alaska to the United States', type: 'public', date: { month: 10, day: 18 }, observance: 'nearestWeekday' }
+                ]
+            },
+            'US-AZ': { name: 'Arizona' },
+            'US-AR': { name: 'Arkansas' },
+            'US-CA': {
+                name: 'California',
+                excludes: ['Columbus Day'],
+                holidays: [
+                    { name: 'César Chávez Day', description: 'Honors labor leader César Chávez', type: 'public', date: { month: 3, day: 31 } },
+                    DAY_AFTER_THANKSGIVING
+                ]
+            },
+            'US-CO': { name: 'Colorado' },
+            'US-CT': { name: 'Connecticut' },
+            'US-DE': { name: 'Delaware' },
+            'US-DC': {
+                name: 'District of Columbia',
+                holidays: [
+                    { name: 'DC Emancipation Day', description: 'Commemorates the Compensated Emancipation Act of 1862', type: 'public', date: { month: 4, day: 16 }, observance: 'nearestWeekday' }
+                ]
+            },
+            'US-FL': { name: 'Florida' },
+            'US-GA': { name: 'Georgia' },
+            'US-HI': {
+                name: 'Hawaii',
+                excludes: ['Columbus Day'],
+                holidays: [
+                    { name: 'Prince Kuhio Day', description: 'Honors Prince Jonah Kūhiō Kalanianaʻole', type: 'public', date: { month: 3, day: 26 }, observance: 'nearestWeekday' },
+                    { name: 'King Kamehameha I Day', description: 'Honors the founder of the Kingdom of Hawaii', type: 'public', date: { month: 6, day: 11 }, observance: 'nearestWeekday' },
+                    { name: 'Statehood Day', description: 'Commemorates the admission of Hawaii to the Union', type: 'public', date: { month: 8, weekday: FRIDAY, nth: 3 } }
+                ]
+            },
+            'US-ID': { name: 'Idaho' },
+            'US-IL': {
+                name: 'Illinois',
+                holidays: [
+                    LINCOLNS_BIRTHDAY
+                ]
+            },
+            'US-IN': { name: 'Indiana' },
+            'US-IA': { name: 'Iowa' },
+            'US-KS': { name: 'Kansas' },
+            'US-KY': { name: 'Kentucky' },
+            'US-LA': {
+                name: 'Louisiana',
+                holidays: [
+                    { name: 'Mardi Gras', description: 'Shrove Tuesday carnival celebration', type: 'public', date: { easter: -47 } }
+                ]
+            },
+            'US-ME': {
+                name: 'Maine',
+                holidays: [
+                    PATRIOTS_DAY
+                ]
+            },
+            'US-MD': { name: 'Maryland' },
+            'US-MA': {
+                name: 'Massachusetts',
+                holidays: [
+                    PATRIOTS_DAY
+                ]
+            },
+            'US-MI': { name: 'Michigan' },
+            'US-MN': { name: 'Minnesota' },
+            'US-MS': { name: 'Mississippi' },
+            'US-MO': { name: 'Missouri' },
+            'US-MT': { name: 'Montana' },
+            'US-NE': { name: 'Nebraska' },
+            'US-NV': {
+                name: 'Nevada',
+                holidays: [
+                    { name: 'Nevada Day', description: 'Commemorates the admission of Nevada to the Union', type: 'public', date: { month: 10, weekday: FRIDAY, nth: -1 } },
+                    { ...DAY_AFTER_THANKSGIVING, name: 'Family Day' }
+                ]
+            },
+            'US-NH': { name: 'New Hampshire' },
+            'US-NJ': { name: 'New Jersey' },
+            'US-NM': { name: 'New Mexico' },
+            'US-NY': {
+                name: 'New York',
+                holidays: [
+                    LINCOLNS_BIRTHDAY,
+                    { name: 'Election Day', description: 'General election day', type: 'public', date: { month: 11, day: 2, weekday: TUESDAY, direction: 'onOrAfter' } }
+                ]
+            },
+            'US-NC': { name: 'North Carolina' },
+            'US-ND': { name: 'North Dakota' },
+            'US-OH': { name: 'Ohio' },
+            'US-OK': { name: 'Oklahoma' },
+            'US-OR': { name: 'Oregon' },
+            'US-PA': { name: 'Pennsylvania' },
+            'US-RI': { name: 'Rhode Island' },
+            'US-SC': { name: 'South Carolina' },
+            'US-SD': { name: 'South Dakota' },
+            'US-TN': { name: 'Tennessee' },
+            'US-TX': {
+                name: 'Texas',
+                holidays: [
+                    { name: 'Texas Independence Day', description: 'Commemorates the Texas Declaration of Independence', type: 'public', date: { month: 3, day: 2 } },
+                    { name: 'San Jacinto Day', description: 'Commemorates the Battle of San Jacinto', type: 'public', date: { month: 4, day: 21 } },
+                    { name: 'Lyndon Baines Johnson Day', description: 'Birthday of President Lyndon B. Johnson', type: 'public', date: { month: 8, day: 27 } },
+                    DAY_AFTER_THANKSGIVING,
+                    { name: 'Christmas Eve', description: 'Evening before Christmas Day', type: 'public', date: { month: 12, day: 24 } },
+                    { name: 'Day after Christmas', description: 'Day following Christmas Day', type: 'public', date: { month: 12, day: 26 } }
+                ]
+            },
+            'US-UT': {
+                name: 'Utah',
+                holidays: [
+                    { name: 'Pioneer Day', description: 'Commemorates the arrival of Mormon pioneers in the Salt Lake Valley', type: 'public', date: { month: 7, day: 24 }, observance: 'nearestWeekday' }
+                ]
+            },
+            'US-VT': {
+                name: 'Vermont',
+                holidays: [
+                    { name: 'Town Meeting Day', description: 'Day of annual town meetings in Vermont', type: 'public', date: { month: 3, weekday: TUESDAY, nth: 1 } },
+                    { name: 'Bennington Battle Day', description: 'Commemorates the Battle of Bennington', type: 'public', date: { month: 8, day: 16 } }
+                ]
+            },
+            'US-VA': { name: 'Virginia' },
+            'US-WA': {
+                name: 'Washington',
+                holidays: [
+                    { ...DAY_AFTER_THANKSGIVING, name: 'Native American Heritage Day' }
+                ]
+            },
+            'US-WV': { name: 'West Virginia' },
+            'US-WI': { name: 'Wisconsin' },
+            'US-WY': { name: 'Wyoming' }
+        }
+    },
+    GB: {
+        holidays: [
+            { ...COMMON.newYearsDay, observance: 'substitute' },
+            COMMON.goodFriday,
+            COMMON.easterMonday,
+            { name: 'Early May Bank Holiday', description: 'Spring bank holiday in the UK', type: 'bank', date: { month: 5, weekday: MONDAY, nth: 1 } },
+            { name: 'Spring Bank Holiday', description: 'Late spring bank holiday in the UK', type: 'bank', date: { month: 5, weekday: MONDAY, nth: -1 } },
+            { name: 'Summer Bank Holiday', description: 'Summer bank holiday in England, Wales, and Northern Ireland', type: 'bank', date: { month: 8, weekday: MONDAY, nth: -1 } },
+            { ...COMMON.christmasDay, observance: 'substitute' },
+            { ...COMMON.boxingDay, observance: 'substitute' }
+        ],
+        regions: {
+            'GB-ENG': { name: 'England' },
+            'GB-NIR': {
+                name: 'Northern Ireland',
+                holidays: [
+                    { name: "St. Patrick's Day", description: 'Feast of the patron saint of Ireland', type: 'bank', date: { month: 3, day: 17 }, observance: 'substitute' },
+                    { name: 'Battle of the Boyne', description: "Orangemen's Day", type: 'bank', date: { month: 7, day: 12 }, observance: 'substitute' }
+                ]
+            },
+            'GB-SCT': {
+                name: 'Scotland',
+                excludes: ['Easter Monday', 'Summer Bank Holiday'],
+                holidays: [
+                    { name: '2nd January', description: 'Second day of the New Year holiday in Scotland', type: 'bank', date: { month: 1, day: 2 }, observance: 'substitute' },
+                    { name: 'Summer Bank Holiday', description: 'Summer bank holiday in Scotland', type: 'bank', date: { month: 8, weekday: MONDAY, nth: 1 } },
+                    { name: "St. Andrew's Day", description: 'Feast of the patron saint of Scotland', type: 'bank', date: { month: 11, day: 30 }, observance: 'substitute' }
+                ]
+            },
+            'GB-WLS': { name: 'Wales' }
+        }
+    },
+    CA: {
+        holidays: [
+            { ...COMMON.newYearsDay, observance: 'nextMonday' },
+            COMMON.goodFriday,
+            COMMON.easterMonday,
+            { name: 'Victoria Day', description: 'Canadian federal holiday honoring Queen Victoria', type: 'public', date: { month: 5, day: 24, weekday: MONDAY, direction: 'onOrBefore' } },
+            { name: 'Canada Day', description: 'National holiday celebrating Canadian Confederation', type: 'public', date: { month: 7, day: 1 }, observance: 'sundayToMonday' },
+            { name: 'Labour Day', description: 'Federal holiday celebrating the contributions of workers', type: 'public', date: { month: 9, weekday: MONDAY, nth: 1 } },
+            { name: 'National Day for Truth and Reconciliation', description: 'Federal holiday honoring residential school survivors and their communities', type: 'public', date: { month: 9, day: 30 }, from: 2021 },
+            { name: 'Thanksgiving', description: 'Canadian holiday for giving thanks', type: 'public', date: { month: 10, weekday: MONDAY, nth: 2 } },
+            { name: 'Remembrance Day', description: 'Memorial day for military personnel who died in service', type: 'public', date: { month: 11, day: 11 } },
+            { ...COMMON.christmasDay, observance: 'substitute' },
+            { ...COMMON.boxingDay, observance: 'substitute' }
+        ],
+        regions: {
+            'CA-AB': {
+                name: 'Alberta',
+                holidays: [
+                    { ...FAMILY_DAY, from: 1990 },
+                    { name: 'Heritage Day', description: 'Civic holiday in Alberta', type: 'public', date: { month: 8, weekday: MONDAY, nth: 1 } }
+                ]
+            },
+            'CA-BC': {
+                name: 'British Columbia',
+                holidays: [
+                    { ...FAMILY_DAY, date: { month: 2, weekday: MONDAY, nth: 2 }, from: 2013, to: 2018 },
+                    { ...FAMILY_DAY, from: 2019 },
+                    { name: 'British Columbia Day', description: 'Civic holiday in British Columbia', type: 'public', date: { month: 8, weekday: MONDAY, nth: 1 } }
+                ]
+            },
+            'CA-MB': {
+                name: 'Manitoba',
+                holidays: [
+                    { name: 'Louis Riel Day', description: 'Honors Métis leader Louis Riel', type: 'public', date: { month: 2, weekday: MONDAY, nth: 3 }, from: 2008 },
+                    { name: 'Terry Fox Day', description: 'Civic holiday in Manitoba', type: 'public', date: { month: 8, weekday: MONDAY, nth: 1 }, from: 2015 }
+                ]
+            },
+            'CA-NB': {
+                name: 'New Brunswick',
+                holidays: [
+                    { ...FAMILY_DAY, from: 2018 },
+                    { name: 'New Brunswick Day', description: 'Civic holiday in New Brunswick', type: 'public', date: { month: 8, weekday: MONDAY, nth: 1 } }
+                ]
+            },
+            'CA-NL': { name: 'Newfoundland and Labrador' },
+            'CA-NS': {
+                name: 'Nova Scotia',
+                holidays: [
+                    { name: 'Heritage Day', description: 'Honors remarkable Nova Scotians', type: 'public', date: { month: 2, weekday: MONDAY, nth: 3 }, from: 2015 }
+                ]
+            },
+            'CA-NT': {
+                name: 'Northwest Territories',
+                holidays: [
+                    NATIONAL_INDIGENOUS_PEOPLES_DAY,
+                    CIVIC_HOLIDAY
+                ]
+            },
+            'CA-NU': {
+                name: 'Nunavut',
+                holidays: [
+                    { name: 'Nunavut Day', description: 'Commemorates the Nunavut Land Claims Agreement', type: 'public', date: { month: 7, day: 9 } },
+                    CIVIC_HOLIDAY
+                ]
+            },
+            'CA-ON': {
+                name: 'Ontario',
+                holidays: [
+                    { ...FAMILY_DAY, from: 2008 },
+                    CIVIC_HOLIDAY
+                ]
+            },
+            'CA-PE': {
+                name: 'Prince Edward Island',
+                holidays: [
+                    { name: 'Islander Day', description: 'Civic holiday in Prince Edward Island', type: 'public', date: { month: 2, weekday: MONDAY, nth: 3 }, from: 2010 }
+                ]
+            },
+            'CA-QC': {
+                name: 'Quebec',
+                holidays: [
+                    { name: 'Fête nationale du Québec', description: 'National holiday of Quebec', type: 'public', date: { month: 6, day: 24 } }
+                ]
+            },
+            'CA-SK': {
+                name: 'Saskatchewan',
+                holidays: [
+                    { ...FAMILY_DAY, from: 2007 },
+                    { name: 'Saskatchewan Day', description: 'Civic holiday in Saskatchewan', type: 'public', date: { month: 8, weekday: MONDAY, nth: 1 } }
+                ]
+            },
+            'CA-YT': {
+                name: 'Yukon',
+                holidays: [
+                    { ...NATIONAL_INDIGENOUS_PEOPLES_DAY, from: 2017 },
+                    { name: 'Discovery Day', description: 'Commemorates the Klondike gold discovery', type: 'public', date: { month: 8, weekday: MONDAY, nth: 3 } }
+                ]
+            }
+        }
+    },
+    DE: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.goodFriday,
+            COMMON.easterMonday,
+            { ...COMMON.labourDay, description: 'German holiday celebrating workers' },
+            COMMON.ascensionDay,
+            COMMON.whitMonday,
+            { name: 'German Unity Day', description: 'National holiday commemorating German reunification', type: 'public', date: { month: 10, day: 3 } },
+            COMMON.christmasEve,
+            COMMON.christmasDay,
+            { ...COMMON.stStephensDay, name: 'Boxing Day' },
+            COMMON.newYearsEve
+        ],
+        regions: {
+            'DE-BW': {
+                name: 'Baden-Württemberg',
+                holidays: [COMMON.epiphany, COMMON.corpusChristi, COMMON.allSaintsDay]
+            },
+            'DE-BY': {
+                name: 'Bavaria',
+                holidays: [COMMON.epiphany, COMMON.corpusChristi, COMMON.allSaintsDay]
+            },
+            'DE-BE': {
+                name: 'Berlin',
+                holidays: [
+                    { ...WOMENS_DAY, from: 2019 },
+                    { name: 'Liberation Day', description: 'Anniversary of the end of World War II in Europe', type: 'public', date: { month: 5, day: 8 }, from: 2020, to: 2020 },
+                    { name: 'Liberation Day', description: 'Anniversary of the end of World War II in Europe', type: 'public', date: { month: 5, day: 8 }, from: 2025, to: 2025 }
+                ]
+            },
+            'DE-BB': {
+                name: 'Brandenburg',
+                holidays: [COMMON.easterSunday, COMMON.whitSunday, REFORMATION_DAY]
+            },
+            'DE-HB': {
+                name: 'Bremen',
+                holidays: [{ ...REFORMATION_DAY, from: 2018 }]
+            },
+            'DE-HH': {
+                name: 'Hamburg',
+                holidays: [{ ...REFORMATION_DAY, from: 2018 }]
+            },
+            'DE-HE': {
+                name: 'Hesse',
+                holidays: [COMMON.corpusChristi]
+            },
+            'DE-MV': {
+                name: 'Mecklenburg-Vorpommern',
+                holidays: [{ ...WOMENS_DAY, from: 2023 }, REFORMATION_DAY]
+            },
+            'DE-NI': {
+                name: 'Lower Saxony',
+                holidays: [{ ...REFORMATION_DAY, from: 2018 }]
+            },
+            'DE-NW': {
+                name: 'North Rhine-Westphalia',
+                holidays: [COMMON.corpusChristi, COMMON.allSaintsDay]
+            },
+            'DE-RP': {
+                name: 'Rhineland-Palatinate',
+                holidays: [COMMON.corpusChristi, COMMON.allSaintsDay]
+            },
+            'DE-SL': {
+                name: 'Saarland',
+                holidays: [COMMON.corpusChristi, COMMON.assumptionDay, COMMON.allSaintsDay]
+            },
+            'DE-SN': {
+                name: 'Saxony',
+                holidays: [
+                    REFORMATION_DAY,
+                    { name: 'Day of Repentance and Prayer', description: 'Buß- und Bettag', type: 'public', date: { month: 11, day: 22, weekday: WEDNESDAY, direction: 'onOrBefore' } }
+                ]
+            },
+            'DE-ST': {
+                name: 'Saxony-Anhalt',
+                holidays: [COMMON.epiphany, REFORMATION_DAY]
+            },
+            'DE-SH': {
+                name: 'Schleswig-Holstein',
+                holidays: [{ ...REFORMATION_DAY, from: 2018 }]
+            },
+            'DE-TH': {
+                name: 'Thuringia',
+                holidays: [
+                    { name: "World Children's Day", description: 'Weltkindertag', type: 'public', date: { month: 9, day: 20 }, from: 2019 },
+                    REFORMATION_DAY
+                ]
+            }
+        }
+    },
+    FR: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.easterMonday,
+            { ...COMMON.labourDay, description: 'French holiday celebrating workers' },
+            { name: 'Victory in Europe Day', description: 'Commemorates the end of World War II in Europe', type: 'public', date: { month: 5, day: 8 } },
+            COMMON.ascensionDay,
+            COMMON.whitMonday,
+            { name: 'Bastille Day', description: 'French National Day', type: 'public', date: { month: 7, day: 14 } },
+            COMMON.assumptionDay,
+            COMMON.allSaintsDay,
+            { name: 'Armistice Day', description: 'Commemorates the end of World War I', type: 'public', date: { month: 11, day: 11 } },
+            COMMON.christmasDay
+        ]
+    },
+    IT: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.epiphany,
+            COMMON.easterSunday,
+            COMMON.easterMonday,
+            { name: 'Liberation Day', description: 'Commemorates the liberation of Italy in World War II', type: 'public', date: { month: 4, day: 25 } },
+            COMMON.labourDay,
+            { name: 'Republic Day', description: 'Commemorates the 1946 referendum establishing the Italian Republic', type: 'public', date: { month: 6, day: 2 } },
+            COMMON.assumptionDay,
+            COMMON.allSaintsDay,
+            COMMON.immaculateConception,
+            COMMON.christmasDay,
+            COMMON.stStephensDay
+        ]
+    },
+    ES: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.epiphany,
+            COMMON.goodFriday,
+            COMMON.labourDay,
+            COMMON.assumptionDay,
+            { name: 'National Day of Spain', description: 'Fiesta Nacional de España', type: 'public', date: { month: 10, day: 12 } },
+            COMMON.allSaintsDay,
+            { name: 'Constitution Day', description: 'Commemorates the 1978 Spanish Constitution', type: 'public', date: { month: 12, day: 6 } },
+            COMMON.immaculateConception,
+            COMMON.christmasDay
+        ]
+    },
+    NL: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.easterSunday,
+            COMMON.easterMonday,
+            { name: "Queen's Day", description: 'Birthday of the Dutch monarch', type: 'public', date: { month: 4, day: 30 }, observance: 'sundayToMonday', to: 2013 },
+            { name: "King's Day", description: 'Birthday of the Dutch monarch', type: 'public', date: { month: 4, day: 27 }, observance: 'sundayToSaturday', from: 2014 },
+            { name: 'Liberation Day', description: 'Commemorates the end of the German occupation in 1945', type: 'public', date: { month: 5, day: 5 } },
+            COMMON.ascensionDay,
+            COMMON.whitSunday,
+            COMMON.whitMonday,
+            COMMON.christmasDay,
+            { ...COMMON.stStephensDay, name: 'Second Day of Christmas' }
+        ]
+    },
+    BE: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.easterMonday,
+            COMMON.labourDay,
+            COMMON.ascensionDay,
+            COMMON.whitMonday,
+            { name: 'Belgian National Day', description: 'Commemorates the oath of King Leopold I in 1831', type: 'public', date: { month: 7, day: 21 } },
+            COMMON.assumptionDay,
+            COMMON.allSaintsDay,
+            { name: 'Armistice Day', description: 'Commemorates the end of World War I', type: 'public', date: { month: 11, day: 11 } },
+            COMMON.christmasDay
+        ]
+    },
+    AT: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.epiphany,
+            COMMON.easterMonday,
+            { ...COMMON.labourDay, name: 'National Holiday', description: 'Staatsfeiertag' },
+            COMMON.ascensionDay,
+            COMMON.whitMonday,
+            COMMON.corpusChristi,
+            COMMON.assumptionDay,
+            { name: 'Austrian National Day', description: 'Commemorates the Declaration of Neutrality in 1955', type: 'public', date: { month: 10, day: 26 } },
+            COMMON.allSaintsDay,
+            COMMON.immaculateConception,
+            COMMON.christmasEve,
+            COMMON.christmasDay,
+            COMMON.stStephensDay,
+            COMMON.newYearsEve
+        ]
+    },
+    PL: {
+        holidays: [
+            COMMON.newYearsDay,
+            { ...COMMON.epiphany, from: 2011 },
+            COMMON.easterSunday,
+            COMMON.easterMonday,
+            COMMON.labourDay,
+            { name: 'Constitution Day', description: 'Commemorates the Constitution of 3 May 1791', type: 'public', date: { month: 5, day: 3 } },
+            COMMON.whitSunday,
+            COMMON.corpusChristi,
+            { ...COMMON.assumptionDay, description: 'Assumption of Mary and Armed Forces Day' },
+            COMMON.allSaintsDay,
+            { name: 'Independence Day', description: 'Commemorates the restoration of Polish independence in 1918', type: 'public', date: { month: 11, day: 11 } },
+            { name: 'Christmas Eve', description: 'Evening before Christmas Day', type: 'public', date: { month: 12, day: 24 }, from: 2025 },
+            COMMON.christmasDay,
+            { ...COMMON.stStephensDay, name: 'Second Day of Christmas' }
+        ]
+    },
+    SE: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.epiphany,
+            COMMON.goodFriday,
+            COMMON.easterSunday,
+            COMMON.easterMonday,
+            COMMON.labourDay,
+            COMMON.ascensionDay,
+            COMMON.whitSunday,
+            { name: 'National Day of Sweden', description: 'Sveriges nationaldag', type: 'public', date: { month: 6, day: 6 } },
+            { name: 'Midsummer Day', description: 'Swedish midsummer celebration', type: 'public', date: { month: 6, day: 20, weekday: SATURDAY, direction: 'onOrAfter' } },
+            { ...COMMON.allSaintsDay, date: { month: 10, day: 31, weekday: SATURDAY, direction: 'onOrAfter' } },
+            COMMON.christmasDay,
+            { ...COMMON.stStephensDay, name: 'Boxing Day' }
+        ]
+    },
+    NO: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.maundyThursday,
+            COMMON.goodFriday,
+            COMMON.easterSunday,
+            COMMON.easterMonday,
+            COMMON.labourDay,
+            { name: 'Constitution Day', description: 'Norwegian National Day', type: 'public', date: { month: 5, day: 17 } },
+            COMMON.ascensionDay,
+            COMMON.whitSunday,
+            COMMON.whitMonday,
+            COMMON.christmasDay,
+            { ...COMMON.stStephensDay, name: 'Boxing Day' }
+        ]
+    },
+    DK: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.maundyThursday,
+            COMMON.goodFriday,
+            COMMON.easterSunday,
+            COMMON.easterMonday,
+            { name: 'General Prayer Day', description: 'Store Bededag', type: 'public', date: { easter: 26 }, to: 2023 },
+            COMMON.ascensionDay,
+            COMMON.whitSunday,
+            COMMON.whitMonday,
+            COMMON.christmasDay,
+            { ...COMMON.stStephensDay, name: 'Second Day of Christmas' }
+        ]
+    },
+    AU: {
+        holidays: [
+            { ...COMMON.newYearsDay, observance: 'substitute' },
+            { name: 'Australia Day', description: 'National day of Australia', type: 'public', date: { month: 1, day: 26 }, observance: 'nextMonday' },
+            COMMON.goodFriday,
+            COMMON.easterMonday,
+            { name: 'Anzac Day', description: 'Commemorates Australians and New Zealanders who served and died in war', type: 'public', date: { month: 4, day: 25 } },
+            { ...COMMON.christmasDay, observance: 'substitute' },
+            { ...COMMON.boxingDay, observance: 'substitute' }
+        ],
+        regions: {
+            'AU-ACT': {
+                name: 'Australian Capital Territory',
+                holidays: [
+                    { name: 'Canberra Day', description: 'Commemorates the naming of Canberra', type: 'public', date: { month: 3, weekday: MONDAY, nth: 2 } },
+                    COMMON.easterSaturday,
+                    COMMON.easterSunday,
+                    { name: 'Reconciliation Day', description: 'Marks the anniversary of the 1967 referendum', type: 'public', date: { month: 5, day: 27, weekday: MONDAY, direction: 'onOrAfter' }, from: 2018 },
+                    ...monarchsBirthday({ month: 6, weekday: MONDAY, nth: 2 }),
+                    { ...LABOUR_DAY_AU, date: { month: 10, weekday: MONDAY, nth: 1 } }
+                ]
+            },
+            'AU-NSW': {
+                name: 'New South Wales',
+                holidays: [
+                    COMMON.easterSaturday,
+                    COMMON.easterSunday,
+                    ...monarchsBirthday({ month: 6, weekday: MONDAY, nth: 2 }),
+                    { ...LABOUR_DAY_AU, date: { month: 10, weekday: MONDAY, nth: 1 } }
+                ]
+            },
+            'AU-NT': {
+                name: 'Northern Territory',
+                holidays: [
+                    COMMON.easterSaturday,
+                    { ...LABOUR_DAY_AU, name: 'May Day', date: { month: 5, weekday: MONDAY, nth: 1 } },
+                    ...monarchsBirthday({ month: 6, weekday: MONDAY, nth: 2 }),
+                    { name: 'Picnic Day', description: 'Northern Territory picnic holiday', type: 'public', date: { month: 8, weekday: MONDAY, nth: 1 } }
+                ]
+            },
+            'AU-QLD': {
+                name: 'Queensland',
+                holidays: [
+                    COMMON.easterSaturday,
+                    { ...LABOUR_DAY_AU, date: { month: 5, weekday: MONDAY, nth: 1 } },
+                    ...monarchsBirthday({ month: 6, weekday: MONDAY, nth: 2 }, { to: 2015 }),
+                    ...monarchsBirthday({ month: 10, weekday: MONDAY, nth: 1 }, { from: 2016 })
+                ]
+            },
+            'AU-SA': {
+                name: 'South Australia',
+                holidays: [
+                    { name: 'Adelaide Cup Day', description: 'Adelaide Cup horse race holiday', type: 'public', date: { month: 3, weekday: MONDAY, nth: 2 } },
+                    COMMON.easterSaturday,
+                    ...monarchsBirthday({ month: 6, weekday: MONDAY, nth: 2 }),
+                    { ...LABOUR_DAY_AU, date: { month: 10, weekday: MONDAY, nth: 1 } }
+                ]
+            },
+            'AU-TAS': {
+                name: 'Tasmania',
+                holidays: [
+                    { ...LABOUR_DAY_AU, name: 'Eight Hours Day', date: { month: 3, weekday: MONDAY, nth: 2 } },
+                    ...monarchsBirthday({ month: 6, weekday: MONDAY, nth: 2 })
+                ]
+            },
+            'AU-VIC': {
+                name: 'Victoria',
+                holidays: [
+                    { ...LABOUR_DAY_AU, date: { month: 3, weekday: MONDAY, nth: 2 } },
+                    COMMON.easterSaturday,
+                    COMMON.easterSunday,
+                    ...monarchsBirthday({ month: 6, weekday: MONDAY, nth: 2 }),
+                    { name: 'Melbourne Cup Day', description: 'Melbourne Cup horse race holiday', type: 'public', date: { month: 11, weekday: TUESDAY, nth: 1 } }
+                ]
+            },
+            'AU-WA': {
+                name: 'Western Australia',
+                holidays: [
+                    { ...LABOUR_DAY_AU, date: { month: 3, weekday: MONDAY, nth: 1 } },
+                    { name: 'Western Australia Day', description: 'Commemorates the founding of the Swan River Colony', type: 'public', date: { month: 6, weekday: MONDAY, nth: 1 } },
+                    ...monarchsBirthday({ month: 9, weekday: MONDAY, nth: -1 })
+                ]
+            }
+        }
+    },
+    NZ: {
+        holidays: [
+            { ...COMMON.newYearsDay, observance: 'substitute' },
+            { name: "Day after New Year's Day", description: 'Second day of the New Year holiday', type: 'public', date: { month: 1, day: 2 }, observance: 'substitute' },
+            { name: 'Waitangi Day', description: 'Commemorates the signing of the Treaty of Waitangi', type: 'public', date: { month: 2, day: 6 }, observance: 'nextMonday' },
+            COMMON.goodFriday,
+            COMMON.easterMonday,
+            { name: 'Anzac Day', description: 'Commemorates Australians and New Zealanders who served and died in war', type: 'public', date: { month: 4, day: 25 }, observance: 'nextMonday' },
+            { name: "Sovereign's Birthday", description: 'Official birthday of the New Zealand monarch', type: 'public', date: { month: 6, weekday: MONDAY, nth: 1 } },
+            { name: 'Labour Day', description: 'Holiday celebrating the eight-hour working day', type: 'public', date: { month: 10, weekday: MONDAY, nth: 4 } },
+            { ...COMMON.christmasDay, observance: 'substitute' },
+            { ...COMMON.boxingDay, observance: 'substitute' }
+        ]
+    },
+    MX: {
+        holidays: [
+            COMMON.newYearsDay,
+            { name: 'Constitution Day', description: 'Commemorates the 1917 Mexican Constitution', type: 'public', date: { month: 2, weekday: MONDAY, nth: 1 } },
+            { name: "Benito Juárez's Birthday", description: 'Honors President Benito Juárez', type: 'public', date: { month: 3, weekday: MONDAY, nth: 3 } },
+            COMMON.labourDay,
+            { name: 'Independence Day', description: 'Commemorates the start of the Mexican War of Independence', type: 'public', date: { month: 9, day: 16 } },
+            { name: 'Revolution Day', description: 'Commemorates the start of the Mexican Revolution', type: 'public', date: { month: 11, weekday: MONDAY, nth: 3 } },
+            COMMON.christmasDay
+        ]
+    },
+    BR: {
+        holidays: [
+            COMMON.newYearsDay,
+            COMMON.goodFriday,
+            { name: 'Tiradentes', description: 'Honors the independence martyr Tiradentes', type: 'public', date: { month: 4, day: 21 } },
+            COMMON.labourDay,
+            { name: 'Independence Day', description: 'Commemorates Brazilian independence from Portugal', type: 'public', date: { month: 9, day: 7 } },
+            { name: 'Our Lady of Aparecida', description: 'Feast of the patron saint of Brazil', type: 'public', date: { month: 10, day: 12 } },
+            { name: "All Souls' Day", description: 'Christian day of remembrance for the dead', type: 'public', date: { month: 11, day: 2 } },
+            { name: 'Republic Proclamation Day', description: 'Commemorates the proclamation of the Republic in 1889', type: 'public', date: { month: 11, day: 15 } },
+            { name: 'Black Consciousness Day', description: 'Honors the memory of Zumbi dos Palmares', type: 'public', date: { month: 11, day: 20 }, from: 2024 },
+            COMMON.christmasDay
+        ]
+    },
+    ZA: {
+        holidays: [
+            { ...COMMON.newYearsDay, observance: 'sundayToMonday' },
+            { name: 'Human Rights Day', description: 'Commemorates the Sharpeville massacre of 1960', type: 'public', date: { month: 3, day: 21 }, observance: 'sundayToMonday' },
+            COMMON.goodFriday,
+            { ...COMMON.easterMonday, name: 'Family Day' },
+            { name: 'Freedom Day', description: 'Commemorates the first democratic elections in 1994', type: 'public', date: { month: 4, day: 27 }, observance: 'sundayToMonday' },
+            { ...COMMON.labourDay, name: "Workers' Day", observance: 'sundayToMonday' },
+            { name: 'Youth Day', description: 'Commemorates the Soweto uprising of 1976', type: 'public', date: { month: 6, day: 16 }, observance: 'sundayToMonday' },
+            { name: "National Women's Day", description: "Commemorates the 1956 women's march", type: 'public', date: { month: 8, day: 9 }, observance: 'sundayToMonday' },
+            { name: 'Heritage Day', description: 'Celebrates the cultural heritage of South Africa', type: 'public', date: { month: 9, day: 24 }, observance: 'sundayToMonday' },
+            { name: 'Day of Reconciliation', description: 'Promotes reconciliation and national unity', type: 'public', date: { month: 12, day: 16 }, observance: 'sundayToMonday' },
+            { ...COMMON.christmasDay, observance: 'sundayToMonday' },
+            { ...COMMON.boxingDay, name: 'Day of Goodwill', observance: 'sundayToMonday' }
+        ]
+    },
+    IN: {
+        holidays: [
+            { name: 'Republic Day', description: 'Commemorates the adoption of the Constitution of India', type: 'public', date: { month: 1, day: 26 } },
+            { ...EID_AL_FITR, name: 'Eid ul-Fitr' },
+            { ...EID_AL_ADHA, name: 'Bakrid (Eid ul-Adha)' },
+            { name: 'Independence Day', description: 'Commemorates Indian independence in 1947', type: 'public', date: { month: 8, day: 15 } },
+            { name: 'Gandhi Jayanti', description: 'Birthday of Mahatma Gandhi', type: 'public', date: { month: 10, day: 2 } },
+            { name: 'Diwali', description: 'Festival of lights (Lakshmi Puja)', type: 'public', date: { calendar: 'hindu', festival: 'diwali' } },
+            COMMON.christmasDay
+        ]
+    },
+    CN: {
+        holidays: [
+            COMMON.newYearsDay,
+            { name: "Chinese New Year's Eve", description: 'Last day of the lunar year, part of the Spring Festival holiday', type: 'public', date: { ...CHINA, month: 12, day: 'last' }, from: 2025 },
+            ...festivalDays({ name: 'Spring Festival', description: 'Chinese New Year, the first day of the lunar year', type: 'public' }, [1, 2, 3].map(day => ({ ...CHINA, month: 1, day }))),
+            { name: 'Qingming Festival', description: 'Tomb-Sweeping Day, at the Pure Brightness solar term', type: 'public', date: { ...CHINA, solarTerm: 15 } },
+            COMMON.labourDay,
+            { ...COMMON.labourDay, name: 'Labour Day Holiday', date: { month: 5, day: 2 }, from: 2025 },
+            { name: 'Dragon Boat Festival', description: 'Duanwu Festival on the fifth day of the fifth lunar month', type: 'public', date: { ...CHINA, month: 5, day: 5 } },
+            { name: 'Mid-Autumn Festival', description: 'Moon Festival on the fifteenth day of the eighth lunar month', type: 'public', date: { ...CHINA, month: 8, day: 15 } },
+            ...festivalDays({ name: 'National Day', description: "Commemorates the founding of the People's Republic of China in 1949", type: 'public' }, [1, 2, 3].map(day => ({ month: 10, day })))
+        ]
+    },
+    VN: {
+        holidays: [
+            COMMON.newYearsDay,
+            { name: 'Tet Eve', description: 'Last day of the lunar year, start of the Tet holiday', type: 'public', date: { ...VIETNAM, month: 12, day: 'last' } },
+            ...festivalDays({ name: 'Tet (Lunar New Year)', description: 'Vietnamese New Year, the first day of the lunar year', type: 'public' }, [1, 2, 3, 4].map(day => ({ ...VIETNAM, month: 1, day }))),
+            { name: 'Hung Kings Commemoration Day', description: 'Honors the legendary founders of Vietnam', type: 'public', date: { ...VIETNAM, month: 3, day: 10 }, from: 2007 },
+            { name: 'Reunification Day', description: 'Commemorates the reunification of Vietnam in 1975', type: 'public', date: { month: 4, day: 30 } },
+            { ...COMMON.labourDay, name: "International Workers' Day" },
+            { name: 'National Day', description: 'Commemorates the declaration of independence in 1945', type: 'public', date: { month: 9, day: 2 } }
+        ]
+    },
+    // Substitute holidays began in 2014 for Seollal and Chuseok (on a Sunday
+    // or shared with another holiday) and Children's Day (also on a Saturday),
+    // then spread to the national days in 2021 and to Buddha's Birthday and
+    // Christmas in 2023 (on a weekend only)
+    KR: {
+        holidays: [
+            COMMON.newYearsDay,
+            ...festivalDays({ name: 'Seollal', description: 'Korean New Year, the first day of the lunar year', type: 'public' }, [{ ...KOREA, month: 1, day: 1 }, { ...KOREA, month: 12, day: 'last' }, { ...KOREA, month: 1, day: 2 }])
+                .flatMap(holiday => substituteFrom(2014, 'substituteSundayOrShared', holiday)),
+            ...substituteFrom(2021, 'substitute', { name: 'Independence Movement Day', description: 'Commemorates the March 1st Movement of 1919', type: 'public', date: { month: 3, day: 1 } }),
+            ...substituteFrom(2014, 'substituteWeekendOrShared', { name: "Children's Day", description: 'Celebrates children', type: 'public', date: { month: 5, day: 5 } }),
+            ...substituteFrom(2023, 'substitute', { name: "Buddha's Birthday", description: 'Birth of the Buddha, on the eighth day of the fourth lunar month', type: 'public', date: { ...KOREA, month: 4, day: 8 } }),
+            { name: 'Memorial Day', description: 'Honors those who died in service of the nation', type: 'public', date: { month: 6, day: 6 } },
+            ...substituteFrom(2021, 'substitute', { name: 'Liberation Day', description: 'Commemorates liberation from Japanese rule in 1945', type: 'public', date: { month: 8, day: 15 } }),
+            ...festivalDays({ name: 'Chuseok', description: 'Harvest festival on the fifteenth day of the eighth lunar month', type: 'public' }, [15, 14, 16].map(day => ({ ...KOREA, month: 8, day })))
+                .flatMap(holiday => substituteFrom(2014, 'substituteSundayOrShared', holiday)),
+            ...substituteFrom(2021, 'substitute', { name: 'National Foundation Day', description: 'Commemorates the founding of Gojoseon, the first Korean state', type: 'public', date: { month: 10, day: 3 } }),
+            ...substituteFrom(2021, 'substitute', { name: 'Hangul Day', description: 'Celebrates the Korean alphabet', type: 'public', date: { month: 10, day: 9 }, from: 2013 }),
+            ...substituteFrom(2023, 'substitute', COMMON.christmasDay)
+        ]
+    },
+    SA: {
+        holidays: [
+            { name: 'Founding Day', description: 'Commemorates the founding of the first Saudi state in 1727', type: 'public', date: { month: 2, day: 22 }, from: 2022 },
+            ...festivalDays(EID_AL_FITR, [1, 2, 3].map(day => ({ calendar: 'islamic', month: 10, day }))),
+            { name: 'Arafat Day', description: 'Day of the standing at Mount Arafat during the Hajj', type: 'public', date: { calendar: 'islamic', month: 12, day: 9 } },
+            ...festivalDays(EID_AL_ADHA, [10, 11, 12].map(day => ({ calendar: 'islamic', month: 12, day }))),
+            { name: 'Saudi National Day', description: 'Commemorates the unification of the Kingdom in 1932', type: 'public', date: { month: 9, day: 23 } }
+        ]
+    },
+    IL: {
+        holidays: [
+            { name: 'Passover', description: 'First day of Passover (Pesach)', type: 'public', date: { calendar: 'hebrew', month: 1, day: 15 } },
+            { name: 'Seventh Day of Passover', description: 'Last day of Passover (Pesach)', type: 'public', date: { calendar: 'hebrew', month: 1, day: 21 } },
+            // Moved off Friday and Saturday to avoid the Sabbath, and off Monday since 2004
+            { name: 'Independence Day', description: "Yom Ha'atzmaut, commemorating the declaration of independence in 1948", type: 'public', date: { calendar: 'hebrew', month: 2, day: 5, shifts: { [FRIDAY]: -1, [SATURDAY]: -2, [MONDAY]: 1 } } },
+            { name: 'Shavuot', description: 'Feast of Weeks', type: 'public', date: { calendar: 'hebrew', month: 3, day: 6 } },
+            ...festivalDays({ name: 'Rosh Hashanah', description: 'Jewish New Year', type: 'public' }, [1, 2].map(day => ({ calendar: 'hebrew', month: 7, day }))),
+            { name: 'Yom Kippur', description: 'Day of Atonement', type: 'public', date: { calendar: 'hebrew', month: 7, day: 10 } },
+            { name: 'Sukkot', description: 'First day of the Feast of Tabernacles', type: 'public', date: { calendar: 'hebrew', month: 7, day: 15 } },
+            { name: 'Shemini Atzeret', description: 'Eighth Day of Assembly and Simchat Torah', type: 'public', date: { calendar: 'hebrew', month: 7, day: 22 } }
+        ]
+    },
+    IR: {
+        holidays: [
+            ...festivalDays({ name: 'Nowruz', description: 'Persian New Year, at the March equinox', type: 'public' }, [1, 2, 3, 4].map(day => ({ calendar: 'persian', month: 1, day }))),
+            { name: 'Islamic Republic Day', description: 'Commemorates the 1979 referendum establishing the Islamic Republic', type: 'public', date: { calendar: 'persian', month: 1, day: 12 } },
+            { name: 'Nature Day', description: 'Sizdah Be-dar, the thirteenth day of the new year', type: 'public', date: { calendar: 'persian', month: 1, day: 13 } },
+            { name: 'Death of Ayatollah Khomeini', description: 'Anniversary of the death of the founder of the Islamic Republic', type: 'public', date: { calendar: 'persian', month: 3, day: 14 } },
+            { name: '15 Khordad Uprising', description: 'Commemorates the protests of June 1963', type: 'public', date: { calendar: 'persian', month: 3, day: 15 } },
+            { name: 'Revolution Day', description: 'Anniversary of the victory of the 1979 revolution', type: 'public', date: { calendar: 'persian', month: 11, day: 22 } },
+            { name: 'Oil Nationalization Day', description: 'Commemorates the nationalization of the oil industry in 1951', type: 'public', date: { calendar: 'persian', month: 12, day: 29 } },
+            { name: "Tasu'a", description: 'Eve of Ashura', type: 'public', date: { calendar: 'islamic', month: 1, day: 9 } },
+            { name: 'Ashura', description: 'Commemorates the martyrdom of Imam Husayn', type: 'public', date: { calendar: 'islamic', month: 1, day: 10 } },
+            { name: "Arba'een", description: 'Fortieth day after Ashura', type: 'public', date: { calendar: 'islamic', month: 2, day: 20 } },
+            { name: 'Birthday of the Prophet', description: 'Mawlid, birthday of the Prophet Muhammad', type: 'public', date: { calendar: 'islamic', month: 3, day: 17 } },
+            { name: 'Martyrdom of Imam Ali', description: 'Anniversary of the death of Imam Ali', type: 'public', date: { calendar: 'islamic', month: 9, day: 21 } },
+            ...festivalDays(EID_AL_FITR, [1, 2].map(day => ({ calendar: 'islamic', month: 10, day }))),
+            EID_AL_ADHA,
+            { name: 'Eid al-Ghadir', description: 'Commemorates the Ghadir Khumm sermon', type: 'public', date: { calendar: 'islamic', month: 12, day: 18 } }
+        ]
+    }
+};
+
+module.exports = ruleSets;
@@ -0,0 +1,308 @@
+/**
+ * Offline holiday rules engine
+ *
+ * Computes holiday dates for any year from the declarative per-country rule
+ * sets in rule-sets.js, so the API can answer without any external source.
+ *
+ * Supported date rules:
+ * - Fixed dates:            { month: 7, day: 4 }
+ * - Nth weekday of month:   { month: 11, weekday: THURSDAY, nth: 4 }
+ * - Last weekday of month:  { month: 5, weekday: MONDAY, nth: -1 }
+ * - Weekday on/before/after a date: { month: 5, day: 24, weekday: MONDAY, direction: 'onOrBefore' }
+ * - Easter-relative dates:  { easter: -2 }
+ * - Non-Gregorian calendars: { calendar: 'islamic', month: 10, day: 1 }
+ *   (see native-calendars/; these may occur twice, or not at all, in a year)
+ *
+ * Any rule may add `offset` days (e.g. the day after Thanksgiving) and
+ * `shifts`, days to move by when the date falls on a given weekday.
+ * Holidays from non-Gregorian rules carry their `nativeDate`, and
+ * `estimated: true` when moon sighting or local almanacs can move them.
+ * ISLAMIC_CALENDAR_OFFSET shifts every Islamic date by whole days.
+ * Regions (ISO 3166-2 subdivisions) add holidays on top of the national set
+ * and may `exclude` national holidays by name.
+ */
+
+const { WEEKDAYS } = require('./weekdays');
+const { nativeCalendarDates } = require('./native-calendars');
+const ruleSets = require('./rule-sets');
+
+const ISLAMIC_CALENDAR_OFFSET = parseInt(process.env.ISLAMIC_CALENDAR_OFFSET) || 0;
+
+const { SUNDAY, SATURDAY } = WEEKDAYS;
+
+// Day shifts applied when a holiday falls on a weekend
+const OBSERVANCE_SHIFTS = {
+    nearestWeekday: { [SATURDAY]: -1, [SUNDAY]: 1 },
+    nextMonday: { [SATURDAY]: 2, [SUNDAY]: 1 },
+    sundayToMonday: { [SUNDAY]: 1 },
+    sundayToSaturday: { [SUNDAY]: -1 }
+};
+
+// Substitute-day strategies: the weekdays that earn a substitute, and whether
+// sharing the day with another holiday does too (Korean substitute holidays)
+const SUBSTITUTE_TRIGGERS = {
+    substitute: { days: [SATURDAY, SUNDAY] },
+    substituteSundayOrShared: { days: [SUNDAY], shared: true },
+    substituteWeekendOrShared: { days: [SATURDAY, SUNDAY], shared: true }
+};
+
+function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+function toISODate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function isWeekend(date) {
+    const day = date.getUTCDay();
+    return day === SATURDAY || day === SUNDAY;
+}
+
+// Anonymous Gregorian algorithm (Meeus/Jones/Butcher)
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utcDate(year, month, day);
+}
+
+function nthWeekday(year, month, weekday, nth) {
+    if (nth > 0) {
+        const first = utcDate(year, month, 1);
+        const offset = (weekday - first.getUTCDay() + 7) % 7;
+        return addDays(first, offset + (nth - 1) * 7);
+    }
+
+    const last = utcDate(year, month + 1, 0);
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return addDays(last, -offset + (nth + 1) * 7);
+}
+
+function weekdayRelativeTo(year, month, day, weekday, direction) {
+    const anchor = utcDate(year, month, day);
+
+    if (direction === 'onOrBefore') {
+        return addDays(anchor, -((anchor.getUTCDay() - weekday + 7) % 7));
+    }
+
+    return addDays(anchor, (weekday - anchor.getUTCDay() + 7) % 7);
+}
+
+function resolveBaseDate(rule, year) {
+    if (rule.easter !== undefined) {
+        return addDays(easterSunday(year), rule.easter);
+    }
+
+    if (rule.nth !== undefined) {
+        return nthWeekday(year, rule.month, rule.weekday, rule.nth);
+    }
+
+    if (rule.weekday !== undefined) {
+        return weekdayRelativeTo(year, rule.month, rule.day, rule.weekday, rule.direction);
+    }
+
+    return utcDate(year, rule.month, rule.day);
+}
+
+// Every date the rule falls on in `year`. A native date only describes the
+// day itself, so it is dropped once an offset or weekday shift moves it
+function resolveRuleDates(rule, year) {
+    const occurrences = rule.calendar
+        ? nativeCalendarDates(rule, year, { islamicOffset: ISLAMIC_CALENDAR_OFFSET })
+        : [{ date: resolveBaseDate(rule, year) }];
+
+    return occurrences.map(occurrence => {
+        const shifted = addDays(occurrence.date, rule.offset || 0);
+        const date = addDays(shifted, rule.shifts?.[shifted.getUTCDay()] || 0);
+
+        return date.getTime() === occurrence.date.getTime()
+            ? occurrence
+            : { date, estimated: occurrence.estimated };
+    });
+}
+
+function appliesToYear(rule, year) {
+    return (rule.from === undefined || year >= rule.from) && (rule.to === undefined || year <= rule.to);
+}
+
+// Entries that share their day with another holiday under a `shared`
+// substitute strategy. A holiday without that strategy keeps the day;
+// otherwise the first one does, and each of the others is owed a substitute.
+function sharedDayEntries(entries) {
+    const byDate = new Map();
+    entries.forEach(entry => {
+        const key = toISODate(entry.date);
+        byDate.set(key, (byDate.get(key) || []).concat(entry));
+    });
+
+    const owed = new Set();
+    byDate.forEach(sameDay => {
+        const sharing = sameDay.filter(entry => SUBSTITUTE_TRIGGERS[entry.rule.observance]?.shared);
+        sharing.slice(sharing.length < sameDay.length ? 0 : 1).forEach(entry => owed.add(entry));
+    });
+
+    return owed;
+}
+
+// Assign observed dates. The SUBSTITUTE_TRIGGERS strategies move a holiday to
+// the next weekday that is not already a holiday (UK- and Korean-style
+// substitute days); the others are fixed weekend shifts from OBSERVANCE_SHIFTS.
+function applyObservance(entries) {
+    const taken = new Set(entries.filter(entry => !isWeekend(entry.date)).map(entry => toISODate(entry.date)));
+    const owed = sharedDayEntries(entries);
+
+    entries.forEach(entry => {
+        const trigger = SUBSTITUTE_TRIGGERS[entry.rule.observance];
+
+        if (trigger) {
+            if (!trigger.days.includes(entry.date.getUTCDay()) && !owed.has(entry)) {
+                return;
+            }
+
+            let candidate = addDays(entry.date, 1);
+            while (isWeekend(candidate) || taken.has(toISODate(candidate))) {
+                candidate = addDays(candidate, 1);
+            }
+            entry.observed = candidate;
+            taken.add(toISODate(candidate));
+            return;
+        }
+
+        if (!entry.rule.observance || !isWeekend(entry.date)) {
+            return;
+        }
+
+        const shift = OBSERVANCE_SHIFTS[entry.rule.observance]?.[entry.date.getUTCDay()];
+        if (shift) {
+            entry.observed = addDays(entry.date, shift);
+        }
+    });
+}
+
+// National rules, minus the region's exclusions, plus the region's own rules
+function collectRules(ruleSet, region) {
+    const subdivision = region && ruleSet.regions?.[region];
+    if (!subdivision) {
+        return ruleSet.holidays;
+    }
+
+    const excluded = new Set(subdivision.excludes || []);
+    return ruleSet.holidays
+        .filter(rule => !excluded.has(rule.name))
+        .concat(subdivision.holidays || []);
+}
+
+// The rules' occurrences in `year`, with their observed dates
+function resolveYear(ruleSet, year, region) {
+    const entries = collectRules(ruleSet, region)
+        .filter(rule => appliesToYear(rule, year))
+        .flatMap(rule => resolveRuleDates(rule.date, year).map(occurrence => ({ rule, ...occurrence })))
+        .filter(entry => entry.date.getUTCFullYear() === year)
+        .sort((a, b) => a.date - b.date);
+
+    applyObservance(entries);
+    return entries;
+}
+
+// Holidays of `year`, plus those of the next year observed in this one (a
+// Saturday 1 January observed on 31 December), which keep their actual date
+function computeHolidays(country, year, region) {
+    const ruleSet = ruleSets[country];
+    if (!ruleSet) {
+        return [];
+    }
+
+    const entries = [
+        ...resolveYear(ruleSet, year, region),
+        ...resolveYear(ruleSet, year + 1, region).filter(entry => entry.observed?.getUTCFullYear() === year)
+    ];
+
+    return entries.map(({ rule, date, observed, nativeDate, estimated }) => {
+        const holiday = {
+            date: toISODate(date),
+            name: rule.name,
+            description: rule.description,
+            type: rule.type
+        };
+
+        if (observed) {
+            holiday.observed = toISODate(observed);
+        }
+
+        // Partial-day holidays carry local start/end times ("HH:MM")
+        if (rule.time) {
+            holiday.time = rule.time;
+        }
+
+        if (nativeDate) {
+            holiday.nativeDate = nativeDate;
+        }
+
+        if (estimated) {
+            holiday.estimated = true;
+        }
+
+        return holiday;
+    });
+}
+
+// Fills in `observed` on holidays from another source (e.g. an upstream API)
+// using this country's observance rules, matched on the actual date
+function withObservedDates(holidays, country, year, region) {
+    const observedByDate = new Map(computeHolidays(country, year, region)
+        .filter(holiday => holiday.observed)
+        .map(holiday => [holiday.date, holiday.observed]));
+
+    return holidays.map(holiday => holiday.observed || !observedByDate.has(holiday.date)
+        ? holiday
+        : { ...holiday, observed: observedByDate.get(holiday.date) });
+}
+
+// Adds the native calendar date to holidays from another source, matched on
+// date and name (upstream names differ in places, so also on date alone when
+// only one computed holiday falls that day). Upstream dates are announced
+// rather than calculated, so they are not flagged as estimated
+function withNativeDates(holidays, country, year, region) {
+    const computed = computeHolidays(country, year, region).filter(holiday => holiday.nativeDate);
+    if (!computed.length) {
+        return holidays;
+    }
+
+    return holidays.map(holiday => {
+        const sameDay = computed.filter(candidate => candidate.date === holiday.date);
+        const match = sameDay.find(candidate => candidate.name === holiday.name) || (sameDay.length === 1 ? sameDay[0] : null);
+
+        return holiday.nativeDate || !match ? holiday : { ...holiday, nativeDate: match.nativeDate };
+    });
+}
+
+function hasRules(country) {
+    return Boolean(ruleSets[country]);
+}
+
+module.exports = {
+    computeHolidays,
+    withObservedDates,
+    withNativeDates,
+    hasRules,
+    easterSunday,
+    toISODate,
+    utcDate,
+    addDays
+};
@@ -0,0 +1,182 @@
+/**
+ * IANA time zone helpers for timed ICS output and "today" lookups
+ *
+ * Offsets are derived from the runtime's Intl data, so VTIMEZONE components
+ * list the actual transitions of the requested years rather than RRULEs.
+ */
+
+const formatters = new Map();
+
+// Representative zone per country; countries spanning several zones use the
+// capital's. Countries not listed fall back to UTC.
+const COUNTRY_TIME_ZONES = {
+    AE: 'Asia/Dubai', AR: 'America/Argentina/Buenos_Aires', AT: 'Europe/Vienna', AU: 'Australia/Sydney',
+    BD: 'Asia/Dhaka', BE: 'Europe/Brussels', BG: 'Europe/Sofia', BH: 'Asia/Bahrain',
+    BO: 'America/La_Paz', BR: 'America/Sao_Paulo', BY: 'Europe/Minsk', CA: 'America/Toronto',
+    CH: 'Europe/Zurich', CL: 'America/Santiago', CN: 'Asia/Shanghai', CO: 'America/Bogota',
+    CR: 'America/Costa_Rica', CY: 'Asia/Nicosia', CZ: 'Europe/Prague', DE: 'Europe/Berlin',
+    DK: 'Europe/Copenhagen', DO: 'America/Santo_Domingo', DZ: 'Africa/Algiers', EC: 'America/Guayaquil',
+    EE: 'Europe/Tallinn', EG: 'Africa/Cairo', ES: 'Europe/Madrid', FI: 'Europe/Helsinki',
+    FR: 'Europe/Paris', GB: 'Europe/London', GH: 'Africa/Accra', GR: 'Europe/Athens',
+    GT: 'America/Guatemala', HK: 'Asia/Hong_Kong', HR: 'Europe/Zagreb', HU: 'Europe/Budapest',
+    ID: 'Asia/Jakarta', IE: 'Europe/Dublin', IL: 'Asia/Jerusalem', IN: 'Asia/Kolkata',
+    IQ: 'Asia/Baghdad', IR: 'Asia/Tehran', IS: 'Atlantic/Reykjavik', IT: 'Europe/Rome',
+    JM: 'America/Jamaica', JO: 'Asia/Amman', JP: 'Asia/Tokyo', KE: 'Africa/Nairobi',
+    KR: 'Asia/Seoul', KW: 'Asia/Kuwait', KZ: 'Asia/Almaty', LB: 'Asia/Beirut',
+    LK: 'Asia/Colombo', LT: 'Europe/Vilnius', LU: 'Europe/Luxembourg', LV: 'Europe/Riga',
+    LY: 'Africa/Tripoli', MA: 'Africa/Casablanca', MT: 'Europe/Malta', MX: 'America/Mexico_City',
+    MY: 'Asia/Kuala_Lumpur', NG: 'Africa/Lagos', NL: 'Europe/Amsterdam', NO: 'Europe/Oslo',
+    NP: 'Asia/Kathmandu', NZ: 'Pacific/Auckland', OM: 'Asia/Muscat', PA: 'America/Panama',
+    PE: 'America/Lima', PH: 'Asia/Manila', PK: 'Asia/Karachi', PL: 'Europe/Warsaw',
+    PR: 'America/Puerto_Rico', PT: 'Europe/Lisbon', PY: 'America/Asuncion', QA: 'Asia/Qatar',
+    RO: 'Europe/Bucharest', RS: 'Europe/Belgrade', RU: 'Europe/Moscow', SA: 'Asia/Riyadh',
+    SD: 'Africa/Khartoum', SE: 'Europe/Stockholm', SG: 'Asia/Singapore', SI: 'Europe/Ljubljana',
+    SK: 'Europe/Bratislava', SY: 'Asia/Damascus', TH: 'Asia/Bangkok', TN: 'Africa/Tunis',
+    TR: 'Europe/Istanbul', TW: 'Asia/Taipei', UA: 'Europe/Kyiv', US: 'America/New_York',
+    UY: 'America/Montevideo', VE: 'America/Caracas', VN: 'Asia/Ho_Chi_Minh', YE: 'Asia/Aden',
+    ZA: 'Africa/Johannesburg'
+};
+
+// Intl accepts zone names in any case and under their aliases; this returns
+// the name it resolves to ("europe/london" -> "Europe/London", "GMT" -> "UTC"),
+// or null for an unknown zone
+function canonicalTimeZone(tz) {
+    try {
+        return new Intl.DateTimeFormat(undefined, { timeZone: tz }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatterFor(tz) {
+    if (!formatters.has(tz)) {
+        formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+            timeZone: tz,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+
+    return formatters.get(tz);
+}
+
+function timeZoneFor(country) {
+    return COUNTRY_TIME_ZONES[country] || 'UTC';
+}
+
+// Calendar date (YYYY-MM-DD) in `tz` at the instant `now`
+function localDate(tz, now = new Date()) {
+    const parts = {};
+    formatterFor(tz).formatToParts(now).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// UTC offset of `tz` at the instant `ms`, in minutes east of UTC
+function offsetMinutes(tz, ms) {
+    const parts = {};
+    formatterFor(tz).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+        parts[type] = parseInt(value);
+    });
+
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUTC - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+function shortName(tz, ms) {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone: tz, timeZoneName: 'short' })
+        .formatToParts(new Date(ms))
+        .find(part => part.type === 'timeZoneName')?.value;
+
+    // Skip generic "GMT+1" style names, which add nothing over TZOFFSETTO
+    return name && /^[A-Z]{2,5}$/.test(name) ? name : null;
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+function formatLocal(ms) {
+    return new Date(ms).toISOString().slice(0, 19).replace(/[-:]/g, '');
+}
+
+// Offset changes between two instants, located to the minute
+function findTransitions(tz, startMs, endMs) {
+    const DAY = 86400000;
+    const transitions = [];
+
+    for (let from = startMs; from < endMs; from += DAY) {
+        const to = Math.min(from + DAY, endMs);
+        const before = offsetMinutes(tz, from);
+
+        if (offsetMinutes(tz, to) === before) {
+            continue;
+        }
+
+        let low = from;
+        let high = to;
+        while (high - low > 60000) {
+            const mid = low + Math.floor((high - low) / 120000) * 60000;
+            if (offsetMinutes(tz, mid) === before) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        transitions.push({ at: high, from: before, to: offsetMinutes(tz, high) });
+    }
+
+    return transitions;
+}
+
+// VTIMEZONE lines covering fromYear..toYear
+function generateVTIMEZONE(tz, fromYear, toYear) {
+    const startMs = Date.UTC(fromYear, 0, 1);
+    const endMs = Date.UTC(toYear + 1, 0, 1);
+    const transitions = findTransitions(tz, startMs, endMs);
+    const initial = offsetMinutes(tz, startMs);
+    const standardOffset = Math.min(initial, ...transitions.map(transition => transition.to));
+
+    // The first observance starts at local midnight on January 1st
+    const observances = [{ at: startMs - initial * 60000, from: initial, to: initial }, ...transitions];
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`, `X-LIC-LOCATION:${tz}`];
+
+    observances.forEach(observance => {
+        const kind = observance.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        const name = shortName(tz, observance.at);
+
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${formatLocal(observance.at + observance.from * 60000)}`,
+            `TZOFFSETFROM:${formatOffset(observance.from)}`,
+            `TZOFFSETTO:${formatOffset(observance.to)}`
+        );
+
+        if (name) {
+            lines.push(`TZNAME:${name}`);
+        }
+
+        lines.push(`END:${kind}`);
+    });
+
+    lines.push('END:VTIMEZONE');
+
+    return lines;
+}
+
+module.exports = {
+    canonicalTimeZone,
+    generateVTIMEZONE,
+    timeZoneFor,
+    localDate
+};
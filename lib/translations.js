@@ -0,0 +1,171 @@
+/**
+ * Translation catalog for holiday names and descriptions
+ *
+ * Keyed by language subtag, then by the English holiday name as produced by
+ * the rule sets. A "CC:Name" key holds country-specific overrides that are
+ * merged over the generic entry (e.g. the half-day wording for German
+ * Christmas Eve). Entries may omit `description`; the English one is used.
+ */
+
+const TRANSLATIONS = {
+    de: {
+        calendarName: 'Feiertage',
+        holidays: {
+            "New Year's Day": { name: 'Neujahr', description: 'Der erste Tag des gregorianischen Kalenderjahres' },
+            'Epiphany': { name: 'Heilige Drei Könige', description: 'Christliches Fest zur Erinnerung an den Besuch der Weisen aus dem Morgenland' },
+            "International Women's Day": { name: 'Internationaler Frauentag', description: 'Würdigt die Errungenschaften von Frauen' },
+            'Maundy Thursday': { name: 'Gründonnerstag', description: 'Christlicher Feiertag zur Erinnerung an das letzte Abendmahl' },
+            'Good Friday': { name: 'Karfreitag', description: 'Christlicher Feiertag zur Erinnerung an die Kreuzigung Jesu' },
+            'Easter Saturday': { name: 'Karsamstag', description: 'Tag vor dem Ostersonntag' },
+            'Easter Sunday': { name: 'Ostersonntag', description: 'Christlicher Feiertag zur Feier der Auferstehung Jesu' },
+            'Easter Monday': { name: 'Ostermontag', description: 'Christlicher Feiertag zur Feier der Auferstehung Jesu' },
+            'Labour Day': { name: 'Tag der Arbeit', description: 'Internationaler Feiertag der Arbeiterbewegung' },
+            'Ascension Day': { name: 'Christi Himmelfahrt', description: 'Christlicher Feiertag zur Erinnerung an die Himmelfahrt Jesu' },
+            'Whit Sunday': { name: 'Pfingstsonntag', description: 'Christliches Pfingstfest' },
+            'Whit Monday': { name: 'Pfingstmontag', description: 'Tag nach Pfingsten' },
+            'Corpus Christi': { name: 'Fronleichnam', description: 'Christliches Fest zu Ehren der Eucharistie' },
+            'Assumption Day': { name: 'Mariä Himmelfahrt', description: 'Christlicher Feiertag' },
+            "World Children's Day": { name: 'Weltkindertag', description: 'Tag für die Rechte der Kinder' },
+            'German Unity Day': { name: 'Tag der Deutschen Einheit', description: 'Nationalfeiertag zur Erinnerung an die Wiedervereinigung Deutschlands' },
+            'Reformation Day': { name: 'Reformationstag', description: 'Erinnert an die Reformation' },
+            'All Saints Day': { name: 'Allerheiligen', description: 'Christlicher Feiertag zu Ehren aller Heiligen' },
+            'Day of Repentance and Prayer': { name: 'Buß- und Bettag', description: 'Evangelischer Feiertag der Besinnung' },
+            'Immaculate Conception': { name: 'Mariä Empfängnis', description: 'Christliches Fest der unbefleckten Empfängnis Mariens' },
+            'Christmas Eve': { name: 'Heiligabend', description: 'Abend vor dem ersten Weihnachtsfeiertag' },
+            'Christmas Day': { name: '1. Weihnachtstag', description: 'Christlicher Feiertag zur Feier der Geburt Jesu Christi' },
+            'Boxing Day': { name: '2. Weihnachtstag', description: 'Zweiter Weihnachtsfeiertag' },
+            "St. Stephen's Day": { name: 'Stefanitag', description: 'Zweiter Weihnachtsfeiertag' },
+            "New Year's Eve": { name: 'Silvester', description: 'Letzter Tag des Kalenderjahres' },
+            'National Holiday': { name: 'Staatsfeiertag' },
+            'Austrian National Day': { name: 'Nationalfeiertag', description: 'Erinnert an die Erklärung der immerwährenden Neutralität 1955' },
+            'Bastille Day': { name: 'Französischer Nationalfeiertag', description: 'Nationalfeiertag Frankreichs' },
+            'Victory in Europe Day': { name: 'Tag des Sieges 1945', description: 'Erinnert an das Ende des Zweiten Weltkriegs in Europa' },
+            'Armistice Day': { name: 'Waffenstillstand 1918', description: 'Erinnert an das Ende des Ersten Weltkriegs' },
+            'Belgian National Day': { name: 'Belgischer Nationalfeiertag', description: 'Erinnert an die Vereidigung König Leopolds I. 1831' },
+            "King's Day": { name: 'Königstag', description: 'Geburtstag des niederländischen Monarchen' },
+            'Independence Day': { name: 'Unabhängigkeitstag', description: 'Feier der Unabhängigkeit der USA von Großbritannien' },
+            'Thanksgiving Day': { name: 'Thanksgiving', description: 'Erntedankfest der Vereinigten Staaten' },
+            'Memorial Day': { name: 'Memorial Day', description: 'Gedenktag für die im Dienst gefallenen Soldaten' },
+            'Labor Day': { name: 'Tag der Arbeit', description: 'Feiertag zu Ehren der Arbeitnehmer' },
+            'Early May Bank Holiday': { name: 'Bankfeiertag Anfang Mai' },
+            'Spring Bank Holiday': { name: 'Bankfeiertag im Frühling' },
+            'Summer Bank Holiday': { name: 'Bankfeiertag im Sommer' },
+            'DE:Labour Day': { description: 'Feiertag der Arbeiterbewegung' },
+            'DE:Christmas Eve': { description: 'Halber Feiertag; Banken und die meisten Büros schließen mittags' },
+            "DE:New Year's Eve": { description: 'Halber Feiertag; Banken und die meisten Büros schließen mittags' },
+            'DE:Liberation Day': { name: 'Tag der Befreiung', description: 'Jahrestag des Endes des Zweiten Weltkriegs in Europa' },
+            'AT:Christmas Eve': { description: 'Halber Feiertag; Banken und die meisten Büros schließen mittags' },
+            "AT:New Year's Eve": { description: 'Halber Feiertag; Banken und die meisten Büros schließen mittags' },
+            'AT:Labour Day': { name: 'Staatsfeiertag' }
+        }
+    },
+    fr: {
+        calendarName: 'Jours fériés',
+        holidays: {
+            "New Year's Day": { name: "Jour de l'an", description: "Premier jour de l'année civile grégorienne" },
+            'Epiphany': { name: 'Épiphanie', description: 'Fête chrétienne commémorant la visite des Rois mages' },
+            "International Women's Day": { name: 'Journée internationale des droits des femmes', description: 'Célèbre les réalisations des femmes' },
+            'Maundy Thursday': { name: 'Jeudi saint', description: 'Fête chrétienne commémorant la Cène' },
+            'Good Friday': { name: 'Vendredi saint', description: 'Fête chrétienne commémorant la crucifixion de Jésus' },
+            'Easter Saturday': { name: 'Samedi saint', description: 'Veille du dimanche de Pâques' },
+            'Easter Sunday': { name: 'Pâques', description: 'Fête chrétienne célébrant la résurrection de Jésus' },
+            'Easter Monday': { name: 'Lundi de Pâques', description: 'Fête chrétienne célébrant la résurrection de Jésus' },
+            'Labour Day': { name: 'Fête du Travail', description: 'Fête internationale des travailleurs' },
+            'Victory in Europe Day': { name: 'Victoire 1945', description: 'Commémore la fin de la Seconde Guerre mondiale en Europe' },
+            'Ascension Day': { name: 'Ascension', description: "Fête chrétienne commémorant l'ascension de Jésus" },
+            'Whit Sunday': { name: 'Pentecôte', description: 'Fête chrétienne de la Pentecôte' },
+            'Whit Monday': { name: 'Lundi de Pentecôte', description: 'Lendemain de la Pentecôte' },
+            'Corpus Christi': { name: 'Fête-Dieu', description: "Fête chrétienne en l'honneur de l'Eucharistie" },
+            'Bastille Day': { name: 'Fête nationale', description: 'Fête nationale française' },
+            'Assumption Day': { name: 'Assomption', description: 'Fête chrétienne' },
+            'All Saints Day': { name: 'Toussaint', description: "Fête chrétienne en l'honneur de tous les saints" },
+            'Armistice Day': { name: 'Armistice 1918', description: 'Commémore la fin de la Première Guerre mondiale' },
+            'Immaculate Conception': { name: 'Immaculée Conception', description: "Fête chrétienne de l'Immaculée Conception de Marie" },
+            'Christmas Eve': { name: 'Veille de Noël', description: 'Soirée précédant le jour de Noël' },
+            'Christmas Day': { name: 'Noël', description: 'Fête chrétienne célébrant la naissance de Jésus-Christ' },
+            'Boxing Day': { name: 'Lendemain de Noël', description: 'Deuxième jour de Noël' },
+            "St. Stephen's Day": { name: 'Saint-Étienne', description: 'Deuxième jour de Noël' },
+            "New Year's Eve": { name: 'Saint-Sylvestre', description: "Dernier jour de l'année civile" },
+            'German Unity Day': { name: "Jour de l'unité allemande", description: 'Fête nationale commémorant la réunification allemande' },
+            'Reformation Day': { name: 'Fête de la Réformation', description: 'Commémore la Réforme protestante' },
+            'Belgian National Day': { name: 'Fête nationale belge', description: 'Commémore la prestation de serment du roi Léopold Ier en 1831' },
+            "King's Day": { name: 'Fête du Roi', description: 'Anniversaire du monarque néerlandais' },
+            'Canada Day': { name: 'Fête du Canada', description: 'Fête nationale célébrant la Confédération canadienne' },
+            'Victoria Day': { name: 'Fête de Victoria', description: "Jour férié fédéral en l'honneur de la reine Victoria" },
+            'National Day for Truth and Reconciliation': { name: 'Journée nationale de la vérité et de la réconciliation', description: "Jour férié fédéral en l'honneur des survivants des pensionnats et de leurs communautés" },
+            'Thanksgiving': { name: 'Action de grâce', description: "Fête canadienne de l'Action de grâce" },
+            'Remembrance Day': { name: 'Jour du Souvenir', description: 'Journée de commémoration des militaires morts en service' },
+            'National Indigenous Peoples Day': { name: 'Journée nationale des peuples autochtones', description: 'Célèbre les cultures des Premières Nations, des Inuits et des Métis' },
+            'Fête nationale du Québec': { name: 'Fête nationale du Québec', description: 'Fête nationale du Québec' },
+            'Independence Day': { name: "Jour de l'Indépendance", description: "Célébration de l'indépendance américaine vis-à-vis de la Grande-Bretagne" },
+            'Thanksgiving Day': { name: 'Thanksgiving', description: "Fête américaine de l'Action de grâce" },
+            'Labor Day': { name: 'Fête du Travail', description: "Jour férié en l'honneur des travailleurs" },
+            'FR:Labour Day': { description: 'Fête française des travailleurs' },
+            'CA:Labour Day': { description: "Jour férié fédéral en l'honneur des travailleurs" },
+            'CA:Boxing Day': { name: 'Lendemain de Noël', description: 'Jour férié traditionnel suivant Noël' },
+            'DE:Christmas Eve': { description: 'Demi-journée fériée ; les banques et la plupart des bureaux ferment à midi' },
+            "DE:New Year's Eve": { description: 'Demi-journée fériée ; les banques et la plupart des bureaux ferment à midi' },
+            'AT:Christmas Eve': { description: 'Demi-journée fériée ; les banques et la plupart des bureaux ferment à midi' },
+            "AT:New Year's Eve": { description: 'Demi-journée fériée ; les banques et la plupart des bureaux ferment à midi' }
+        }
+    },
+    es: {
+        calendarName: 'Días festivos',
+        holidays: {
+            "New Year's Day": { name: 'Año Nuevo' },
+            'Epiphany': { name: 'Epifanía del Señor' },
+            'Maundy Thursday': { name: 'Jueves Santo' },
+            'Good Friday': { name: 'Viernes Santo' },
+            'Easter Sunday': { name: 'Domingo de Pascua' },
+            'Easter Monday': { name: 'Lunes de Pascua' },
+            'Labour Day': { name: 'Día del Trabajador' },
+            'Assumption Day': { name: 'Asunción de la Virgen' },
+            'National Day of Spain': { name: 'Fiesta Nacional de España', description: 'Fiesta nacional de España' },
+            'All Saints Day': { name: 'Día de Todos los Santos' },
+            'Constitution Day': { name: 'Día de la Constitución', description: 'Conmemora la Constitución española de 1978' },
+            'Immaculate Conception': { name: 'Inmaculada Concepción' },
+            'Christmas Day': { name: 'Navidad' }
+        }
+    },
+    it: {
+        calendarName: 'Giorni festivi',
+        holidays: {
+            "New Year's Day": { name: 'Capodanno' },
+            'Epiphany': { name: 'Epifania' },
+            'Easter Sunday': { name: 'Pasqua' },
+            'Easter Monday': { name: "Lunedì dell'Angelo" },
+            'Labour Day': { name: 'Festa del Lavoro' },
+            'Republic Day': { name: 'Festa della Repubblica', description: 'Commemora il referendum del 1946 che istituì la Repubblica Italiana' },
+            'Assumption Day': { name: 'Ferragosto' },
+            'All Saints Day': { name: 'Ognissanti' },
+            'Immaculate Conception': { name: 'Immacolata Concezione' },
+            'Christmas Day': { name: 'Natale' },
+            "St. Stephen's Day": { name: 'Santo Stefano' },
+            'IT:Liberation Day': { name: 'Festa della Liberazione', description: "Commemora la liberazione dell'Italia nella Seconda guerra mondiale" }
+        }
+    },
+    nl: {
+        calendarName: 'Feestdagen',
+        holidays: {
+            "New Year's Day": { name: 'Nieuwjaarsdag' },
+            'Good Friday': { name: 'Goede Vrijdag' },
+            'Easter Sunday': { name: 'Eerste Paasdag' },
+            'Easter Monday': { name: 'Tweede Paasdag' },
+            'Labour Day': { name: 'Dag van de Arbeid' },
+            "King's Day": { name: 'Koningsdag', description: 'Verjaardag van de Nederlandse koning' },
+            'Ascension Day': { name: 'Hemelvaartsdag' },
+            'Whit Sunday': { name: 'Eerste Pinksterdag' },
+            'Whit Monday': { name: 'Tweede Pinksterdag' },
+            'Belgian National Day': { name: 'Nationale feestdag', description: 'Herdenkt de eedaflegging van koning Leopold I in 1831' },
+            'Assumption Day': { name: 'Onze-Lieve-Vrouw-Hemelvaart' },
+            'All Saints Day': { name: 'Allerheiligen' },
+            'Armistice Day': { name: 'Wapenstilstand' },
+            'Christmas Day': { name: 'Eerste Kerstdag' },
+            'Second Day of Christmas': { name: 'Tweede Kerstdag' },
+            'NL:Liberation Day': { name: 'Bevrijdingsdag', description: 'Herdenkt het einde van de Duitse bezetting in 1945' },
+            'BE:Christmas Day': { name: 'Kerstmis' }
+        }
+    }
+};
+
+module.exports = { TRANSLATIONS };
@@ -0,0 +1,327 @@
+/**
+ * Outgoing webhooks for holiday changes
+ *
+ * Subscriptions name a URL and a country (optionally a region) and receive
+ * a signed POST whenever the holidays of that scope are added, removed or
+ * changed. Each subscription has its own secret; the body is signed as
+ *
+ *   X-Holiday-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Failed deliveries (network errors and non-2xx responses) are retried with
+ * exponential backoff. Retries are kept in memory, so a restart drops them.
+ * Subscriptions are kept in memory and, with a `file`, written through to disk.
+ *
+ * Deliveries come from the server itself, so URLs may not point at loopback,
+ * link-local or private addresses: literal IPs are rejected up front, and host
+ * names are checked again after DNS resolution on every connection.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+
+const WEBHOOK_EVENTS = ['added', 'removed', 'changed'];
+const SIGNATURE_HEADER = 'X-Holiday-Signature';
+
+// Loopback, private, link-local, shared, benchmarking, multicast and reserved
+// ranges. One list per family: a BlockList also matches IPv4 addresses against
+// IPv6 rules through their mapped form, and all of ::ffff:0:0/96 is refused.
+function blockList(family, ranges) {
+    const list = new net.BlockList();
+    ranges.forEach(([prefix, bits]) => list.addSubnet(prefix, bits, family));
+    return list;
+}
+
+const NON_PUBLIC_RANGES = {
+    ipv4: blockList('ipv4', [
+        ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+        ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+    ]),
+    ipv6: blockList('ipv6', [
+        ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+    ])
+};
+
+function loadSubscriptions(file) {
+    try {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return new Map();
+    }
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    return family !== 0 && !NON_PUBLIC_RANGES[type].check(address, type);
+}
+
+// Problems with a subscription URL, as messages; checked when subscribing and
+// again before each delivery. `allowInsecure` permits http, `allowPrivate`
+// local and private hosts (both for development only).
+function webhookUrlErrors(url, { allowInsecure = false, allowPrivate = false } = {}) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return ['"url" must be an absolute URL'];
+    }
+
+    const errors = [];
+    const protocols = allowInsecure ? ['https:', 'http:'] : ['https:'];
+    if (!protocols.includes(parsedUrl.protocol)) {
+        errors.push(`"url" must use ${allowInsecure ? 'http or https' : 'https'}`);
+    }
+    if (parsedUrl.username || parsedUrl.password) {
+        errors.push('"url" must not contain credentials');
+    }
+
+    const host = parsedUrl.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const localName = host === 'localhost' || host.endsWith('.localhost');
+    if (!allowPrivate && (localName || (net.isIP(host) && !isPublicAddress(host)))) {
+        errors.push('"url" must not point to a loopback, link-local or private address');
+    }
+
+    return errors;
+}
+
+// dns.lookup that fails when a host name resolves to a non-public address,
+// so a name cannot be re-pointed at internal services after subscribing
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to non-public address ${blocked.address}`);
+            refused.code = 'ENOTPUBLIC';
+            return callback(refused);
+        }
+
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// HTTP agents whose connections go through publicLookup
+function createPublicAgents() {
+    return {
+        httpAgent: new http.Agent({ lookup: publicLookup }),
+        httpsAgent: new https.Agent({ lookup: publicLookup })
+    };
+}
+
+// Validates a POSTed subscription. Returns { definition } or { errors: [...] };
+// the country/region themselves are checked by the caller. `urlPolicy` takes
+// the webhookUrlErrors options.
+function parseWebhookDefinition(body, urlPolicy = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'] };
+    }
+
+    const { url, country, region, events = WEBHOOK_EVENTS, description } = body;
+    const errors = webhookUrlErrors(url, urlPolicy);
+
+    if (!isNonEmptyString(country)) {
+        errors.push('"country" is required');
+    }
+    if (region !== undefined && !isNonEmptyString(region)) {
+        errors.push('"region" must be a string');
+    }
+    if (!Array.isArray(events) || !events.length || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        errors.push(`"events" must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+        errors.push('"description" must be a string of at most 200 characters');
+    }
+
+    if (errors.length) {
+        return { errors };
+    }
+
+    return {
+        definition: {
+            url: new URL(url).toString(),
+            country: country.trim().toUpperCase(),
+            region: region ? region.trim().toUpperCase() : undefined,
+            events: [...new Set(events)],
+            description: description ? description.trim() : undefined
+        }
+    };
+}
+
+// Signature header value for a body, see the module comment
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+function createWebhookStore({ file = null } = {}) {
+    const subscriptions = file ? loadSubscriptions(file) : new Map();
+    let pending = Promise.resolve();
+
+    // Writes are chained so the file always reflects the latest state. The
+    // returned promise rejects if this write fails; later writes still run.
+    function persist() {
+        if (!file) {
+            return Promise.resolve();
+        }
+
+        const write = pending
+            .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+            .then(() => fs.promises.writeFile(file, JSON.stringify(Object.fromEntries(subscriptions), null, 2)));
+        pending = write.catch(() => {});
+
+        return write;
+    }
+
+    // The secret is part of the stored subscription; callers decide when to show it
+    async function create(definition, owner) {
+        const subscription = {
+            id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+            ...definition,
+            owner,
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            createdAt: new Date().toISOString(),
+            lastDelivery: null
+        };
+
+        subscriptions.set(subscription.id, subscription);
+        try {
+            await persist();
+        } catch (error) {
+            subscriptions.delete(subscription.id);
+            throw error;
+        }
+        return subscription;
+    }
+
+    function get(id) {
+        return subscriptions.get(id) || null;
+    }
+
+    function list(owner) {
+        return [...subscriptions.values()].filter(subscription => owner === undefined || subscription.owner === owner);
+    }
+
+    async function update(id, changes) {
+        const subscription = subscriptions.get(id);
+        if (!subscription) {
+            return null;
+        }
+
+        Object.assign(subscription, changes);
+        await persist();
+        return subscription;
+    }
+
+    async function remove(id) {
+        const subscription = subscriptions.get(id);
+        if (!subscription) {
+            return false;
+        }
+
+        subscriptions.delete(id);
+        try {
+            await persist();
+        } catch (error) {
+            subscriptions.set(id, subscription);
+            throw error;
+        }
+        return true;
+    }
+
+    return {
+        create,
+        get,
+        list,
+        update,
+        remove
+    };
+}
+
+// Delivers events to subscriptions. `post(url, body, headers)` resolves to
+// { status } or rejects on network errors; attempt n (from 1) is retried
+// after baseDelayMs * 2^(n-1), up to maxAttempts in total. `onResult` is
+// called once per delivery with its final outcome.
+function createWebhookDispatcher({ post, maxAttempts = 5, baseDelayMs = 30000, onResult = () => {} }) {
+    let inFlight = 0;
+
+    function deliver(subscription, type, data) {
+        const delivery = {
+            id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+            type,
+            subscription: subscription.id
+        };
+        const body = JSON.stringify({ ...delivery, createdAt: new Date().toISOString(), data });
+
+        inFlight++;
+
+        const attempt = async number => {
+            let outcome;
+            try {
+                const { status } = await post(subscription.url, body, {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Holiday-Calendar-API-Webhooks/1.0',
+                    'X-Holiday-Event': type,
+                    'X-Holiday-Delivery': delivery.id,
+                    [SIGNATURE_HEADER]: signPayload(subscription.secret, body)
+                });
+                outcome = { ok: status >= 200 && status < 300, status };
+            } catch (error) {
+                outcome = { ok: false, status: null, error: error.message };
+            }
+
+            if (!outcome.ok && number < maxAttempts) {
+                setTimeout(() => attempt(number + 1), baseDelayMs * 2 ** (number - 1)).unref();
+                return;
+            }
+
+            inFlight--;
+            onResult(subscription, {
+                ...delivery,
+                ok: outcome.ok,
+                status: outcome.status,
+                error: outcome.error,
+                attempts: number,
+                deliveredAt: new Date().toISOString()
+            });
+        };
+
+        attempt(1);
+        return delivery;
+    }
+
+    return {
+        deliver,
+        get inFlight() {
+            return inFlight;
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    webhookUrlErrors,
+    createPublicAgents,
+    parseWebhookDefinition,
+    signPayload,
+    createWebhookStore,
+    createWebhookDispatcher
+};
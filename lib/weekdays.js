@@ -0,0 +1,12 @@
+// Weekday numbers as returned by Date#getUTCDay()
+const WEEKDAYS = {
+    SUNDAY: 0,
+    MONDAY: 1,
+    TUESDAY: 2,
+    WEDNESDAY: 3,
+    THURSDAY: 4,
+    FRIDAY: 5,
+    SATURDAY: 6
+};
+
+module.exports = { WEEKDAYS };
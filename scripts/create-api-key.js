@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Creates an API key in the local key store
+ *
+ * Usage: node scripts/create-api-key.js "<name>" [basic|pro|enterprise]
+ *
+ * The key is printed once; only its hash is stored. A running server picks
+ * new keys up within a few seconds.
+ */
+
+const { createKeyStore, TIERS } = require('../lib/api-keys');
+
+const [name, tier = 'basic'] = process.argv.slice(2);
+
+if (!name || !TIERS.includes(tier)) {
+    console.error(`Usage: node scripts/create-api-key.js "<name>" [${TIERS.join('|')}]`);
+    process.exit(1);
+}
+
+const keyStore = createKeyStore({ file: process.env.API_KEYS_FILE || './data/api-keys.json' });
+
+keyStore.create({ name, tier })
+    .then(({ key, record }) => {
+        console.log(`Created ${record.tier} key ${record.id} for "${record.name}"`);
+        console.log(`API key: ${key}`);
+        console.log('Store it now; it cannot be shown again.');
+    })
+    .catch(error => {
+        console.error(`Could not create key: ${error.message}`);
+        process.exit(1);
+    });
@@ -7,11 +7,16 @@
  * Features:
  * - RFC 5545 compliant ICS generation
  * - 100+ countries supported
- * - Professional rate limiting
+ * - API key / RapidAPI authentication with per-key quotas
  * - Comprehensive error handling
  * - Production logging
+ * - Prometheus metrics and per-key usage reports
+ * - Signed webhooks when a country's holidays change
  * - Security headers
  * - CORS support
+ *
+ * Run directly to start the server; requiring this file returns the Express
+ * app without listening. The offline library lives in index.js.
  */
 
 const express = require('express');
@@ -20,8 +25,27 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const winston = require('winston');
 const axios = require('axios');
-const rateLimit = require('express-rate-limit');
 const compression = require('compression');
+const crypto = require('crypto');
+const { computeHolidays, withObservedDates, withNativeDates, hasRules } = require('./lib/rules');
+const { normalizeRegion, listRegions, isKnownRegion } = require('./lib/regions');
+const { createBusinessCalendar, weekendFor, parseWeekend, weekdayName } = require('./lib/business-days');
+const { createHolidayCache, createFileStore, createRedisStore } = require('./lib/cache');
+const { createProviderChain, createProvidersFromEnv } = require('./lib/providers');
+const { canonicalTimeZone, timeZoneFor, localDate } = require('./lib/timezones');
+const { parseLanguageTag, localizeHolidays } = require('./lib/i18n');
+const { createEventVersions } = require('./lib/event-versions');
+const { createCalendarStore, parseCalendarDefinition, applyOverlay } = require('./lib/calendars');
+const { parseICS, validateICS } = require('./lib/ics-parser');
+const { diffHolidays, normalizeName } = require('./lib/holiday-diff');
+const { isDuration } = require('./lib/ics-writer');
+const { OUTPUT_FORMATS, toHolidayRecord, holidayUID, holidayCountries } = require('./lib/formats');
+const { OBSERVED_MODES, HOLIDAY_TYPES, selectPeriod, collapseSharedHolidays, applyObservedMode } = require('./lib/holiday-list');
+const { createKeyStore, TIERS } = require('./lib/api-keys');
+const { createQuotaTracker } = require('./lib/quotas');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { WEBHOOK_EVENTS, webhookUrlErrors, createPublicAgents, parseWebhookDefinition, createWebhookStore, createWebhookDispatcher } = require('./lib/webhooks');
+const { createSnapshotStore } = require('./lib/holiday-snapshots');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -51,6 +75,182 @@ const logger = winston.createLogger({
     ]
 });
 
+// Persistent backend for the holiday cache: "memory" (default), "file" or "redis"
+function createCacheBackend() {
+    switch ((process.env.HOLIDAY_CACHE_BACKEND || 'memory').toLowerCase()) {
+        case 'file':
+            return createFileStore({ directory: process.env.HOLIDAY_CACHE_DIR || './cache' });
+        case 'redis':
+            try {
+                // Optional dependency, only needed for the redis backend
+                const { createClient } = require('redis');
+                const client = createClient({ url: process.env.REDIS_URL });
+                client.on('error', error => logger.warn(`Redis cache error: ${error.message}`));
+                client.connect().catch(error => logger.error(`Redis cache connection failed: ${error.message}`));
+                return createRedisStore(client);
+            } catch (error) {
+                logger.warn(`Redis cache backend unavailable, using memory only: ${error.message}`);
+                return null;
+            }
+        default:
+            return null;
+    }
+}
+
+const holidayCache = createHolidayCache({
+    ttlMs: parseInt(process.env.HOLIDAY_CACHE_TTL_MS) || 24 * 60 * 60 * 1000,
+    staleMs: parseInt(process.env.HOLIDAY_CACHE_STALE_MS) || 7 * 24 * 60 * 60 * 1000,
+    negativeTtlMs: parseInt(process.env.HOLIDAY_CACHE_NEGATIVE_TTL_MS) || 10 * 60 * 1000,
+    maxEntries: parseInt(process.env.HOLIDAY_CACHE_MAX_ENTRIES) || 1000,
+    backend: createCacheBackend(),
+    onError: error => logger.warn(`Holiday cache error: ${error.message}`)
+});
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetricsRegistry({ prefix: 'holiday_api_' });
+
+const httpRequests = metrics.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by route, method, status, country and subscription tier',
+    labelNames: ['route', 'method', 'status', 'country', 'tier']
+});
+
+const httpRequestDuration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route, country and subscription tier',
+    labelNames: ['route', 'method', 'country', 'tier']
+});
+
+const providerRequests = metrics.counter({
+    name: 'provider_requests_total',
+    help: 'Upstream holiday provider attempts by outcome (success, empty, failure, skipped)',
+    labelNames: ['provider', 'outcome']
+});
+
+const providerRequestDuration = metrics.histogram({
+    name: 'provider_request_duration_seconds',
+    help: 'Upstream holiday provider latency',
+    labelNames: ['provider', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+const holidayLookups = metrics.counter({
+    name: 'holiday_lookups_total',
+    help: 'Holiday lookups by data source: upstream providers or the offline fallback rules',
+    labelNames: ['source']
+});
+
+metrics.gauge({
+    name: 'fallback_hit_ratio',
+    help: 'Share of holiday lookups served from offline fallback data since start',
+    collect: gauge => {
+        const total = holidayLookups.total();
+        gauge.set({}, total ? Number((holidayLookups.get({ source: 'fallback' }) / total).toFixed(4)) : 0);
+    }
+});
+
+const noHolidaysFound = metrics.counter({
+    name: 'no_holidays_found_total',
+    help: 'Holiday requests answered with 404 NO_HOLIDAYS_FOUND, by country ("multi" for merged calendars)',
+    labelNames: ['country']
+});
+
+const webhookDeliveries = metrics.counter({
+    name: 'webhook_deliveries_total',
+    help: 'Webhook deliveries by event and final outcome (delivered, failed), after retries',
+    labelNames: ['event', 'outcome']
+});
+
+// Upstream holiday sources, ordered and configured through the environment
+const providerChain = createProviderChain({
+    providers: createProvidersFromEnv(axios),
+    failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 5,
+    cooldownMs: parseInt(process.env.PROVIDER_COOLDOWN_MS) || 60 * 1000,
+    logger,
+    onResult: ({ provider, outcome, latencyMs }) => {
+        providerRequests.inc({ provider, outcome });
+        if (latencyMs !== null) {
+            providerRequestDuration.observe({ provider, outcome }, latencyMs / 1000);
+        }
+    }
+});
+
+// Per-event SEQUENCE/DTSTAMP tracking, so feed refreshes only change when events do
+const eventVersions = createEventVersions({
+    file: process.env.EVENT_VERSIONS_FILE || './data/event-versions.json',
+    maxEntries: parseInt(process.env.EVENT_VERSIONS_MAX_ENTRIES) || 100000,
+    onError: error => logger.warn(`Event version store error: ${error.message}`)
+});
+
+// Company calendar overlays created through POST /calendars
+const calendarStore = createCalendarStore({
+    file: process.env.CALENDARS_FILE || './data/calendars.json'
+});
+
+// Webhook subscriptions created through POST /webhooks
+const webhookStore = createWebhookStore({
+    file: process.env.WEBHOOKS_FILE || './data/webhooks.json'
+});
+
+// Holiday lists as last seen by the change detection job
+const holidaySnapshots = createSnapshotStore({
+    file: process.env.HOLIDAY_SNAPSHOTS_FILE || './data/holiday-snapshots.json',
+    onError: error => logger.warn(`Holiday snapshot store error: ${error.message}`)
+});
+
+// API keys for standalone deployments, see scripts/create-api-key.js
+const keyStore = createKeyStore({
+    file: process.env.API_KEYS_FILE || './data/api-keys.json',
+    watch: true,
+    onError: error => logger.error(`API key store error: ${error.message}`)
+});
+
+// Per-client minute, daily and monthly request counters
+const quotaTracker = createQuotaTracker({
+    file: process.env.QUOTA_USAGE_FILE || './data/usage.json',
+    onError: error => logger.warn(`Quota usage store error: ${error.message}`)
+});
+
+// Which webhook URLs are accepted; both relaxations are for local development
+const WEBHOOK_URL_POLICY = {
+    allowInsecure: process.env.WEBHOOK_ALLOW_INSECURE === 'true',
+    allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'
+};
+const webhookAgents = WEBHOOK_URL_POLICY.allowPrivate ? {} : createPublicAgents();
+
+// Signed webhook POSTs, retried with exponential backoff. URLs are checked
+// again here since literal IP addresses never reach the agents' DNS check.
+const webhookDispatcher = createWebhookDispatcher({
+    post: async (url, body, headers) => {
+        const [urlError] = webhookUrlErrors(url, WEBHOOK_URL_POLICY);
+        if (urlError) {
+            throw new Error(urlError);
+        }
+
+        const response = await axios.post(url, body, {
+            headers,
+            ...webhookAgents,
+            timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+        return { status: response.status };
+    },
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 30 * 1000,
+    onResult: (subscription, delivery) => {
+        webhookDeliveries.inc({ event: delivery.type, outcome: delivery.ok ? 'delivered' : 'failed' });
+        if (!delivery.ok) {
+            logger.warn(`Webhook delivery ${delivery.id} to ${subscription.id} failed after ${delivery.attempts} attempts`, {
+                status: delivery.status,
+                error: delivery.error
+            });
+        }
+        webhookStore.update(subscription.id, { lastDelivery: delivery })
+            .catch(error => logger.warn(`Could not record webhook delivery ${delivery.id}: ${error.message}`));
+    }
+});
+
 // Production middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -70,56 +270,267 @@ app.use(helmet({
 
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'],
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-RapidAPI-Proxy-Secret', 'X-RapidAPI-User', 'X-RapidAPI-Subscription']
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-RapidAPI-Proxy-Secret', 'X-RapidAPI-User', 'X-RapidAPI-Subscription'],
+    exposedHeaders: [
+        'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After',
+        'X-Quota-Daily-Limit', 'X-Quota-Daily-Remaining', 'X-Quota-Daily-Reset',
+        'X-Quota-Monthly-Limit', 'X-Quota-Monthly-Remaining', 'X-Quota-Monthly-Reset', 'X-Quota-Cost'
+    ]
 }));
 
 app.use(compression());
+
+// Feed URLs may carry an API key (?key=...), which must not end up in the logs
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]key=)[^&]*/g, '$1[redacted]'));
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+
+// Metric label for a validated country list: the code itself, or "multi" for
+// merged calendars, whose code combinations would be unbounded
+function countryLabel(country) {
+    if (!country) {
+        return 'none';
+    }
+    return country.includes(',') ? 'multi' : country;
+}
+
+// Request counts and latency; the route is the matched pattern (e.g.
+// /feeds/:feed) and the country a single validated code, so label values stay bounded
+app.use((req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const labels = {
+            route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+            method: req.method,
+            country: countryLabel(req.validatedQuery?.country),
+            tier: req.client?.tier || 'none'
+        };
+
+        httpRequests.inc({ ...labels, status: res.statusCode });
+        httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+
+    next();
+});
 app.use(express.json({ limit: '10mb' }));
 
-// Enhanced rate limiting for RapidAPI
-const createRateLimiter = (windowMs, max, message) => {
-    return rateLimit({
-        windowMs,
-        max,
-        message: {
-            error: 'Rate limit exceeded',
-            message,
-            code: 'RATE_LIMIT_EXCEEDED',
-            retryAfter: Math.ceil(windowMs / 1000)
-        },
-        standardHeaders: true,
-        legacyHeaders: false,
-        handler: (req, res) => {
-            logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
-            res.status(429).json({
-                error: 'Rate limit exceeded',
-                message,
-                code: 'RATE_LIMIT_EXCEEDED',
-                retryAfter: Math.ceil(windowMs / 1000)
-            });
+// How callers authenticate: "rapidapi" (requests forwarded by the RapidAPI
+// proxy, recognised by the proxy secret), "apikey" (keys from the local key
+// store), "both", or "none" for local development (anonymous, basic plan,
+// counted per IP)
+const AUTH_MODES = ['rapidapi', 'apikey', 'both', 'none'];
+const AUTH_MODE = AUTH_MODES.includes((process.env.AUTH_MODE || '').toLowerCase())
+    ? process.env.AUTH_MODE.toLowerCase()
+    : 'both';
+const RAPIDAPI_PROXY_SECRET = process.env.RAPIDAPI_PROXY_SECRET || '';
+
+if (['rapidapi', 'both'].includes(AUTH_MODE) && !RAPIDAPI_PROXY_SECRET) {
+    logger.warn('RAPIDAPI_PROXY_SECRET is not set; requests from the RapidAPI proxy will be rejected');
+}
+
+// Request quotas per plan: a one-minute window plus daily and monthly totals
+const PLAN_LIMITS = {
+    basic: {
+        minute: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS_BASIC) || 10,
+        day: parseInt(process.env.QUOTA_DAILY_BASIC) || 1000,
+        month: parseInt(process.env.QUOTA_MONTHLY_BASIC) || 10000
+    },
+    pro: {
+        minute: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS_PRO) || 100,
+        day: parseInt(process.env.QUOTA_DAILY_PRO) || 20000,
+        month: parseInt(process.env.QUOTA_MONTHLY_PRO) || 300000
+    },
+    enterprise: {
+        minute: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS_ENTERPRISE) || 1000,
+        day: parseInt(process.env.QUOTA_DAILY_ENTERPRISE) || 250000,
+        month: parseInt(process.env.QUOTA_MONTHLY_ENTERPRISE) || 5000000
+    }
+};
+
+const QUOTA_WINDOWS = {
+    minute: { label: 'minute', header: null },
+    day: { label: 'day', header: 'Daily' },
+    month: { label: 'month', header: 'Monthly' }
+};
+
+// Maximum span of a single /holidays request, in calendar years
+const MAX_RANGE_YEARS = {
+    basic: 2,
+    pro: 5,
+    enterprise: 10
+};
+
+function planName(tier) {
+    return tier.charAt(0).toUpperCase() + tier.slice(1);
+}
+
+// Constant-time comparison; hashing first makes the lengths equal
+function matchesSecret(value, secret) {
+    if (!secret || typeof value !== 'string') {
+        return false;
+    }
+
+    const digest = text => crypto.createHash('sha256').update(text).digest();
+    return crypto.timingSafeEqual(digest(value), digest(secret));
+}
+
+// X-API-Key header, "Authorization: Bearer <key>", or ?key= for calendar
+// clients that cannot send headers when subscribing to a feed
+function apiKeyFrom(req) {
+    return req.get('X-API-Key') || bearerToken(req) || (typeof req.query.key === 'string' ? req.query.key : null);
+}
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+function sendUnauthorized(res, error, message, code) {
+    res.set('WWW-Authenticate', 'Bearer realm="holiday-calendar-api"');
+    return res.status(401).json({
+        error,
+        message,
+        code,
+        documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+    });
+}
+
+// Express 4 ignores rejected promises from handlers; this hands them to the
+// error middleware so they answer 500 instead of going unhandled
+function asyncRoute(handler) {
+    return (req, res, next) => {
+        handler(req, res, next).catch(next);
+    };
+}
+
+// Identifies the caller as req.client = { id, tier, method[, name] }. The plan
+// tier comes from the key store, or from X-RapidAPI-Subscription only once the
+// request has proven it came through the RapidAPI proxy.
+const authenticate = (req, res, next) => {
+    if (AUTH_MODE === 'none') {
+        req.client = { id: `ip:${req.ip}`, tier: 'basic', method: 'anonymous' };
+        return next();
+    }
+
+    const proxySecret = req.get('X-RapidAPI-Proxy-Secret');
+
+    if (proxySecret !== undefined && AUTH_MODE !== 'apikey') {
+        if (!matchesSecret(proxySecret, RAPIDAPI_PROXY_SECRET)) {
+            logger.warn(`Rejected request with an invalid RapidAPI proxy secret from IP: ${req.ip}`);
+            return sendUnauthorized(res, 'Invalid proxy secret', 'The X-RapidAPI-Proxy-Secret header does not match this deployment', 'INVALID_PROXY_SECRET');
         }
+
+        const subscription = (req.get('X-RapidAPI-Subscription') || 'basic').toLowerCase();
+        req.client = {
+            id: `rapidapi:${req.get('X-RapidAPI-User') || req.ip}`,
+            tier: TIERS.includes(subscription) ? subscription : 'basic',
+            method: 'rapidapi'
+        };
+        return next();
+    }
+
+    const key = AUTH_MODE !== 'rapidapi' ? apiKeyFrom(req) : null;
+
+    if (key) {
+        const record = keyStore.authenticate(key);
+
+        if (!record) {
+            logger.warn(`Rejected unknown or revoked API key from IP: ${req.ip}`);
+            return sendUnauthorized(res, 'Invalid API key', 'The API key is unknown or has been revoked', 'INVALID_API_KEY');
+        }
+
+        req.client = { id: record.id, name: record.name, tier: record.tier, method: 'apikey' };
+        return next();
+    }
+
+    return sendUnauthorized(
+        res,
+        'Authentication required',
+        AUTH_MODE === 'rapidapi'
+            ? 'Requests must be made through RapidAPI'
+            : 'Send an API key in the X-API-Key header, as "Authorization: Bearer <key>" or, for feeds, as ?key=',
+        'MISSING_CREDENTIALS'
+    );
+};
+
+function setQuotaHeaders(res, windows) {
+    const { minute } = windows;
+
+    res.set({
+        'RateLimit-Limit': minute.limit.toString(),
+        'RateLimit-Remaining': minute.remaining.toString(),
+        'RateLimit-Reset': Math.max(0, Math.ceil((minute.resetAt - Date.now()) / 1000)).toString()
+    });
+
+    ['day', 'month'].forEach(window => {
+        const prefix = `X-Quota-${QUOTA_WINDOWS[window].header}`;
+        res.set({
+            [`${prefix}-Limit`]: windows[window].limit.toString(),
+            [`${prefix}-Remaining`]: windows[window].remaining.toString(),
+            [`${prefix}-Reset`]: windows[window].resetAt.toISOString()
+        });
     });
+}
+
+// Operator endpoints take a bearer token (ADMIN_TOKEN, METRICS_TOKEN) rather
+// than an API key. Without a configured token /admin is disabled and
+// /metrics is open, as Prometheus scrapers usually expect.
+const requireOperatorToken = (secret, { optional = false } = {}) => (req, res, next) => {
+    if (!secret) {
+        if (optional) {
+            return next();
+        }
+        return res.status(503).json({
+            error: 'Admin API disabled',
+            message: 'Set ADMIN_TOKEN to enable the admin endpoints',
+            code: 'ADMIN_DISABLED',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (!matchesSecret(bearerToken(req), secret)) {
+        return sendUnauthorized(res, 'Invalid token', 'Send the operator token as "Authorization: Bearer <token>"', 'INVALID_ADMIN_TOKEN');
+    }
+
+    next();
 };
 
-// Different rate limits for different endpoints
-const basicLimiter = createRateLimiter(60 * 1000, 10, 'Basic plan: 10 requests per minute');
-const proLimiter = createRateLimiter(60 * 1000, 100, 'Pro plan: 100 requests per minute');
-const enterpriseLimiter = createRateLimiter(60 * 1000, 1000, 'Enterprise plan: 1000 requests per minute');
+// Counts the request against the caller's plan. Handlers that do more than
+// one unit of work set req.quotaCost before this runs.
+const enforceQuota = (req, res, next) => {
+    const { id, tier } = req.client;
+    const cost = req.quotaCost || 1;
+    const result = quotaTracker.consume(id, PLAN_LIMITS[tier], cost);
 
-// Rate limiting middleware based on subscription tier
-const rateLimitBySubscription = (req, res, next) => {
-    const subscription = req.headers['x-rapidapi-subscription'] || 'basic';
+    setQuotaHeaders(res, result.windows);
 
-    switch (subscription.toLowerCase()) {
-        case 'enterprise':
-            return enterpriseLimiter(req, res, next);
-        case 'pro':
-            return proLimiter(req, res, next);
-        default:
-            return basicLimiter(req, res, next);
+    if (result.allowed) {
+        return next();
     }
+
+    const window = result.windows[result.exceeded];
+    const retryAfter = Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000));
+    const message = `${planName(tier)} plan: ${window.limit} requests per ${QUOTA_WINDOWS[result.exceeded].label}`;
+
+    logger.warn(`${result.exceeded === 'minute' ? 'Rate limit' : 'Quota'} exceeded for client: ${id}`);
+    res.set('Retry-After', retryAfter.toString());
+
+    return res.status(429).json(result.exceeded === 'minute'
+        ? {
+            error: 'Rate limit exceeded',
+            message,
+            code: 'RATE_LIMIT_EXCEEDED',
+            retryAfter
+        }
+        : {
+            error: 'Quota exceeded',
+            message: cost > 1 ? `${message} (this request costs ${cost})` : message,
+            code: 'QUOTA_EXCEEDED',
+            quota: result.exceeded === 'day' ? 'daily' : 'monthly',
+            retryAfter,
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
 };
 
 // Country validation - ISO 3166-1 alpha-2 codes
@@ -142,363 +553,2135 @@ const VALID_COUNTRIES = [
     'VN', 'VU', 'WF', 'WS', 'YE', 'YT', 'ZA', 'ZM', 'ZW'
 ];
 
-// Enhanced holiday data with more countries and years
-const enhancedHolidays = {
-    'US-2025': [
-        { date: '2025-01-01', name: "New Year's Day", description: 'The first day of the Gregorian calendar year', type: 'public' },
-        { date: '2025-01-20', name: 'Martin Luther King Jr. Day', description: 'Federal holiday honoring civil rights leader Martin Luther King Jr.', type: 'public' },
-        { date: '2025-02-17', name: "Presidents' Day", description: 'Federal holiday honoring all U.S. presidents', type: 'public' },
-        { date: '2025-05-26', name: 'Memorial Day', description: 'Federal holiday honoring military personnel who died in service', type: 'public' },
-        { date: '2025-07-04', name: 'Independence Day', description: 'Celebration of American independence from Great Britain', type: 'public' },
-        { date: '2025-09-01', name: 'Labor Day', description: 'Federal holiday celebrating the contributions of workers', type: 'public' },
-        { date: '2025-10-13', name: 'Columbus Day', description: 'Federal holiday commemorating Christopher Columbus', type: 'public' },
-        { date: '2025-11-11', name: 'Veterans Day', description: 'Federal holiday honoring military veterans', type: 'public' },
-        { date: '2025-11-27', name: 'Thanksgiving Day', description: 'Federal holiday for giving thanks and sharing meals with family', type: 'public' },
-        { date: '2025-12-25', name: 'Christmas Day', description: 'Christian holiday celebrating the birth of Jesus Christ', type: 'public' }
-    ],
-    'GB-2025': [
-        { date: '2025-01-01', name: "New Year's Day", description: 'The first day of the Gregorian calendar year', type: 'public' },
-        { date: '2025-04-18', name: 'Good Friday', description: 'Christian holiday commemorating the crucifixion of Jesus', type: 'public' },
-        { date: '2025-04-21', name: 'Easter Monday', description: 'Christian holiday celebrating the resurrection of Jesus', type: 'public' },
-        { date: '2025-05-05', name: 'Early May Bank Holiday', description: 'Spring bank holiday in the UK', type: 'bank' },
-        { date: '2025-05-26', name: 'Spring Bank Holiday', description: 'Late spring bank holiday in the UK', type: 'bank' },
-        { date: '2025-08-25', name: 'Summer Bank Holiday', description: 'Summer bank holiday in England, Wales, and Northern Ireland', type: 'bank' },
-        { date: '2025-12-25', name: 'Christmas Day', description: 'Christian holiday celebrating the birth of Jesus Christ', type: 'public' },
-        { date: '2025-12-26', name: 'Boxing Day', description: 'Traditional holiday following Christmas Day', type: 'public' }
-    ],
-    'CA-2025': [
-        { date: '2025-01-01', name: "New Year's Day", description: 'The first day of the Gregorian calendar year', type: 'public' },
-        { date: '2025-04-18', name: 'Good Friday', description: 'Christian holiday commemorating the crucifixion of Jesus', type: 'public' },
-        { date: '2025-04-21', name: 'Easter Monday', description: 'Christian holiday celebrating the resurrection of Jesus', type: 'public' },
-        { date: '2025-05-19', name: 'Victoria Day', description: 'Canadian federal holiday honoring Queen Victoria', type: 'public' },
-        { date: '2025-07-01', name: 'Canada Day', description: 'National holiday celebrating Canadian Confederation', type: 'public' },
-        { date: '2025-09-01', name: 'Labour Day', description: 'Federal holiday celebrating the contributions of workers', type: 'public' },
-        { date: '2025-10-13', name: 'Thanksgiving', description: 'Canadian holiday for giving thanks', type: 'public' },
-        { date: '2025-11-11', name: 'Remembrance Day', description: 'Memorial day for military personnel who died in service', type: 'public' },
-        { date: '2025-12-25', name: 'Christmas Day', description: 'Christian holiday celebrating the birth of Jesus Christ', type: 'public' },
-        { date: '2025-12-26', name: 'Boxing Day', description: 'Traditional holiday following Christmas Day', type: 'public' }
-    ],
-    'DE-2025': [
-        { date: '2025-01-01', name: "New Year's Day", description: 'The first day of the Gregorian calendar year', type: 'public' },
-        { date: '2025-05-01', name: 'Labour Day', description: 'German holiday celebrating workers', type: 'public' },
-        { date: '2025-10-03', name: 'German Unity Day', description: 'National holiday commemorating German reunification', type: 'public' },
-        { date: '2025-12-25', name: 'Christmas Day', description: 'Christian holiday celebrating the birth of Jesus Christ', type: 'public' },
-        { date: '2025-12-26', name: 'Boxing Day', description: 'Second day of Christmas', type: 'public' }
-    ],
-    'FR-2025': [
-        { date: '2025-01-01', name: "New Year's Day", description: 'The first day of the Gregorian calendar year', type: 'public' },
-        { date: '2025-05-01', name: 'Labour Day', description: 'French holiday celebrating workers', type: 'public' },
-        { date: '2025-05-08', name: 'Victory in Europe Day', description: 'Commemorates the end of World War II in Europe', type: 'public' },
-        { date: '2025-07-14', name: 'Bastille Day', description: 'French National Day', type: 'public' },
-        { date: '2025-08-15', name: 'Assumption Day', description: 'Christian holiday', type: 'public' },
-        { date: '2025-11-01', name: 'All Saints Day', description: 'Christian holiday honoring all saints', type: 'public' },
-        { date: '2025-11-11', name: 'Armistice Day', description: 'Commemorates the end of World War I', type: 'public' },
-        { date: '2025-12-25', name: 'Christmas Day', description: 'Christian holiday celebrating the birth of Jesus Christ', type: 'public' }
-    ]
-};
+// Maximum number of countries merged into one calendar
+const MAX_COUNTRIES_PER_REQUEST = 10;
+
+// Largest offset accepted by /business-days/add (roughly ten years)
+const MAX_BUSINESS_DAYS_OFFSET = 2600;
+
+// How long clients may keep a calendar before refreshing; matches the ICS
+// refresh hints (REFRESH-INTERVAL and X-PUBLISHED-TTL) in lib/formats.js
+const CALENDAR_TTL_SECONDS = 24 * 60 * 60;
+
+// Attach each event's tracked revision ({ sequence, stampedAt }), bumped only
+// when the holiday itself changes. Descriptions, types and times differ between
+// upstream sources and the offline rules, so they are left out of the
+// fingerprint and a switch between sources does not bump every event.
+function withRevisions(holidays, country) {
+    return holidays.map(holiday => {
+        const { date, endDate, name, observed, cancelled } = holiday;
+        const content = { date, endDate, name: normalizeName(name), observed, cancelled, countries: holidayCountries(holiday, country) };
+
+        return { ...holiday, revision: eventVersions.track(holidayUID(holiday, country), content) };
+    });
+}
+
+// Enhanced holiday fetching with multiple sources
+// Resolves to null when no upstream source returned data
+async function fetchUpstreamHolidays(country, year, region) {
+    const result = await providerChain.fetchHolidays(country, year, region);
+
+    if (!result) {
+        // HOLIDAY_PROVIDERS=none serves offline data by design
+        if (providerChain.stats().length) {
+            logger.warn(`All external APIs failed for ${country}-${year}${region ? `-${region}` : ''}`);
+        }
+        return null;
+    }
+
+    logger.debug(`Fetched ${country}-${year} holidays from ${result.provider}`);
+    return result.holidays;
+}
+
+// Cached holiday lookup; the resolved cache entry also carries `modifiedAt`.
+// With `refresh`, the upstream sources are asked again even if the entry is fresh.
+async function fetchHolidayEntry(country, year, region, { refresh = false } = {}) {
+    const lookup = refresh ? holidayCache.refresh : holidayCache.wrap;
+    const entry = await lookup(`${country}:${year}:${region || '*'}`, async () => {
+        const holidays = await fetchUpstreamHolidays(country, year, region);
+        if (holidays) {
+            return { value: withNativeDates(withObservedDates(holidays, country, year, region), country, year, region) };
+        }
+
+        // Fallback to the offline rules engine, cached as negative so the
+        // upstream sources are retried soon
+        return { value: computeHolidays(country, year, region), negative: true };
+    });
+
+    holidayLookups.inc({ source: entry.negative ? 'fallback' : 'upstream' });
+    return entry;
+}
+
+async function fetchHolidays(country, year, region) {
+    return (await fetchHolidayEntry(country, year, region)).value;
+}
+
+function isValidYear(year) {
+    return Number.isInteger(year) && year >= 2000 && year <= 2030;
+}
+
+function parseISODate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value) ? value : null;
+}
+
+// Resolve "year", "years=2025-2027" or "from"/"to" into an inclusive date
+// range. Returns { error } with a response body when the input is invalid.
+function resolvePeriod(query, subscription) {
+    const { year, years, from, to } = query;
+    const documentation = 'https://rapidapi.com/holiday-calendar-api/docs';
+
+    if ([year, years, from || to].filter(Boolean).length > 1) {
+        return {
+            error: {
+                error: 'Conflicting parameters',
+                message: 'Use only one of "year", "years" or "from"/"to"',
+                code: 'CONFLICTING_PERIOD',
+                documentation
+            }
+        };
+    }
+
+    let period;
+
+    if (from || to) {
+        const fromDate = from && parseISODate(from);
+        const toDate = to && parseISODate(to);
+
+        if (!fromDate || !toDate || fromDate > toDate) {
+            return {
+                error: {
+                    error: 'Invalid date range',
+                    message: 'Parameters "from" and "to" must both be YYYY-MM-DD dates with "from" not after "to"',
+                    code: 'INVALID_DATE_RANGE',
+                    documentation
+                }
+            };
+        }
+
+        period = {
+            from: fromDate,
+            to: toDate,
+            startYear: parseInt(fromDate.slice(0, 4)),
+            endYear: parseInt(toDate.slice(0, 4)),
+            label: `${fromDate} to ${toDate}`
+        };
+    } else if (years) {
+        const match = /^(\d{4})(?:-(\d{4}))?$/.exec(years);
+        const startYear = match && parseInt(match[1]);
+        const endYear = match && parseInt(match[2] || match[1]);
+
+        if (!match || startYear > endYear) {
+            return {
+                error: {
+                    error: 'Invalid year range',
+                    message: 'Parameter "years" must be a year or a range such as "2025-2027"',
+                    code: 'INVALID_YEAR_RANGE',
+                    documentation
+                }
+            };
+        }
+
+        period = { startYear, endYear, label: startYear === endYear ? startYear : `${startYear}-${endYear}` };
+    } else if (year) {
+        const yearInt = parseInt(year);
+        period = { startYear: yearInt, endYear: yearInt, label: yearInt };
+    } else {
+        return {
+            error: {
+                error: 'Missing required parameter',
+                message: 'Parameter "year" is required (or use "years" or "from"/"to")',
+                code: 'MISSING_YEAR',
+                documentation
+            }
+        };
+    }
+
+    if (!isValidYear(period.startYear) || !isValidYear(period.endYear)) {
+        return {
+            error: {
+                error: 'Invalid year',
+                message: 'Year must be a valid integer between 2000 and 2030',
+                code: 'INVALID_YEAR',
+                documentation
+            }
+        };
+    }
+
+    const maxYears = MAX_RANGE_YEARS[subscription] || MAX_RANGE_YEARS.basic;
+    const spanYears = period.endYear - period.startYear + 1;
+
+    if (spanYears > maxYears) {
+        return {
+            error: {
+                error: 'Range too large',
+                message: `Your ${subscription} plan allows ranges of up to ${maxYears} calendar years per request`,
+                code: 'RANGE_TOO_LARGE',
+                maxYears,
+                documentation
+            }
+        };
+    }
+
+    const yearList = Array.from({ length: spanYears }, (_, index) => period.startYear + index);
+
+    return {
+        year: period.label,
+        years: yearList,
+        from: period.from || `${period.startYear}-01-01`,
+        to: period.to || `${period.endYear}-12-31`
+    };
+}
+
+// Fetch every country/region and year of a request into one date-ordered
+// list, along with the time the underlying data last changed
+async function collectHolidays(scopes, years, from, to, collapse, fetchEntry = fetchHolidayEntry) {
+    const lookups = scopes.flatMap(({ country, region }) => years.map(year => ({ country, year, region })));
+    const entries = await Promise.all(lookups.map(({ country, year, region }) => fetchEntry(country, year, region)));
+
+    const holidays = selectPeriod(entries
+        .flatMap((entry, index) => entry.value.map(holiday => ({ ...holiday, country: lookups[index].country }))), from, to);
+
+    return {
+        holidays: collapse && scopes.length > 1 ? collapseSharedHolidays(holidays) : holidays,
+        lastModified: new Date(Math.max(...entries.map(entry => entry.modifiedAt)))
+    };
+}
+
+// Repeated query parameters (?country=US&country=GB) arrive as arrays and
+// are read like a comma-separated list; nested objects (?country[a]=US) are ignored
+function listParam(value) {
+    return [].concat(value || []).filter(item => typeof item === 'string').join(',');
+}
+
+// Validation failure: the HTTP status and JSON body to answer with
+function queryError(status, body) {
+    return { status, error: body };
+}
+
+// /holidays parameters that take a single value
+const SINGLE_VALUE_PARAMS = ['format', 'collapse', 'native', 'tz', 'mode', 'lang', 'observed', 'calendar', 'end', 'year', 'years', 'from', 'to'];
+
+// Checks a /holidays query (also used for each item of a batch). Returns
+// { query } with the normalized parameters, or { status, error }.
+// `feedPeriod` replaces year/years/from/to for feeds; `accepts` negotiates
+// the output format when "format" is not given.
+function checkHolidayQuery(query, { tier, feedPeriod, accepts = () => false }) {
+    const repeated = SINGLE_VALUE_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+
+    if (repeated) {
+        return queryError(400, {
+            error: 'Invalid parameter',
+            message: `Parameter "${repeated}" takes a single value`,
+            code: 'INVALID_PARAMETER',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const { format, collapse, native, tz = 'UTC', mode = 'allday', lang, observed = 'annotate', calendar: calendarId, end = 'dtend' } = query;
+    const [types, alarm] = [query.types, query.alarm].map(listParam);
+
+    // A company calendar brings its own base country and region
+    const overlay = calendarId ? calendarStore.get(calendarId) : null;
+
+    if (calendarId && !overlay) {
+        return queryError(404, {
+            error: 'Calendar not found',
+            message: `No calendar with ID "${calendarId}"`,
+            code: 'CALENDAR_NOT_FOUND',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (overlay && (query.country || query.region)) {
+        return queryError(400, {
+            error: 'Conflicting parameters',
+            message: `Calendar "${calendarId}" already defines its country and region`,
+            code: 'CONFLICTING_PARAMETERS',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const country = overlay ? overlay.country : listParam(query.country);
+    const region = overlay ? overlay.region : listParam(query.region);
+
+    if (!country) {
+        return queryError(400, {
+            error: 'Missing required parameter',
+            message: 'Parameter "country" is required',
+            code: 'MISSING_COUNTRY',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    // "country" may list several codes, e.g. "US,GB,DE"
+    const countryCodes = [...new Set(country.split(',').map(code => code.trim().toUpperCase()).filter(Boolean))];
+    const invalidCountry = countryCodes.find(code => !VALID_COUNTRIES.includes(code));
+
+    if (!countryCodes.length || invalidCountry) {
+        return queryError(400, {
+            error: 'Invalid country code',
+            message: `Country code "${invalidCountry || country}" is not a valid ISO 3166-1 alpha-2 code`,
+            code: 'INVALID_COUNTRY',
+            validCountries: VALID_COUNTRIES.slice(0, 10),
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (countryCodes.length > MAX_COUNTRIES_PER_REQUEST) {
+        return queryError(400, {
+            error: 'Too many countries',
+            message: `At most ${MAX_COUNTRIES_PER_REQUEST} countries can be merged into one calendar`,
+            code: 'TOO_MANY_COUNTRIES',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const period = feedPeriod || resolvePeriod(query, tier);
+
+    if (period.error) {
+        return queryError(400, period.error);
+    }
+
+    // Each region attaches to the country it belongs to; with several
+    // countries, regions must be given as full ISO 3166-2 codes ("US-CA")
+    const scopes = countryCodes.map(code => ({ country: code }));
+    const requestedRegions = region ? region.split(',').map(code => code.trim()).filter(Boolean) : [];
+
+    for (const requested of requestedRegions) {
+        const regionCode = scopes.length === 1
+            ? normalizeRegion(scopes[0].country, requested)
+            : requested.toUpperCase();
+        const scope = scopes.find(candidate => regionCode.startsWith(`${candidate.country}-`));
+
+        if (!scope || scope.region || !isKnownRegion(scope.country, regionCode)) {
+            return queryError(400, {
+                error: 'Invalid region code',
+                message: scope?.region
+                    ? `Only one region per country is supported (got "${scope.region}" and "${requested}")`
+                    : `Region "${requested}" is not a known ISO 3166-2 subdivision of ${countryCodes.join(', ')}`,
+                code: 'INVALID_REGION',
+                validRegions: countryCodes.flatMap(code => listRegions(code).map(({ code: regionCode }) => regionCode)),
+                documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+            });
+        }
+
+        scope.region = regionCode;
+    }
+
+    const regionCodes = scopes.filter(scope => scope.region).map(scope => scope.region);
+
+    // An explicit "format" wins; otherwise negotiate on the Accept header
+    const negotiated = accepts(Object.values(OUTPUT_FORMATS).map(({ mediaType }) => mediaType));
+    const formatKey = format
+        ? format.toLowerCase()
+        : Object.keys(OUTPUT_FORMATS).find(key => OUTPUT_FORMATS[key].mediaType === negotiated);
+
+    if (!OUTPUT_FORMATS[formatKey]) {
+        return queryError(format ? 400 : 406, {
+            error: 'Unsupported format',
+            message: format
+                ? `Format "${format}" is not supported`
+                : 'None of the requested media types in the Accept header are supported',
+            code: 'INVALID_FORMAT',
+            validFormats: Object.keys(OUTPUT_FORMATS),
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const timeZone = canonicalTimeZone(tz);
+
+    if (!timeZone) {
+        return queryError(400, {
+            error: 'Invalid time zone',
+            message: `Time zone "${tz}" is not a known IANA time zone name`,
+            code: 'INVALID_TIMEZONE',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (!['allday', 'timed'].includes(mode)) {
+        return queryError(400, {
+            error: 'Invalid mode',
+            message: `Mode "${mode}" is not supported`,
+            code: 'INVALID_MODE',
+            validModes: ['allday', 'timed'],
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (!OBSERVED_MODES.includes(observed)) {
+        return queryError(400, {
+            error: 'Invalid observed mode',
+            message: `Observed mode "${observed}" is not supported`,
+            code: 'INVALID_OBSERVED_MODE',
+            validModes: OBSERVED_MODES,
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    // Reminders such as "-P1D" (a day before); several may be comma-separated
+    const alarms = alarm ? alarm.split(',').map(trigger => trigger.trim().toUpperCase()) : [];
+
+    if (alarms.length > 3 || alarms.some(trigger => !isDuration(trigger))) {
+        return queryError(400, {
+            error: 'Invalid alarm',
+            message: 'Parameter "alarm" takes up to 3 comma-separated ISO 8601 durations, e.g. "-P1D" or "-PT15M"',
+            code: 'INVALID_ALARM',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (!['dtend', 'duration'].includes(end)) {
+        return queryError(400, {
+            error: 'Invalid end style',
+            message: `End style "${end}" is not supported`,
+            code: 'INVALID_END',
+            validValues: ['dtend', 'duration'],
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    // "types" narrows the output, e.g. "public,bank"
+    const typeFilter = types
+        ? [...new Set(types.split(',').map(type => type.trim().toLowerCase()).filter(Boolean))]
+        : [];
+    const invalidType = typeFilter.find(type => !HOLIDAY_TYPES.includes(type));
+
+    if (invalidType) {
+        return queryError(400, {
+            error: 'Invalid holiday type',
+            message: `Holiday type "${invalidType}" is not supported`,
+            code: 'INVALID_TYPES',
+            validTypes: HOLIDAY_TYPES,
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const language = lang && parseLanguageTag(lang);
+
+    if (lang && !language) {
+        return queryError(400, {
+            error: 'Invalid language',
+            message: `Language "${lang}" is not a valid BCP 47 language tag`,
+            code: 'INVALID_LANGUAGE',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    return {
+        query: {
+            country: countryCodes.join(','),
+            scopes,
+            year: period.year,
+            years: period.years,
+            from: period.from,
+            to: period.to,
+            region: regionCodes.length ? regionCodes.join(',') : undefined,
+            format: formatKey,
+            collapse: ['true', '1', 'yes'].includes(String(collapse).toLowerCase()),
+            tz: timeZone,
+            mode,
+            lang: language || undefined,
+            observed,
+            feed: Boolean(feedPeriod),
+            overlay: overlay || undefined,
+            alarms,
+            end,
+            native: ['true', '1', 'yes'].includes(String(native).toLowerCase()),
+            types: typeFilter.length ? typeFilter : undefined
+        }
+    };
+}
+
+// Enhanced validation middleware
+function validateHolidayRequest(req, res, next) {
+    const result = checkHolidayQuery(req.query, {
+        tier: req.client.tier,
+        feedPeriod: req.feedPeriod,
+        accepts: mediaTypes => req.accepts(mediaTypes)
+    });
+
+    if (result.error) {
+        return res.status(result.status).json(result.error);
+    }
+
+    req.validatedQuery = result.query;
+    next();
+}
+
+// Validation for the /business-days endpoints: one country, optional region
+// and an optional weekend override such as "fri,sat"
+function validateBusinessDayRequest(req, res, next) {
+    const [country, region, weekend] = ['country', 'region', 'weekend'].map(name => listParam(req.query[name]));
+
+    if (!country) {
+        return res.status(400).json({
+            error: 'Missing required parameter',
+            message: 'Parameter "country" is required',
+            code: 'MISSING_COUNTRY',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const countryCode = country.toUpperCase();
+
+    if (!VALID_COUNTRIES.includes(countryCode)) {
+        return res.status(400).json({
+            error: 'Invalid country code',
+            message: `Country code "${country}" is not a valid ISO 3166-1 alpha-2 code`,
+            code: 'INVALID_COUNTRY',
+            validCountries: VALID_COUNTRIES.slice(0, 10),
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const regionCode = region ? normalizeRegion(countryCode, region) : undefined;
+
+    if (regionCode && !isKnownRegion(countryCode, regionCode)) {
+        return res.status(400).json({
+            error: 'Invalid region code',
+            message: `Region "${region}" is not a known ISO 3166-2 subdivision of ${countryCode}`,
+            code: 'INVALID_REGION',
+            validRegions: listRegions(countryCode).map(({ code }) => code),
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const weekendDays = weekend ? parseWeekend(weekend) : undefined;
+
+    if (weekendDays === null) {
+        return res.status(400).json({
+            error: 'Invalid weekend',
+            message: 'Parameter "weekend" must be a comma-separated list of weekday names such as "fri,sat", leaving at least one working day',
+            code: 'INVALID_WEEKEND',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    req.validatedQuery = {
+        country: countryCode,
+        region: regionCode,
+        weekend: weekendDays
+    };
+
+    next();
+}
+
+// Validates a YYYY-MM-DD query parameter within the supported years
+function validateDateParam(value, name) {
+    const date = value && parseISODate(value);
+
+    if (!date || !isValidYear(parseInt(date.slice(0, 4)))) {
+        return {
+            error: 'Invalid date',
+            message: `Parameter "${name}" must be a YYYY-MM-DD date between 2000 and 2030`,
+            code: 'INVALID_DATE',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        };
+    }
+
+    return null;
+}
+
+// Routes with enhanced features
+
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        environment: process.env.NODE_ENV || 'production',
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        cache: holidayCache.stats(),
+        providers: providerChain.stats(),
+        rapidapi: true
+    });
+});
+
+app.get('/metrics', requireOperatorToken(process.env.METRICS_TOKEN, { optional: true }), (req, res) => {
+    res.set('Content-Type', metrics.contentType).send(metrics.render());
+});
+
+// Per-key request counts for the current day and month. Clients without a
+// stored key (RapidAPI users, anonymous IPs) are listed separately.
+app.get('/admin/usage', requireOperatorToken(process.env.ADMIN_TOKEN), (req, res) => {
+    const now = new Date();
+    const keys = keyStore.list().map(record => {
+        const usage = quotaTracker.usageOf(record.id, now);
+        const limits = PLAN_LIMITS[record.tier];
+
+        return {
+            id: record.id,
+            name: record.name,
+            tier: record.tier,
+            createdAt: record.createdAt,
+            revokedAt: record.revokedAt || null,
+            usage: {
+                today: usage.day,
+                dailyLimit: limits.day,
+                thisMonth: usage.month,
+                monthlyLimit: limits.month,
+                total: usage.total,
+                lastRequestAt: usage.lastRequestAt
+            }
+        };
+    });
+
+    const storedIds = new Set(keys.map(key => key.id));
+    const otherClients = quotaTracker.clients()
+        .filter(id => !storedIds.has(id))
+        .map(id => {
+            const usage = quotaTracker.usageOf(id, now);
+            return { id, usage: { today: usage.day, thisMonth: usage.month, total: usage.total, lastRequestAt: usage.lastRequestAt } };
+        });
+
+    const sum = (clients, field) => clients.reduce((total, client) => total + client.usage[field], 0);
+
+    res.json({
+        generatedAt: now.toISOString(),
+        day: now.toISOString().slice(0, 10),
+        month: now.toISOString().slice(0, 7),
+        totals: {
+            keys: keys.length,
+            requestsToday: sum(keys, 'today') + sum(otherClients, 'today'),
+            requestsThisMonth: sum(keys, 'thisMonth') + sum(otherClients, 'thisMonth')
+        },
+        keys,
+        otherClients
+    });
+});
+
+app.get('/docs', (req, res) => {
+    res.json({
+        name: 'Holiday Calendar API',
+        version: '1.0.0',
+        description: 'Professional REST API for generating iCalendar (ICS) files with public holidays worldwide',
+        rapidapi: {
+            marketplace: 'https://rapidapi.com/holiday-calendar-api',
+            pricing: Object.fromEntries(TIERS.map(tier => [
+                tier,
+                `${PLAN_LIMITS[tier].minute} requests/minute, ${PLAN_LIMITS[tier].day} requests/day, ${PLAN_LIMITS[tier].month} requests/month, ranges up to ${MAX_RANGE_YEARS[tier]} years`
+            ]))
+        },
+        authentication: {
+            mode: AUTH_MODE,
+            apiKey: 'Send the key as "X-API-Key: <key>" or "Authorization: Bearer <key>"; feed URLs may use ?key=<key>',
+            rapidapi: 'Requests through RapidAPI are identified by the X-RapidAPI-Proxy-Secret header',
+            quotaHeaders: 'RateLimit-* report the per-minute window, X-Quota-Daily-* and X-Quota-Monthly-* the daily and monthly totals',
+            operator: '/admin/* requires "Authorization: Bearer <ADMIN_TOKEN>"; /metrics requires METRICS_TOKEN when one is set'
+        },
+        endpoints: {
+            'GET /holidays': {
+                description: 'Generate ICS calendar file for public holidays',
+                parameters: {
+                    country: {
+                        type: 'string',
+                        required: true,
+                        description: `ISO 3166-1 alpha-2 country code (e.g., "US", "GB", "CA"), or up to ${MAX_COUNTRIES_PER_REQUEST} comma-separated codes for a merged calendar`
+                    },
+                    year: {
+                        type: 'integer',
+                        required: false,
+                        description: 'Year for holidays (2000-2030). Required unless "years" or "from"/"to" is given'
+                    },
+                    years: {
+                        type: 'string',
+                        required: false,
+                        description: 'Inclusive year range such as "2025-2027"'
+                    },
+                    from: {
+                        type: 'string',
+                        required: false,
+                        description: 'Start date (YYYY-MM-DD) of a date range; requires "to"'
+                    },
+                    to: {
+                        type: 'string',
+                        required: false,
+                        description: 'End date (YYYY-MM-DD) of a date range; requires "from"'
+                    },
+                    region: {
+                        type: 'string',
+                        required: false,
+                        description: 'Optional ISO 3166-2 subdivision code (e.g., "US-CA" or "CA" for California). For merged calendars, a comma-separated list of full codes, at most one per country'
+                    },
+                    collapse: {
+                        type: 'boolean',
+                        required: false,
+                        description: 'For merged calendars, combine same-day holidays shared by several countries into one event'
+                    },
+                    format: {
+                        type: 'string',
+                        required: false,
+                        description: 'Output format: "ics", "json", "csv" or "xml". Defaults to content negotiation on the Accept header, then "ics"'
+                    },
+                    mode: {
+                        type: 'string',
+                        required: false,
+                        description: 'ICS event style: "allday" (default) or "timed", which emits DTSTART/DTEND in the "tz" time zone and keeps half-day holidays to their hours'
+                    },
+                    tz: {
+                        type: 'string',
+                        required: false,
+                        description: 'IANA time zone (e.g., "Europe/Berlin") for timed events and X-WR-TIMEZONE. Defaults to "UTC"'
+                    },
+                    lang: {
+                        type: 'string',
+                        required: false,
+                        description: 'BCP 47 language tag (e.g., "de", "fr-CA") for holiday names and descriptions. Falls back to the local name, then English'
+                    },
+                    observed: {
+                        type: 'string',
+                        required: false,
+                        description: 'How weekend holidays with an observed/substitute date are shown: "annotate" (default, noted on the event), "include" (adds a separate "(observed)" event) or "replace" (moves the event to the observed date)'
+                    },
+                    calendar: {
+                        type: 'string',
+                        required: false,
+                        description: 'ID of a company calendar created with POST /calendars; replaces "country" and "region"'
+                    },
+                    types: {
+                        type: 'string',
+                        required: false,
+                        description: `Comma-separated holiday types to include: ${HOLIDAY_TYPES.join(', ')}`
+                    },
+                    alarm: {
+                        type: 'string',
+                        required: false,
+                        description: 'Add VALARM reminders: up to 3 comma-separated ISO 8601 durations relative to the event start, e.g. "-P1D"'
+                    },
+                    end: {
+                        type: 'string',
+                        required: false,
+                        description: 'How all-day ICS events end: "dtend" (default, exclusive DTEND date) or "duration" (DURATION:P1D)'
+                    },
+                    native: {
+                        type: 'boolean',
+                        required: false,
+                        description: 'Add the date in the native calendar (Chinese, Islamic, Hebrew, Persian or Hindu) to the DESCRIPTION of lunar and other non-Gregorian holidays'
+                    }
+                },
+                formats: {
+                    ics: 'text/calendar - RFC 5545 VCALENDAR with one all-day VEVENT per holiday, or timed VEVENTs plus a VTIMEZONE with mode=timed',
+                    json: 'application/json - { country, year, from, to, region, count, holidays: [{ date, name, localName, description, type, observed, nativeDate, estimated, countries, uid }] }',
+                    csv: 'text/csv - header row "date,name,description,type,observed,countries,uid" followed by one row per holiday',
+                    xml: 'application/xml - <holidays> root with one <holiday uid="..."> element per holiday'
+                },
+                responses: {
+                    200: 'Holiday calendar in the requested format',
+                    400: 'Invalid parameters',
+                    406: 'No supported media type in the Accept header',
+                    429: 'Rate limit exceeded',
+                    500: 'Internal server error'
+                },
+                examples: {
+                    'US holidays for 2025': '/holidays?country=US&year=2025',
+                    'UK holidays for 2025': '/holidays?country=GB&year=2025',
+                    'Canadian holidays for 2025': '/holidays?country=CA&year=2025',
+                    'California holidays for 2025': '/holidays?country=US&year=2025&region=US-CA',
+                    'German holidays for 2025 as JSON': '/holidays?country=DE&year=2025&format=json',
+                    'US holidays for 2025-2026': '/holidays?country=US&years=2025-2026',
+                    'Rolling 24 months of UK holidays': '/holidays?country=GB&from=2025-07-01&to=2027-06-30',
+                    'Merged US, UK and German holidays': '/holidays?country=US,GB,DE&year=2025&region=US-CA,DE-BY&collapse=true',
+                    'German holidays as timed Berlin events': '/holidays?country=DE&year=2025&mode=timed&tz=Europe/Berlin',
+                    'French holidays in French': '/holidays?country=FR&year=2025&lang=fr',
+                    'US holidays on their observed dates': '/holidays?country=US&year=2026&observed=replace',
+                    'UK holidays with a reminder the day before': '/holidays?country=GB&year=2025&alarm=-P1D',
+                    'Israeli holidays with Hebrew dates': '/holidays?country=IL&year=2026&native=true'
+                }
+            },
+            'GET /feeds/:country.ics': {
+                description: 'Subscription (webcal) feed covering the previous, current and next year. Event UIDs, SEQUENCE and DTSTAMP only change when a holiday changes',
+                parameters: {
+                    country: { type: 'string', required: true, description: 'ISO 3166-1 alpha-2 country code, in the path' },
+                    region: { type: 'string', required: false, description: 'Optional ISO 3166-2 subdivision code' },
+                    lang: { type: 'string', required: false, description: 'BCP 47 language tag for holiday names' },
+                    mode: { type: 'string', required: false, description: '"allday" (default) or "timed"' },
+                    tz: { type: 'string', required: false, description: 'IANA time zone for timed events' },
+                    observed: { type: 'string', required: false, description: '"annotate" (default), "include" or "replace"' },
+                    native: { type: 'boolean', required: false, description: 'Add native calendar dates to event descriptions' }
+                },
+                examples: {
+                    'US holidays feed': '/feeds/US.ics',
+                    'Bavarian holidays in German': '/feeds/DE.ics?region=DE-BY&lang=de'
+                }
+            },
+            'GET /holidays/next': {
+                description: "A country's next holidays, counted from today in the country's time zone",
+                parameters: {
+                    country: { type: 'string', required: true, description: 'ISO 3166-1 alpha-2 country code' },
+                    region: { type: 'string', required: false, description: 'Optional ISO 3166-2 subdivision code' },
+                    count: { type: 'integer', required: false, description: `Number of holidays to return (1-${MAX_NEXT_HOLIDAYS}, default 1)` },
+                    tz: { type: 'string', required: false, description: "IANA time zone that decides what \"today\" is; defaults to the country's" },
+                    types: { type: 'string', required: false, description: 'Comma-separated holiday types to include' }
+                },
+                examples: {
+                    'Next three holidays in Germany': '/holidays/next?country=DE&count=3'
+                }
+            },
+            'GET /holidays/today': {
+                description: 'Countries with a holiday today (each on its own local date) or on a given date',
+                parameters: {
+                    countries: { type: 'string', required: false, description: `Up to ${MAX_TODAY_COUNTRIES} comma-separated country codes; defaults to every country covered by the offline rules` },
+                    date: { type: 'string', required: false, description: 'Check this date (YYYY-MM-DD) instead of today' },
+                    types: { type: 'string', required: false, description: 'Comma-separated holiday types to include' }
+                },
+                quota: `Every started block of ${BATCH_LOOKUPS_PER_UNIT} countries costs one request unit`,
+                examples: {
+                    'Who is off on Christmas Day?': '/holidays/today?date=2026-12-25'
+                }
+            },
+            'GET /holidays/long-weekends': {
+                description: 'Long weekends (three or more days off including a holiday) and bridge days (a single working day that would join two breaks)',
+                parameters: {
+                    country: { type: 'string', required: true, description: 'ISO 3166-1 alpha-2 country code' },
+                    year: { type: 'integer', required: true, description: 'Year (2000-2030)' },
+                    region: { type: 'string', required: false, description: 'Optional ISO 3166-2 subdivision code' },
+                    weekend: { type: 'string', required: false, description: 'Override the country weekend, e.g. "fri,sat"' }
+                },
+                examples: {
+                    'Bridge days in Bavaria': '/holidays/long-weekends?country=DE&year=2026&region=BY'
+                }
+            },
+            'POST /holidays/batch': {
+                description: `Answer up to ${MAX_BATCH_ITEMS} /holidays queries in one request. The body is a JSON array of objects taking the /holidays parameters (country, year, region, types, ...); each item is validated and answered separately, as JSON`,
+                responses: {
+                    200: 'Per-item results, each with its own status and either holidays or an error',
+                    400: 'Body is not an array, or the batch is too large'
+                },
+                quota: `Every started block of ${BATCH_LOOKUPS_PER_UNIT} distinct country/year/region lookups costs one request unit; overlapping items share lookups`,
+                examples: {
+                    'Payroll calendars': '[{ "country": "US", "year": 2026, "region": "CA" }, { "country": "DE", "year": 2026, "types": ["public"] }]'
+                }
+            },
+            'POST /calendars': {
+                description: 'Create a company calendar overlaid on a country or region: extra days off, removed or renamed public holidays',
+                body: {
+                    name: { type: 'string', required: true, description: 'Calendar name, used as the ICS calendar title' },
+                    country: { type: 'string', required: true, description: 'Base ISO 3166-1 alpha-2 country code' },
+                    region: { type: 'string', required: false, description: 'Base ISO 3166-2 subdivision code' },
+                    additions: { type: 'array', required: false, description: 'Days off: { name, date }, { name, from, to } for ranges or { name, month, day } every year; optional description and type (default "company")' },
+                    removals: { type: 'array', required: false, description: 'Holiday names to drop, or { name, date } for a single occurrence' },
+                    renames: { type: 'object', required: false, description: 'Map of holiday name to replacement name' }
+                },
+                responses: {
+                    201: 'The stored calendar, including its "id"',
+                    400: 'Invalid calendar definition'
+                },
+                examples: {
+                    'Render a company calendar': '/holidays?calendar=cal_0123456789abcdef&year=2025',
+                    'Subscribe to a company calendar': '/feeds/cal_0123456789abcdef.ics'
+                }
+            },
+            'GET /calendars/:id': {
+                description: 'Fetch a stored company calendar definition; DELETE removes it. Only the API key that created the calendar may do either'
+            },
+            'POST /webhooks': {
+                description: `Subscribe a URL to holiday changes for a country or region. The current and next year are checked every ${Math.round(WEBHOOK_CHECK_INTERVAL_MS / 60000)} minutes; added, removed and changed holidays are POSTed as a "holidays.changed" event`,
+                body: {
+                    url: { type: 'string', required: true, description: 'HTTPS URL receiving the events; loopback, link-local and private addresses are refused' },
+                    country: { type: 'string', required: true, description: 'ISO 3166-1 alpha-2 country code' },
+                    region: { type: 'string', required: false, description: 'Optional ISO 3166-2 subdivision code' },
+                    events: { type: 'array', required: false, description: `Changes to send: any of ${WEBHOOK_EVENTS.join(', ')} (default: all)` },
+                    description: { type: 'string', required: false, description: 'Free-form label, at most 200 characters' }
+                },
+                responses: {
+                    201: 'The subscription, including its signing "secret", which is only returned here',
+                    400: 'Invalid subscription',
+                    409: `The client already has ${MAX_WEBHOOKS_PER_CLIENT} subscriptions`
+                },
+                delivery: {
+                    headers: 'X-Holiday-Event (event type), X-Holiday-Delivery (delivery ID) and X-Holiday-Signature: t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the secret>',
+                    body: '{ id, type, subscription, createdAt, data: { country, region, year, changes: [{ change: "added" | "removed", holiday } | { change: "changed", differences, before, after }] } }',
+                    retries: 'Network errors and non-2xx responses are retried with exponential backoff'
+                }
+            },
+            'GET /webhooks': {
+                description: 'List your webhook subscriptions; GET /webhooks/:id fetches one and DELETE /webhooks/:id removes it'
+            },
+            'POST /webhooks/:id/test': {
+                description: 'Send a signed "ping" event to the subscription URL',
+                responses: {
+                    202: 'The delivery ID; the outcome is reported as "lastDelivery" on the subscription'
+                }
+            },
+            'POST /ics/parse': {
+                description: 'Parse an uploaded ICS calendar (text/calendar body, or JSON { ics }) into holiday JSON. With "country" and "year", also diff it against this API',
+                parameters: {
+                    country: { type: 'string', required: false, description: 'Country to compare against' },
+                    year: { type: 'integer', required: false, description: 'Year to compare; only uploaded events in that year are compared' },
+                    region: { type: 'string', required: false, description: 'Optional ISO 3166-2 subdivision to compare against' }
+                },
+                responses: {
+                    200: '{ calendar, count, holidays, problems, diff? } where diff lists matched, missing, extra and changed holidays',
+                    400: 'Missing or unparseable calendar'
+                }
+            },
+            'POST /ics/validate': {
+                description: 'Check an ICS calendar against RFC 5545 and report errors and warnings with line numbers',
+                responses: {
+                    200: '{ valid, errors: [{ line, message }], warnings: [{ line, message }] }'
+                }
+            },
+            'GET /business-days/is-working-day': {
+                description: 'Check whether a date is a working day (not a weekend day, public or bank holiday)',
+                parameters: {
+                    date: { type: 'string', required: true, description: 'Date to check (YYYY-MM-DD)' },
+                    country: { type: 'string', required: true, description: 'ISO 3166-1 alpha-2 country code' },
+                    region: { type: 'string', required: false, description: 'Optional ISO 3166-2 subdivision code' },
+                    weekend: { type: 'string', required: false, description: 'Override the country weekend, e.g. "fri,sat"' }
+                },
+                examples: {
+                    'Is 2025-12-26 a working day in the UK?': '/business-days/is-working-day?date=2025-12-26&country=GB'
+                }
+            },
+            'GET /business-days/add': {
+                description: 'Add (or subtract, when negative) business days to a date; the start date is not counted',
+                parameters: {
+                    date: { type: 'string', required: true, description: 'Start date (YYYY-MM-DD)' },
+                    days: { type: 'integer', required: true, description: `Business days to add (-${MAX_BUSINESS_DAYS_OFFSET} to ${MAX_BUSINESS_DAYS_OFFSET})` },
+                    country: { type: 'string', required: true, description: 'ISO 3166-1 alpha-2 country code' },
+                    region: { type: 'string', required: false, description: 'Optional ISO 3166-2 subdivision code' },
+                    weekend: { type: 'string', required: false, description: 'Override the country weekend, e.g. "fri,sat"' }
+                },
+                examples: {
+                    '10 business days after 2025-12-20 in Germany': '/business-days/add?date=2025-12-20&days=10&country=DE'
+                }
+            },
+            'GET /business-days/between': {
+                description: 'Count business days in an inclusive date range',
+                parameters: {
+                    from: { type: 'string', required: true, description: 'First date of the range (YYYY-MM-DD)' },
+                    to: { type: 'string', required: true, description: 'Last date of the range (YYYY-MM-DD)' },
+                    country: { type: 'string', required: true, description: 'ISO 3166-1 alpha-2 country code' },
+                    region: { type: 'string', required: false, description: 'Optional ISO 3166-2 subdivision code' },
+                    weekend: { type: 'string', required: false, description: 'Override the country weekend, e.g. "fri,sat"' }
+                },
+                examples: {
+                    'Business days in Saudi Arabia in Q1 2025': '/business-days/between?from=2025-01-01&to=2025-03-31&country=SA'
+                }
+            },
+            'GET /countries/:code/regions': {
+                description: 'List the ISO 3166-2 subdivisions available for a country',
+                responses: {
+                    200: 'JSON list of subdivision codes and names',
+                    400: 'Invalid country code'
+                },
+                examples: {
+                    'German states': '/countries/DE/regions'
+                }
+            },
+            'GET /metrics': {
+                description: 'Prometheus metrics: requests and latency per route, country and tier, upstream provider outcomes and latency, fallback-data hit rate and NO_HOLIDAYS_FOUND counts per country',
+                responses: {
+                    200: 'Prometheus text exposition format',
+                    401: 'METRICS_TOKEN is set and the bearer token does not match'
+                }
+            },
+            'GET /admin/usage': {
+                description: 'Requests today, this month and in total for each API key, plus RapidAPI and anonymous clients',
+                responses: {
+                    200: 'JSON usage summary',
+                    401: 'Missing or invalid admin token',
+                    503: 'ADMIN_TOKEN is not configured'
+                }
+            },
+            'POST /admin/webhooks/run': {
+                description: 'Run the holiday change detection job now instead of waiting for the next scheduled run',
+                responses: {
+                    200: '{ scopes, checked, changed, deliveries, failed }',
+                    401: 'Missing or invalid admin token',
+                    503: 'ADMIN_TOKEN is not configured'
+                }
+            }
+        },
+        features: [
+            'RFC 5545 compliant ICS generation',
+            'JSON, CSV and XML output with content negotiation',
+            'Merged multi-country calendars',
+            'Webcal subscription feeds with stable event revisions',
+            'Signed webhooks for added, removed and changed holidays',
+            'Business-day calculator with configurable weekends',
+            '100+ countries supported',
+            'API key authentication with per-key minute, daily and monthly quotas',
+            'Prometheus metrics and per-key usage reports',
+            'Multiple data sources',
+            'Offline rules engine covering any year',
+            'Chinese, Islamic, Hebrew, Persian and Hindu calendar holidays, flagged when estimated',
+            'Comprehensive error handling',
+            'Production-ready logging'
+        ]
+    });
+});
+
+// Previous, current and next calendar year, covered by subscription feeds
+function feedPeriod(now = new Date()) {
+    const current = now.getUTCFullYear();
+    const years = [current - 1, current, current + 1];
+
+    return {
+        year: `${years[0]}-${years[2]}`,
+        years,
+        from: `${years[0]}-01-01`,
+        to: `${years[2]}-12-31`
+    };
+}
+
+// /feeds/US.ics (or /feeds/US) behaves like /holidays?country=US&format=ics
+// over a rolling three-year window; other /holidays parameters still apply.
+// Company calendars are subscribed to by ID, e.g. /feeds/cal_0123456789abcdef.ics
+function prepareFeedRequest(req, res, next) {
+    const match = /^(?:([A-Za-z]{2})|(cal_[0-9a-f]{16}))(?:\.ics)?$/.exec(req.params.feed);
+
+    if (!match) {
+        return res.status(400).json({
+            error: 'Invalid feed',
+            message: `Feed "${req.params.feed}" should be a country code or calendar ID, optionally followed by ".ics" (e.g. "US.ics")`,
+            code: 'INVALID_FEED',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (match[2]) {
+        req.query.calendar = match[2];
+    } else {
+        req.query.country = match[1];
+    }
+    req.query.format = 'ics';
+    req.feedPeriod = feedPeriod();
+    next();
+}
+
+// Events the change detection job saw disappear from the given scopes and
+// years, flagged as cancelled; holidays that have since come back are skipped
+function cancelledHolidays(scopes, years, from, to, current) {
+    const currentUIDs = new Set(current.map(holiday => holidayUID(holiday)));
+
+    return scopes
+        .flatMap(({ country, region }) => years.flatMap(year => {
+            const snapshot = holidaySnapshots.get(snapshotKey(country, year, region));
+            return (snapshot ? snapshot.cancelled : []).map(holiday => ({ ...holiday, country, cancelled: true }));
+        }))
+        .filter(holiday => holiday.date >= from && holiday.date <= to && !currentUIDs.has(holidayUID(holiday)));
+}
+
+// Holidays for a validated query: collected, overlaid, filtered by type,
+// revision-tracked, localized and laid out by observed mode. Feeds also carry
+// cancelled events, so subscribed clients drop holidays that were withdrawn.
+async function buildHolidayList(query, fetchEntry) {
+    const { country, scopes, years, from, to, collapse, lang, observed, overlay, types, feed } = query;
+
+    const collected = await collectHolidays(scopes, years, from, to, collapse, fetchEntry);
+    const overlaid = overlay ? applyOverlay(collected.holidays, overlay, years, from, to) : collected.holidays;
+    const base = feed
+        ? [...overlaid, ...cancelledHolidays(scopes, years, from, to, overlaid)].sort((a, b) => a.date.localeCompare(b.date))
+        : overlaid;
+    const selected = types ? base.filter(holiday => types.includes(holiday.type)) : base;
+
+    return {
+        holidays: applyObservedMode(localizeHolidays(withRevisions(selected, country), lang), observed),
+        lastModified: collected.lastModified
+    };
+}
+
+async function sendHolidayCalendar(req, res) {
+    const { country, scopes, year, years, from, to, region, format, tz, mode, lang, feed, overlay, alarms, end, native } = req.validatedQuery;
+
+    try {
+        logger.info(`Generating holidays for ${country}-${year}${region ? `-${region}` : ''}`, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            client: req.client.id,
+            subscription: req.client.tier
+        });
+
+        const { holidays, lastModified } = await buildHolidayList(req.validatedQuery);
+
+        if (!holidays.length) {
+            noHolidaysFound.inc({ country: countryLabel(country) });
+            return res.status(404).json({
+                error: 'No holidays found',
+                message: `No holiday data available for ${country} in ${year}`,
+                code: 'NO_HOLIDAYS_FOUND',
+                documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+            });
+        }
+
+        const outputFormat = OUTPUT_FORMATS[format];
+        const title = overlay ? overlay.name : undefined;
+        const body = outputFormat.generate(holidays, { country, year, region, from, to, scopes, lastModified, tz, mode, lang, feed, title, alarms, end, native });
+
+        const period = years.length === 1 && from.endsWith('-01-01') && to.endsWith('-12-31')
+            ? year
+            : `${from}_${to}`;
+        const scopeLabel = overlay ? overlay.id : scopes.map(scope => scope.region || scope.country).join('-');
+        const filename = feed ? `holidays-${scopeLabel}.ics` : `holidays-${scopeLabel}-${period}.${format}`;
+
+        res.set({
+            'Content-Type': `${outputFormat.mediaType}; charset=utf-8`,
+            'Content-Disposition': `${outputFormat.attachment && !feed ? 'attachment' : 'inline'}; filename="${filename}"`,
+            'Cache-Control': `public, max-age=${CALENDAR_TTL_SECONDS}`,
+            'Vary': 'Accept',
+            'ETag': `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+            'Last-Modified': lastModified.toUTCString(),
+            'X-Holidays-Count': holidays.length.toString(),
+            'X-Country': country,
+            'X-Year': year.toString(),
+            'X-Period-Start': from,
+            'X-Period-End': to,
+            'X-API-Version': '1.0.0',
+            'X-RapidAPI-Service': 'Holiday Calendar API'
+        });
+
+        if (region) {
+            res.set('X-Region', region);
+        }
+
+        if (lang) {
+            res.set('Content-Language', lang);
+        }
+
+        // Conditional requests (If-None-Match / If-Modified-Since)
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        logger.info(`Successfully generated ${holidays.length} holidays for ${country}-${year}`, {
+            country,
+            year,
+            region,
+            format,
+            holidayCount: holidays.length
+        });
+
+        res.send(body);
+
+    } catch (error) {
+        logger.error('Error generating holidays:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while generating the holiday calendar',
+            code: 'INTERNAL_ERROR',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
+            support: 'https://rapidapi.com/holiday-calendar-api/support'
+        });
+    }
+}
+
+app.get('/holidays', authenticate, enforceQuota, validateHolidayRequest, sendHolidayCalendar);
+
+app.get('/feeds/:feed', authenticate, enforceQuota, prepareFeedRequest, validateHolidayRequest, sendHolidayCalendar);
+
+// Batch lookups: POST /holidays/batch takes an array of /holidays queries
+// ({ country, year, region, types, ... }) and answers each one separately
+const MAX_BATCH_ITEMS = 100;
+
+// Each started block of this many distinct country/year/region lookups
+// costs one quota unit
+const BATCH_LOOKUPS_PER_UNIT = 10;
+
+// JSON values become the strings a query string would carry
+function batchItemQuery(item) {
+    return Object.fromEntries(Object.entries(item)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => [name, Array.isArray(value) ? value.join(',') : String(value)]));
+}
+
+// Validates every item with the /holidays rules and prices the batch by the
+// distinct upstream lookups it needs, before the quota is charged
+function prepareBatchRequest(req, res, next) {
+    const items = Array.isArray(req.body) ? req.body : req.body?.queries;
+
+    if (!Array.isArray(items) || !items.length) {
+        return res.status(400).json({
+            error: 'Invalid batch',
+            message: 'Request body must be a non-empty JSON array of queries, e.g. [{ "country": "US", "year": 2026 }]',
+            code: 'INVALID_BATCH',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (items.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({
+            error: 'Batch too large',
+            message: `A batch may contain at most ${MAX_BATCH_ITEMS} queries`,
+            code: 'BATCH_TOO_LARGE',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const checked = items.map(item => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return queryError(400, {
+                error: 'Invalid query',
+                message: 'Each batch item must be an object such as { "country": "US", "year": 2026 }',
+                code: 'INVALID_BATCH_ITEM',
+                documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+            });
+        }
+
+        return checkHolidayQuery({ ...batchItemQuery(item), format: 'json' }, { tier: req.client.tier });
+    });
+
+    const lookups = new Set(checked
+        .filter(result => result.query)
+        .flatMap(({ query }) => query.scopes.flatMap(({ country, region }) =>
+            query.years.map(year => `${country}:${year}:${region || '*'}`))));
+
+    const cost = Math.max(1, Math.ceil(lookups.size / BATCH_LOOKUPS_PER_UNIT));
+    const maxCost = PLAN_LIMITS[req.client.tier].minute;
+
+    if (cost > maxCost) {
+        return res.status(400).json({
+            error: 'Batch too large',
+            message: `This batch needs ${lookups.size} lookups (${cost} units); your ${req.client.tier} plan allows ${maxCost} units per minute`,
+            code: 'BATCH_TOO_LARGE',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    req.batch = { checked, lookups: lookups.size };
+    req.quotaCost = cost;
+    next();
+}
+
+app.post('/holidays/batch', authenticate, prepareBatchRequest, enforceQuota, async (req, res) => {
+    const { checked, lookups } = req.batch;
+
+    // One fetch per country/year/region, however many items ask for it
+    const shared = new Map();
+    const fetchShared = (country, year, region) => {
+        const key = `${country}:${year}:${region || '*'}`;
+        if (!shared.has(key)) {
+            shared.set(key, fetchHolidayEntry(country, year, region));
+        }
+        return shared.get(key);
+    };
+
+    try {
+        const results = await Promise.all(checked.map(async (result, index) => {
+            if (result.error) {
+                return { index, status: result.status, error: result.error };
+            }
+
+            const { query } = result;
+            const { holidays } = await buildHolidayList(query, fetchShared);
+            const summary = {
+                country: query.country,
+                year: query.year,
+                region: query.region || null,
+                types: query.types || null
+            };
+
+            if (!holidays.length) {
+                noHolidaysFound.inc({ country: countryLabel(query.country) });
+                return {
+                    index,
+                    status: 404,
+                    query: summary,
+                    error: {
+                        error: 'No holidays found',
+                        message: `No holiday data available for ${query.country} in ${query.year}`,
+                        code: 'NO_HOLIDAYS_FOUND'
+                    }
+                };
+            }
+
+            return {
+                index,
+                status: 200,
+                query: summary,
+                count: holidays.length,
+                holidays: holidays.map(holiday => toHolidayRecord(holiday, query.country))
+            };
+        }));
+
+        const succeeded = results.filter(result => result.status === 200).length;
+
+        logger.info(`Answered batch of ${results.length} queries with ${lookups} distinct lookups`, {
+            client: req.client.id,
+            cost: req.quotaCost
+        });
+
+        res.set('X-Quota-Cost', req.quotaCost.toString());
+        res.json({
+            count: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            lookups,
+            cost: req.quotaCost,
+            results
+        });
+    } catch (error) {
+        logger.error('Error answering holiday batch:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while answering the batch',
+            code: 'INTERNAL_ERROR',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
+            support: 'https://rapidapi.com/holiday-calendar-api/support'
+        });
+    }
+});
+
+// Company calendar overlays
+app.post('/calendars', authenticate, enforceQuota, async (req, res) => {
+    const { definition, errors } = parseCalendarDefinition(req.body);
+
+    if (errors) {
+        return res.status(400).json({
+            error: 'Invalid calendar',
+            message: errors[0],
+            code: 'INVALID_CALENDAR',
+            details: errors,
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (!VALID_COUNTRIES.includes(definition.country)) {
+        return res.status(400).json({
+            error: 'Invalid country code',
+            message: `Country code "${definition.country}" is not a valid ISO 3166-1 alpha-2 code`,
+            code: 'INVALID_COUNTRY',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (definition.region) {
+        definition.region = normalizeRegion(definition.country, definition.region);
+
+        if (!isKnownRegion(definition.country, definition.region)) {
+            return res.status(400).json({
+                error: 'Invalid region code',
+                message: `Region "${definition.region}" is not a known ISO 3166-2 subdivision of ${definition.country}`,
+                code: 'INVALID_REGION',
+                validRegions: listRegions(definition.country).map(({ code }) => code),
+                documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+            });
+        }
+    }
+
+    try {
+        const calendar = await calendarStore.create(definition, req.client.id);
+        logger.info(`Created calendar ${calendar.id} on ${calendar.region || calendar.country}`, { ip: req.ip, client: req.client.id });
+
+        res.status(201)
+            .location(`/calendars/${calendar.id}`)
+            .json({
+                ...calendarResponse(calendar),
+                links: {
+                    holidays: `/holidays?calendar=${calendar.id}&year=${new Date().getUTCFullYear()}`,
+                    feed: `/feeds/${calendar.id}.ics`
+                }
+            });
+    } catch (error) {
+        logger.error('Error creating calendar:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while saving the calendar',
+            code: 'INTERNAL_ERROR',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
+            support: 'https://rapidapi.com/holiday-calendar-api/support'
+        });
+    }
+});
+
+function calendarResponse(calendar) {
+    const { owner, ...visible } = calendar;
+    return visible;
+}
+
+// Calendar definitions are private to the client that created them; others
+// get a 404. Rendering by ID (/holidays?calendar=, /feeds/cal_...) stays open.
+function findOwnCalendar(req, res) {
+    const calendar = calendarStore.get(req.params.id);
+
+    if (!calendar || calendar.owner !== req.client.id) {
+        res.status(404).json({
+            error: 'Calendar not found',
+            message: `No calendar with ID "${req.params.id}"`,
+            code: 'CALENDAR_NOT_FOUND',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+        return null;
+    }
+
+    return calendar;
+}
+
+app.get('/calendars/:id', authenticate, enforceQuota, (req, res) => {
+    const calendar = findOwnCalendar(req, res);
+    if (calendar) {
+        res.json(calendarResponse(calendar));
+    }
+});
+
+app.delete('/calendars/:id', authenticate, enforceQuota, asyncRoute(async (req, res) => {
+    const calendar = findOwnCalendar(req, res);
+    if (calendar) {
+        await calendarStore.remove(calendar.id);
+        res.status(204).end();
+    }
+}));
+
+// Holiday change detection: every subscribed country/region is re-fetched
+// for the current and next year and compared with the previous run's
+// snapshot. Subscribers get the differences; SEQUENCE is bumped for changed
+// events and withdrawn ones are kept for feeds to publish as cancelled.
+const WEBHOOK_CHECK_INTERVAL_MS = parseInt(process.env.WEBHOOK_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+// Most webhook subscriptions one API key (or client) may hold
+const MAX_WEBHOOKS_PER_CLIENT = 25;
+
+function snapshotKey(country, year, region) {
+    return `${country}:${year}:${region || '*'}`;
+}
+
+// Webhook change entries between two holiday lists of one country
+function describeChanges(before, after, country) {
+    const { missing, extra, changed } = diffHolidays(before, after);
+
+    return [
+        ...extra.map(holiday => ({ change: 'added', holiday: toHolidayRecord(holiday, country) })),
+        ...missing.map(holiday => ({ change: 'removed', holiday: toHolidayRecord(holiday, country) })),
+        ...changed.map(pair => ({
+            change: 'changed',
+            differences: pair.differences,
+            before: toHolidayRecord(pair.expected, country),
+            after: toHolidayRecord(pair.actual, country)
+        }))
+    ];
+}
+
+// Re-fetches one country/region/year, bypassing the cache's freshness, stores
+// it as the new snapshot and returns the changes since the previous one (none
+// for a first snapshot). The refreshed entry is also what the API serves next.
+async function refreshSnapshot(country, year, region, now = new Date()) {
+    const key = snapshotKey(country, year, region);
+    const entry = await fetchHolidayEntry(country, year, region, { refresh: true });
+    const source = entry.negative ? 'fallback' : 'upstream';
+    const holidays = entry.value;
+    const previous = holidaySnapshots.get(key);
+
+    // Upstream and fallback data differ in coverage and naming, so switching
+    // between them starts a new baseline instead of reporting changes
+    const comparable = Boolean(previous) && previous.source === source;
+    if (previous && !comparable) {
+        logger.info(`Holiday snapshot ${key} re-baselined on ${source} data`);
+    }
+
+    // Events whose UID disappeared, including the old version of a holiday
+    // that moved or was renamed
+    const currentUIDs = new Set(holidays.map(holiday => holidayUID(holiday, country)));
+    const withdrawn = comparable
+        ? previous.holidays.filter(holiday => !currentUIDs.has(holidayUID(holiday, country)))
+        : [];
+    const cancelled = [...(previous ? previous.cancelled : []), ...withdrawn.map(holiday => ({ ...holiday, cancelledAt: now.toISOString() }))]
+        .filter(holiday => !currentUIDs.has(holidayUID(holiday, country)));
+
+    const changes = comparable ? describeChanges(previous.holidays, holidays, country) : [];
+
+    // Bump revisions now rather than on the next feed request
+    withRevisions(holidays, country);
+    withRevisions(cancelled.map(holiday => ({ ...holiday, cancelled: true })), country);
+
+    holidaySnapshots.set(key, {
+        source,
+        holidays,
+        cancelled,
+        checkedAt: now.toISOString(),
+        changedAt: comparable && !changes.length ? previous.changedAt : now.toISOString()
+    });
+
+    return changes;
+}
+
+async function runChangeDetection(now) {
+    const subscriptions = webhookStore.list();
+    const scopes = new Map(subscriptions.map(({ country, region }) => [`${country}:${region || '*'}`, { country, region }]));
+    const years = [now.getUTCFullYear(), now.getUTCFullYear() + 1];
+    const summary = { scopes: scopes.size, checked: 0, changed: 0, deliveries: 0, failed: 0 };
+
+    for (const { country, region } of scopes.values()) {
+        for (const year of years) {
+            let changes;
+            try {
+                changes = await refreshSnapshot(country, year, region, now);
+                summary.checked++;
+            } catch (error) {
+                summary.failed++;
+                logger.error(`Holiday change check failed for ${country}-${year}${region ? `-${region}` : ''}: ${error.message}`);
+                continue;
+            }
+
+            if (!changes.length) {
+                continue;
+            }
+
+            summary.changed++;
+            logger.info(`Detected ${changes.length} holiday changes for ${country}-${year}${region ? `-${region}` : ''}`);
+
+            subscriptions
+                .filter(subscription => subscription.country === country && subscription.region === region)
+                .forEach(subscription => {
+                    const selected = changes.filter(change => subscription.events.includes(change.change));
+                    if (selected.length) {
+                        webhookDispatcher.deliver(subscription, 'holidays.changed', { country, region: region || null, year, changes: selected });
+                        summary.deliveries++;
+                    }
+                });
+        }
+    }
+
+    return summary;
+}
+
+let changeDetectionRun = null;
+
+// One pass of the change detection job; overlapping calls share the pass
+function detectHolidayChanges(now = new Date()) {
+    if (!changeDetectionRun) {
+        changeDetectionRun = runChangeDetection(now).finally(() => {
+            changeDetectionRun = null;
+        });
+    }
+    return changeDetectionRun;
+}
+
+// Snapshots a newly subscribed scope straight away, so changes made before
+// the next scheduled run are reported rather than taken as the baseline
+function baselineSnapshots(country, region, now = new Date()) {
+    [now.getUTCFullYear(), now.getUTCFullYear() + 1]
+        .filter(year => !holidaySnapshots.get(snapshotKey(country, year, region)))
+        .forEach(year => refreshSnapshot(country, year, region, now)
+            .catch(error => logger.warn(`Holiday snapshot for ${country}-${year} failed: ${error.message}`)));
+}
+
+// The secret is only shown when the subscription is created
+function webhookResponse(subscription) {
+    const { owner, secret, ...visible } = subscription;
+    return visible;
+}
+
+// Subscriptions are private to the client that created them; others get a 404
+function findOwnWebhook(req, res) {
+    const subscription = webhookStore.get(req.params.id);
+
+    if (!subscription || subscription.owner !== req.client.id) {
+        res.status(404).json({
+            error: 'Webhook not found',
+            message: `No webhook with ID "${req.params.id}"`,
+            code: 'WEBHOOK_NOT_FOUND',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+        return null;
+    }
+
+    return subscription;
+}
+
+app.post('/webhooks', authenticate, enforceQuota, async (req, res) => {
+    const { definition, errors } = parseWebhookDefinition(req.body, WEBHOOK_URL_POLICY);
+
+    if (errors) {
+        return res.status(400).json({
+            error: 'Invalid webhook',
+            message: errors[0],
+            code: 'INVALID_WEBHOOK',
+            details: errors,
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (!VALID_COUNTRIES.includes(definition.country)) {
+        return res.status(400).json({
+            error: 'Invalid country code',
+            message: `Country code "${definition.country}" is not a valid ISO 3166-1 alpha-2 code`,
+            code: 'INVALID_COUNTRY',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (definition.region) {
+        definition.region = normalizeRegion(definition.country, definition.region);
+
+        if (!isKnownRegion(definition.country, definition.region)) {
+            return res.status(400).json({
+                error: 'Invalid region code',
+                message: `Region "${definition.region}" is not a known ISO 3166-2 subdivision of ${definition.country}`,
+                code: 'INVALID_REGION',
+                validRegions: listRegions(definition.country).map(({ code }) => code),
+                documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+            });
+        }
+    }
+
+    if (webhookStore.list(req.client.id).length >= MAX_WEBHOOKS_PER_CLIENT) {
+        return res.status(409).json({
+            error: 'Too many webhooks',
+            message: `At most ${MAX_WEBHOOKS_PER_CLIENT} webhook subscriptions per client; delete one first`,
+            code: 'TOO_MANY_WEBHOOKS',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    try {
+        const subscription = await webhookStore.create(definition, req.client.id);
+        logger.info(`Created webhook ${subscription.id} on ${subscription.region || subscription.country}`, { client: req.client.id });
+        baselineSnapshots(subscription.country, subscription.region);
+
+        const { owner, ...created } = subscription;
+        res.status(201)
+            .location(`/webhooks/${subscription.id}`)
+            .json(created);
+    } catch (error) {
+        logger.error('Error creating webhook:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while saving the webhook',
+            code: 'INTERNAL_ERROR',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
+            support: 'https://rapidapi.com/holiday-calendar-api/support'
+        });
+    }
+});
+
+app.get('/webhooks', authenticate, enforceQuota, (req, res) => {
+    const subscriptions = webhookStore.list(req.client.id).map(webhookResponse);
+    res.json({ count: subscriptions.length, webhooks: subscriptions });
+});
+
+app.get('/webhooks/:id', authenticate, enforceQuota, (req, res) => {
+    const subscription = findOwnWebhook(req, res);
+    if (subscription) {
+        res.json(webhookResponse(subscription));
+    }
+});
+
+app.delete('/webhooks/:id', authenticate, enforceQuota, asyncRoute(async (req, res) => {
+    const subscription = findOwnWebhook(req, res);
+    if (subscription) {
+        await webhookStore.remove(subscription.id);
+        res.status(204).end();
+    }
+}));
+
+// Sends a signed ping so receivers can check their signature verification
+app.post('/webhooks/:id/test', authenticate, enforceQuota, (req, res) => {
+    const subscription = findOwnWebhook(req, res);
+    if (subscription) {
+        const delivery = webhookDispatcher.deliver(subscription, 'ping', {
+            message: 'Test event from Holiday Calendar API',
+            country: subscription.country,
+            region: subscription.region || null
+        });
+        res.status(202).json(delivery);
+    }
+});
+
+app.post('/admin/webhooks/run', requireOperatorToken(process.env.ADMIN_TOKEN), async (req, res) => {
+    try {
+        res.json(await detectHolidayChanges());
+    } catch (error) {
+        logger.error('Error running holiday change detection:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while checking for holiday changes',
+            code: 'INTERNAL_ERROR',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
+            support: 'https://rapidapi.com/holiday-calendar-api/support'
+        });
+    }
+});
+
+// ICS import: bodies are sent as text/calendar, or as JSON { "ics": "..." }
+const icsTextBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' });
+
+function requireICSBody(req, res, next) {
+    const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+
+    if (typeof ics !== 'string' || !ics.trim()) {
+        return res.status(400).json({
+            error: 'Missing calendar',
+            message: 'Send the calendar as a text/calendar body, or as JSON { "ics": "..." }',
+            code: 'MISSING_ICS',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    req.icsText = ics;
+    next();
+}
+
+// Optional diff target for /ics/parse: ?country=US&year=2025[&region=US-CA]
+function resolveDiffTarget(query) {
+    const [country, year, region] = [query.country, query.year, query.region].map(listParam);
+    const documentation = 'https://rapidapi.com/holiday-calendar-api/docs';
+
+    if (!country && !year) {
+        return {};
+    }
+
+    const countryCode = country.toUpperCase();
+    const yearInt = /^\d+$/.test(year) ? parseInt(year) : NaN;
 
-// Enhanced ICS generation functions
-function generateUID(holiday, country, year) {
-    const dateStr = holiday.date.replace(/-/g, '');
-    const nameHash = holiday.name.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
-    return `${dateStr}-${nameHash}-${country}-${year}@holiday-calendar-api.com`;
-}
+    if (!VALID_COUNTRIES.includes(countryCode) || !isValidYear(yearInt)) {
+        return {
+            error: {
+                error: 'Invalid diff target',
+                message: 'Comparing requires a valid "country" and a "year" between 2000 and 2030',
+                code: 'INVALID_DIFF_TARGET',
+                documentation
+            }
+        };
+    }
 
-function formatDate(dateStr) {
-    return dateStr.replace(/-/g, '');
-}
+    const regionCode = region ? normalizeRegion(countryCode, region) : undefined;
+    if (regionCode && !isKnownRegion(countryCode, regionCode)) {
+        return {
+            error: {
+                error: 'Invalid region code',
+                message: `Region "${region}" is not a known ISO 3166-2 subdivision of ${countryCode}`,
+                code: 'INVALID_REGION',
+                documentation
+            }
+        };
+    }
 
-function formatDateTimeUTC(date) {
-    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    return { target: { country: countryCode, year: yearInt, region: regionCode } };
 }
 
-function escapeText(text) {
-    return text
-        .replace(/\\/g, '\\\\')
-        .replace(/;/g, '\\;')
-        .replace(/,/g, '\\,')
-        .replace(/\n/g, '\\n')
-        .replace(/\r/g, '');
-}
+app.post('/ics/parse', authenticate, enforceQuota, icsTextBody, requireICSBody, asyncRoute(async (req, res) => {
+    const { target, error } = resolveDiffTarget(req.query);
 
-function generateICS(holidays, options) {
-    const { country, year, region } = options;
+    if (error) {
+        return res.status(400).json(error);
+    }
 
-    const calendarName = region
-        ? `${country}-${region} Public Holidays ${year}`
-        : `${country} Public Holidays ${year}`;
+    const { calendar, holidays, problems } = parseICS(req.icsText);
 
-    const prodId = `-//Holiday Calendar API//Holiday Calendar ${year}//EN`;
-    const now = new Date();
-    const timestamp = formatDateTimeUTC(now);
-
-    let icsContent = [
-        'BEGIN:VCALENDAR',
-        'VERSION:2.0',
-        `PRODID:${prodId}`,
-        'CALSCALE:GREGORIAN',
-        'METHOD:PUBLISH',
-        `X-WR-CALNAME:${calendarName}`,
-        'X-WR-CALDESC:Public holidays calendar generated by Holiday Calendar API',
-        'X-WR-TIMEZONE:UTC',
-        'X-PUBLISHED-TTL:PT1H',
-        'X-ORIGINAL-URL:https://rapidapi.com/holiday-calendar-api'
-    ];
+    if (!calendar) {
+        return res.status(400).json({
+            error: 'Invalid calendar',
+            message: 'The body does not contain a VCALENDAR',
+            code: 'INVALID_ICS',
+            problems,
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
 
-    holidays.forEach(holiday => {
-        const uid = generateUID(holiday, country, year);
-        const dtstart = formatDate(holiday.date);
-
-        icsContent.push(
-            'BEGIN:VEVENT',
-            `UID:${uid}`,
-            `DTSTAMP:${timestamp}`,
-            `DTSTART;VALUE=DATE:${dtstart}`,
-            `SUMMARY:${escapeText(holiday.name)}`,
-            'STATUS:CONFIRMED',
-            'TRANSP:TRANSPARENT',
-            'CLASS:PUBLIC',
-            'PRIORITY:5'
-        );
-
-        if (holiday.description) {
-            icsContent.push(`DESCRIPTION:${escapeText(holiday.description)}`);
-        }
+    const response = {
+        calendar,
+        count: holidays.length,
+        holidays,
+        problems
+    };
 
-        const category = holiday.type.toUpperCase();
-        icsContent.push(`CATEGORIES:${category},HOLIDAY`);
+    if (target) {
+        try {
+            const expected = await fetchHolidays(target.country, target.year, target.region);
+            const inYear = holiday => holiday.date.startsWith(`${target.year}-`);
+            const uploaded = holidays.filter(inYear);
+            const { matched, missing, extra, changed } = diffHolidays(expected.filter(inYear), uploaded);
 
-        if (holiday.observed && holiday.observed !== holiday.date) {
-            icsContent.push(`X-OBSERVED-DATE:${formatDate(holiday.observed)}`);
+            response.diff = {
+                ...target,
+                region: target.region || null,
+                matched,
+                missing: missing.map(({ date, name, type }) => ({ date, name, type })),
+                extra: extra.map(({ date, name, uid }) => ({ date, name, uid })),
+                changed: changed.map(pair => ({
+                    differences: pair.differences,
+                    expected: { date: pair.expected.date, name: pair.expected.name },
+                    actual: { date: pair.actual.date, name: pair.actual.name, uid: pair.actual.uid }
+                }))
+            };
+        } catch (fetchError) {
+            logger.error('Error comparing uploaded calendar:', fetchError);
+            return res.status(500).json({
+                error: 'Internal server error',
+                message: 'An error occurred while loading holidays to compare against',
+                code: 'INTERNAL_ERROR',
+                documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
+                support: 'https://rapidapi.com/holiday-calendar-api/support'
+            });
         }
+    }
+
+    res.json(response);
+}));
+
+app.post('/ics/validate', authenticate, enforceQuota, icsTextBody, requireICSBody, (req, res) => {
+    res.json(validateICS(req.icsText));
+});
 
-        icsContent.push('END:VEVENT');
+// Business-day calculator endpoints
+function businessCalendarFor({ country, region, weekend }) {
+    return createBusinessCalendar({
+        country,
+        weekend,
+        loadHolidays: year => fetchHolidays(country, year, region)
     });
+}
 
-    icsContent.push('END:VCALENDAR');
+function describeBusinessDay(day) {
+    return {
+        date: day.date,
+        weekend: day.weekend,
+        holidays: day.holidays.map(({ date, name, type, observed }) => ({ date, name, type, observed: observed || date }))
+    };
+}
 
-    return icsContent.join('\r\n');
+function businessDayContext({ country, region, weekend }, year) {
+    return {
+        country,
+        region: region || null,
+        weekendDays: (weekend || weekendFor(country, year)).map(weekdayName)
+    };
 }
 
-// Enhanced holiday fetching with multiple sources
-async function fetchHolidays(country, year, region) {
+function sendBusinessDayError(res, error) {
+    logger.error('Error calculating business days:', error);
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while calculating business days',
+        code: 'INTERNAL_ERROR',
+        documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
+        support: 'https://rapidapi.com/holiday-calendar-api/support'
+    });
+}
+
+app.get('/business-days/is-working-day', authenticate, enforceQuota, validateBusinessDayRequest, async (req, res) => {
+    const { date } = req.query;
+    const dateError = validateDateParam(date, 'date');
+
+    if (dateError) {
+        return res.status(400).json(dateError);
+    }
+
     try {
-        // Try multiple external APIs for comprehensive data
-        const apis = [
-            `https://date.nager.at/api/v3/PublicHolidays/${year}/${country}`,
-            `https://holidayapi.com/v1/holidays?country=${country}&year=${year}`,
-            `https://calendarific.com/api/v2/holidays?country=${country}&year=${year}`
-        ];
-
-        for (const apiUrl of apis) {
-            try {
-                const response = await axios.get(apiUrl, { timeout: 3000 });
-
-                if (response.data && Array.isArray(response.data)) {
-                    return response.data.map(holiday => ({
-                        date: holiday.date,
-                        name: holiday.name,
-                        description: holiday.localName !== holiday.name ? holiday.localName : undefined,
-                        type: holiday.types?.includes('Public') ? 'public' : 'bank'
-                    }));
-                }
-            } catch (error) {
-                logger.debug(`API ${apiUrl} failed: ${error.message}`);
-                continue;
-            }
-        }
+        const day = await businessCalendarFor(req.validatedQuery).isWorkingDay(date);
+
+        res.json({
+            ...describeBusinessDay(day),
+            workingDay: day.workingDay,
+            ...businessDayContext(req.validatedQuery, parseInt(date.slice(0, 4)))
+        });
     } catch (error) {
-        logger.warn(`All external APIs failed for ${country}-${year}: ${error.message}`);
+        sendBusinessDayError(res, error);
     }
+});
 
-    // Fallback to enhanced sample data
-    const key = `${country}-${year}`;
-    return enhancedHolidays[key] || [];
-}
+app.get('/business-days/add', authenticate, enforceQuota, validateBusinessDayRequest, async (req, res) => {
+    const { date, days } = req.query;
+    const dateError = validateDateParam(date, 'date');
 
-// Enhanced validation middleware
-function validateHolidayRequest(req, res, next) {
-    const { country, year, region } = req.query;
+    if (dateError) {
+        return res.status(400).json(dateError);
+    }
 
-    if (!country) {
+    const dayCount = Number(days);
+
+    if (!Number.isInteger(dayCount) || Math.abs(dayCount) > MAX_BUSINESS_DAYS_OFFSET) {
         return res.status(400).json({
-            error: 'Missing required parameter',
-            message: 'Parameter "country" is required',
-            code: 'MISSING_COUNTRY',
+            error: 'Invalid days',
+            message: `Parameter "days" must be an integer between -${MAX_BUSINESS_DAYS_OFFSET} and ${MAX_BUSINESS_DAYS_OFFSET}`,
+            code: 'INVALID_DAYS',
             documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
         });
     }
 
-    if (!VALID_COUNTRIES.includes(country.toUpperCase())) {
-        return res.status(400).json({
-            error: 'Invalid country code',
-            message: `Country code "${country}" is not a valid ISO 3166-1 alpha-2 code`,
-            code: 'INVALID_COUNTRY',
-            validCountries: VALID_COUNTRIES.slice(0, 10),
-            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+    try {
+        const result = await businessCalendarFor(req.validatedQuery).addBusinessDays(date, dayCount);
+
+        res.json({
+            date,
+            days: dayCount,
+            result: result.date,
+            skipped: result.skipped.map(describeBusinessDay),
+            ...businessDayContext(req.validatedQuery, parseInt(date.slice(0, 4)))
         });
+    } catch (error) {
+        sendBusinessDayError(res, error);
     }
+});
 
-    if (!year) {
-        return res.status(400).json({
-            error: 'Missing required parameter',
-            message: 'Parameter "year" is required',
-            code: 'MISSING_YEAR',
-            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
-        });
+app.get('/business-days/between', authenticate, enforceQuota, validateBusinessDayRequest, async (req, res) => {
+    const { from, to } = req.query;
+    const dateError = validateDateParam(from, 'from') || validateDateParam(to, 'to');
+
+    if (dateError) {
+        return res.status(400).json(dateError);
     }
 
-    const yearInt = parseInt(year);
-    if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2030) {
+    if (from > to) {
         return res.status(400).json({
-            error: 'Invalid year',
-            message: 'Year must be a valid integer between 2000 and 2030',
-            code: 'INVALID_YEAR',
+            error: 'Invalid date range',
+            message: 'Parameter "from" must not be after "to"',
+            code: 'INVALID_DATE_RANGE',
             documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
         });
     }
 
-    req.validatedQuery = {
-        country: country.toUpperCase(),
-        year: yearInt,
-        region: region?.toUpperCase()
-    };
+    try {
+        const result = await businessCalendarFor(req.validatedQuery).countBusinessDays(from, to);
 
-    next();
-}
+        res.json({
+            from,
+            to,
+            businessDays: result.businessDays,
+            calendarDays: result.calendarDays,
+            nonWorkingDays: result.nonWorking.map(describeBusinessDay),
+            ...businessDayContext(req.validatedQuery, parseInt(from.slice(0, 4)))
+        });
+    } catch (error) {
+        sendBusinessDayError(res, error);
+    }
+});
 
-// Routes with enhanced features
+// Upcoming-holiday queries for bots and dashboards: the next holidays of a
+// country, the countries with a holiday today, and long weekends in a year
+const MAX_NEXT_HOLIDAYS = 25;
+const MAX_TODAY_COUNTRIES = 50;
 
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        environment: process.env.NODE_ENV || 'production',
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        rapidapi: true
-    });
-});
+// Parses the optional "types" filter shared by these endpoints; returns
+// { types } or { error }
+function parseTypesParam(value) {
+    const types = value
+        ? [...new Set(String(value).split(',').map(type => type.trim().toLowerCase()).filter(Boolean))]
+        : [];
+    const invalidType = types.find(type => !HOLIDAY_TYPES.includes(type));
 
-app.get('/docs', (req, res) => {
-    res.json({
-        name: 'Holiday Calendar API',
-        version: '1.0.0',
-        description: 'Professional REST API for generating iCalendar (ICS) files with public holidays worldwide',
-        rapidapi: {
-            marketplace: 'https://rapidapi.com/holiday-calendar-api',
-            pricing: {
-                basic: '10 requests/minute',
-                pro: '100 requests/minute',
-                enterprise: '1000 requests/minute'
-            }
-        },
-        endpoints: {
-            'GET /holidays': {
-                description: 'Generate ICS calendar file for public holidays',
-                parameters: {
-                    country: {
-                        type: 'string',
-                        required: true,
-                        description: 'ISO 3166-1 alpha-2 country code (e.g., "US", "GB", "CA")'
-                    },
-                    year: {
-                        type: 'integer',
-                        required: true,
-                        description: 'Year for holidays (2000-2030)'
-                    },
-                    region: {
-                        type: 'string',
-                        required: false,
-                        description: 'Optional region code (e.g., "CA" for California)'
-                    }
-                },
-                responses: {
-                    200: 'ICS calendar file (text/calendar)',
-                    400: 'Invalid parameters',
-                    429: 'Rate limit exceeded',
-                    500: 'Internal server error'
-                },
-                examples: {
-                    'US holidays for 2025': '/holidays?country=US&year=2025',
-                    'UK holidays for 2025': '/holidays?country=GB&year=2025',
-                    'Canadian holidays for 2025': '/holidays?country=CA&year=2025'
-                }
+    if (invalidType) {
+        return {
+            error: {
+                error: 'Invalid holiday type',
+                message: `Holiday type "${invalidType}" is not supported`,
+                code: 'INVALID_TYPES',
+                validTypes: HOLIDAY_TYPES,
+                documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
             }
-        },
-        features: [
-            'RFC 5545 compliant ICS generation',
-            '100+ countries supported',
-            'Professional rate limiting',
-            'Multiple data sources',
-            'Comprehensive error handling',
-            'Production-ready logging'
-        ]
+        };
+    }
+
+    return { types: types.length ? types : undefined };
+}
+
+function sendLookupError(res, error) {
+    logger.error('Error looking up holidays:', error);
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while looking up holidays',
+        code: 'INTERNAL_ERROR',
+        documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
+        support: 'https://rapidapi.com/holiday-calendar-api/support'
     });
-});
+}
 
-app.get('/holidays', rateLimitBySubscription, validateHolidayRequest, async (req, res) => {
-    const { country, year, region } = req.validatedQuery;
+// Days from `from` to `to`, both YYYY-MM-DD
+function daysUntil(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
 
-    try {
-        logger.info(`Generating holidays for ${country}-${year}${region ? `-${region}` : ''}`, {
-            ip: req.ip,
-            userAgent: req.get('User-Agent'),
-            subscription: req.headers['x-rapidapi-subscription'] || 'basic'
+app.get('/holidays/next', authenticate, enforceQuota, validateBusinessDayRequest, async (req, res) => {
+    const { country, region } = req.validatedQuery;
+    const count = req.query.count === undefined ? 1 : Number(req.query.count);
+    const tz = canonicalTimeZone(req.query.tz || timeZoneFor(country));
+    const { types, error: typesError } = parseTypesParam(req.query.types);
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_NEXT_HOLIDAYS) {
+        return res.status(400).json({
+            error: 'Invalid count',
+            message: `Parameter "count" must be an integer between 1 and ${MAX_NEXT_HOLIDAYS}`,
+            code: 'INVALID_COUNT',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    if (!tz) {
+        return res.status(400).json({
+            error: 'Invalid time zone',
+            message: `Time zone "${req.query.tz}" is not a known IANA time zone name`,
+            code: 'INVALID_TIMEZONE',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
         });
+    }
 
-        const holidays = await fetchHolidays(country, year, region);
+    if (typesError) {
+        return res.status(400).json(typesError);
+    }
 
-        if (!holidays.length) {
+    try {
+        // "Today" is the country's local date, so a holiday starting in
+        // Auckland is already current while it is still yesterday in UTC
+        const today = localDate(tz);
+        const upcoming = [];
+
+        // This year first, then following years until enough are found
+        for (let year = parseInt(today.slice(0, 4)); upcoming.length < count && isValidYear(year) && year <= parseInt(today.slice(0, 4)) + 2; year++) {
+            // A holiday observed in the previous year is in both years' lists
+            const holidays = await fetchHolidays(country, year, region);
+            upcoming.push(...holidays
+                .filter(holiday => holiday.date >= today && (!types || types.includes(holiday.type)))
+                .filter(holiday => !upcoming.some(seen => seen.date === holiday.date && seen.name === holiday.name))
+                .sort((a, b) => a.date.localeCompare(b.date)));
+        }
+
+        if (!upcoming.length) {
+            noHolidaysFound.inc({ country: countryLabel(country) });
             return res.status(404).json({
                 error: 'No holidays found',
-                message: `No holiday data available for ${country} in ${year}`,
+                message: `No upcoming holidays found for ${country}`,
                 code: 'NO_HOLIDAYS_FOUND',
                 documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
             });
         }
 
-        const icsContent = generateICS(holidays, { country, year, region });
+        res.json({
+            country,
+            region: region || null,
+            timeZone: tz,
+            today,
+            count: Math.min(count, upcoming.length),
+            holidays: upcoming.slice(0, count).map(holiday => ({
+                ...toHolidayRecord(holiday, country),
+                daysUntil: daysUntil(today, holiday.date)
+            }))
+        });
+    } catch (error) {
+        sendLookupError(res, error);
+    }
+});
 
-        const filename = region
-            ? `holidays-${country}-${region}-${year}.ics`
-            : `holidays-${country}-${year}.ics`;
+// Checks /holidays/today's countries (default: every country with offline
+// rules) and prices the request like a batch of that many lookups
+function validateTodayRequest(req, res, next) {
+    const { date } = req.query;
+    const countries = listParam(req.query.countries);
+    const countryCodes = countries
+        ? [...new Set(countries.split(',').map(code => code.trim().toUpperCase()).filter(Boolean))]
+        : VALID_COUNTRIES.filter(hasRules);
+    const invalidCountry = countryCodes.find(code => !VALID_COUNTRIES.includes(code));
 
-        res.set({
-            'Content-Type': 'text/calendar; charset=utf-8',
-            'Content-Disposition': `attachment; filename="${filename}"`,
-            'Cache-Control': 'public, max-age=86400',
-            'X-Holidays-Count': holidays.length.toString(),
-            'X-Country': country,
-            'X-Year': year.toString(),
-            'X-API-Version': '1.0.0',
-            'X-RapidAPI-Service': 'Holiday Calendar API'
+    if (!countryCodes.length || invalidCountry) {
+        return res.status(400).json({
+            error: 'Invalid country code',
+            message: `Country code "${invalidCountry || countries}" is not a valid ISO 3166-1 alpha-2 code`,
+            code: 'INVALID_COUNTRY',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
         });
+    }
 
-        if (region) {
-            res.set('X-Region', region);
+    if (countryCodes.length > MAX_TODAY_COUNTRIES) {
+        return res.status(400).json({
+            error: 'Too many countries',
+            message: `At most ${MAX_TODAY_COUNTRIES} countries can be checked at once`,
+            code: 'TOO_MANY_COUNTRIES',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const dateError = date !== undefined && validateDateParam(date, 'date');
+    if (dateError) {
+        return res.status(400).json(dateError);
+    }
+
+    const { types, error: typesError } = parseTypesParam(req.query.types);
+    if (typesError) {
+        return res.status(400).json(typesError);
+    }
+
+    req.validatedQuery = { countries: countryCodes, date, types };
+    req.quotaCost = Math.max(1, Math.ceil(countryCodes.length / BATCH_LOOKUPS_PER_UNIT));
+    next();
+}
+
+app.get('/holidays/today', authenticate, validateTodayRequest, enforceQuota, async (req, res) => {
+    const { countries, date, types } = req.validatedQuery;
+
+    try {
+        const results = await Promise.all(countries.map(async country => {
+            // Without an explicit date, each country is checked on its own local date
+            const timeZone = timeZoneFor(country);
+            const day = date || localDate(timeZone);
+            const holidays = (await fetchHolidays(country, parseInt(day.slice(0, 4))))
+                .filter(holiday => (holiday.date === day || holiday.observed === day) && (!types || types.includes(holiday.type)));
+
+            return {
+                country,
+                timeZone,
+                date: day,
+                dayOff: holidays.some(holiday => ['public', 'bank'].includes(holiday.type) && !holiday.time),
+                holidays: holidays.map(({ date: holidayDate, name, localName, type, observed, time }) => ({
+                    date: holidayDate,
+                    name,
+                    localName: localName || null,
+                    type,
+                    observed: observed || holidayDate,
+                    time: time || null
+                }))
+            };
+        }));
+
+        const withHolidays = results.filter(result => result.holidays.length);
+
+        if (req.quotaCost > 1) {
+            res.set('X-Quota-Cost', req.quotaCost.toString());
         }
 
-        logger.info(`Successfully generated ${holidays.length} holidays for ${country}-${year}`, {
-            country,
-            year,
-            region,
-            holidayCount: holidays.length
+        res.json({
+            date: date || null,
+            checked: countries.length,
+            count: withHolidays.length,
+            countries: withHolidays
         });
+    } catch (error) {
+        sendLookupError(res, error);
+    }
+});
 
-        res.send(icsContent);
+app.get('/holidays/long-weekends', authenticate, enforceQuota, validateBusinessDayRequest, async (req, res) => {
+    const { year } = req.query;
+    const yearInt = Number(year);
 
-    } catch (error) {
-        logger.error('Error generating holidays:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'An error occurred while generating the holiday calendar',
-            code: 'INTERNAL_ERROR',
-            documentation: 'https://rapidapi.com/holiday-calendar-api/docs',
-            support: 'https://rapidapi.com/holiday-calendar-api/support'
+    if (!isValidYear(yearInt)) {
+        return res.status(400).json({
+            error: year ? 'Invalid year' : 'Missing required parameter',
+            message: 'Parameter "year" must be an integer between 2000 and 2030',
+            code: year ? 'INVALID_YEAR' : 'MISSING_YEAR',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
         });
     }
+
+    try {
+        const { longWeekends, bridgeDays } = await businessCalendarFor(req.validatedQuery)
+            .findLongWeekends(`${yearInt}-01-01`, `${yearInt}-12-31`);
+
+        const describeBreak = ({ start, end, length, holidays }) => ({
+            start,
+            end,
+            days: length,
+            holidays: holidays.map(({ date, name, type, observed }) => ({ date, name, type, observed: observed || date }))
+        });
+
+        res.json({
+            year: yearInt,
+            ...businessDayContext(req.validatedQuery, yearInt),
+            longWeekends: longWeekends.map(describeBreak),
+            bridgeDays: bridgeDays.map(bridge => ({
+                date: bridge.date,
+                weekday: weekdayName(new Date(`${bridge.date}T00:00:00Z`).getUTCDay()),
+                ...describeBreak(bridge)
+            }))
+        });
+    } catch (error) {
+        sendLookupError(res, error);
+    }
 });
 
 app.get('/countries', (req, res) => {
@@ -513,6 +2696,30 @@ app.get('/countries', (req, res) => {
     });
 });
 
+app.get('/countries/:code/regions', (req, res) => {
+    const country = req.params.code.toUpperCase();
+
+    if (!VALID_COUNTRIES.includes(country)) {
+        return res.status(400).json({
+            error: 'Invalid country code',
+            message: `Country code "${req.params.code}" is not a valid ISO 3166-1 alpha-2 code`,
+            code: 'INVALID_COUNTRY',
+            documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
+        });
+    }
+
+    const regions = listRegions(country);
+
+    res.json({
+        country,
+        regions,
+        count: regions.length,
+        note: regions.length
+            ? 'These are ISO 3166-2 subdivision codes accepted by the "region" parameter.'
+            : `No subdivision-level holiday data is available for ${country}.`
+    });
+});
+
 // Enhanced error handling
 app.use((err, req, res, next) => {
     logger.error('Unhandled error:', err);
@@ -530,43 +2737,75 @@ app.use((req, res) => {
         error: 'Not found',
         message: `Endpoint ${req.method} ${req.path} not found`,
         code: 'ENDPOINT_NOT_FOUND',
-        availableEndpoints: ['/health', '/docs', '/holidays', '/countries'],
+        availableEndpoints: [
+            '/health',
+            '/metrics',
+            '/admin/usage',
+            '/docs',
+            '/holidays',
+            '/holidays/batch',
+            '/holidays/next',
+            '/holidays/today',
+            '/holidays/long-weekends',
+            '/feeds/:country.ics',
+            '/calendars',
+            '/calendars/:id',
+            '/webhooks',
+            '/webhooks/:id',
+            '/webhooks/:id/test',
+            '/admin/webhooks/run',
+            '/ics/parse',
+            '/ics/validate',
+            '/countries',
+            '/countries/:code/regions',
+            '/business-days/is-working-day',
+            '/business-days/add',
+            '/business-days/between'
+        ],
         documentation: 'https://rapidapi.com/holiday-calendar-api/docs'
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    logger.info(`Holiday Calendar API server running on port ${PORT}`, {
-        environment: process.env.NODE_ENV || 'production',
-        rapidapi: true,
-        version: '1.0.0'
-    });
+// Start the server when run directly (node server.js); requiring this file
+// only builds the app, e.g. for tests with supertest
+if (require.main === module) {
+    app.listen(PORT, () => {
+        logger.info(`Holiday Calendar API server running on port ${PORT}`, {
+            environment: process.env.NODE_ENV || 'production',
+            rapidapi: true,
+            version: '1.0.0'
+        });
 
-    console.log(`
+        console.log(`
 🚀 Holiday Calendar API - Production Ready for RapidAPI!
 
 📍 Server running on: http://localhost:${PORT}
 📖 API Documentation: http://localhost:${PORT}/docs
 💚 Health Check: http://localhost:${PORT}/health
 🌍 Countries Supported: ${VALID_COUNTRIES.length}
-🔒 Rate Limiting: Enabled with subscription tiers
+🔒 Authentication: ${AUTH_MODE}, per-key quotas by plan
 📊 Production Logging: Enabled
 🛡️ Security: Enhanced with Helmet.js
 
 Ready for RapidAPI deployment and monetization!
   `);
-});
+    });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM received, shutting down gracefully');
-    process.exit(0);
-});
+    // Holiday change detection for webhook subscribers
+    setInterval(() => {
+        detectHolidayChanges().catch(error => logger.error('Holiday change detection failed:', error));
+    }, WEBHOOK_CHECK_INTERVAL_MS).unref();
 
-process.on('SIGINT', () => {
-    logger.info('SIGINT received, shutting down gracefully');
-    process.exit(0);
-});
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        logger.info('SIGTERM received, shutting down gracefully');
+        Promise.all([eventVersions.flush(), quotaTracker.flush(), holidaySnapshots.flush()]).finally(() => process.exit(0));
+    });
+
+    process.on('SIGINT', () => {
+        logger.info('SIGINT received, shutting down gracefully');
+        Promise.all([eventVersions.flush(), quotaTracker.flush(), holidaySnapshots.flush()]).finally(() => process.exit(0));
+    });
+}
 
 module.exports = app;